@@ -1,12 +1,56 @@
-const { OpenAI } = require('openai');
+const { resolveAIConfig, createLLMProvider } = require('./llm');
+const {
+  DEFAULT_TOKEN_BUDGET,
+  estimateTokens,
+  formatPullRequest,
+  formatPullRequestWithinBudget,
+  formatLifecycleCounts,
+  formatContributorInput,
+  formatActivity,
+  buildEmailPrompt,
+  buildStructuredSummaryPrompt,
+  buildJsonRepairPrompt,
+  buildTranslationPrompt,
+  buildPRSummaryPrompt,
+  buildCondensePrompt,
+  formatPRNotes,
+  chunkByBudget,
+} = require('./llm/promptBuilder');
+const {
+  parseStructuredSummary,
+  validateStructuredSummary,
+  normalizeStructuredSummary,
+  attachRepositories,
+  renderStructuredSummary,
+} = require('./llm/structuredSummary');
+const { languageName } = require('./llm/locale');
+const { hashCacheKey, prFingerprint } = require('./llm/summaryCache');
+const { estimateCost } = require('./llm/pricing');
 
 class AIService {
-  constructor(apiKey, model, maxRetries = 3) {
-    this.client = new OpenAI({
-      apiKey: apiKey,
-      baseURL: 'https://generativelanguage.googleapis.com/v1beta/openai/',
-    });
-    this.model = model || 'gemini-2.5-flash';
+  /**
+   * @param {string|object} aiConfig - Gemini API key (legacy form) or an aiConfig
+   *   object `{ provider, model, apiKey, baseUrl, apiVersion, tokenBudget, cache, cacheScope, redactionKey }`.
+   *   `cache` is a store with `getSummary(key)` / `saveSummary(key, value, meta)`;
+   *   `cacheScope` (e.g. a company id) keeps entries of different tenants apart;
+   *   `redactionKey` (RedactionService#settingsKey()) keeps apart entries written under other redaction settings.
+   * @param {string} [model] - Model override
+   * @param {number} [maxRetries] - Max retries on rate-limit / server errors
+   */
+  constructor(aiConfig, model, maxRetries = 3) {
+    const config = typeof aiConfig === 'string' || !aiConfig
+      ? { provider: 'gemini', apiKey: aiConfig }
+      : aiConfig;
+    const resolved = resolveAIConfig({ ...config, ...(model && { model }) });
+
+    this.provider = createLLMProvider(resolved);
+    this.model = this.provider.model;
+    this.tokenBudget = config.tokenBudget || DEFAULT_TOKEN_BUDGET;
+    this.cache = config.cache || null;
+    this.cacheScope = config.cacheScope || null;
+    this.redactionKey = config.redactionKey || null;
+    this.cacheStats = { hit: false, prSummaryHits: 0, prSummaryMisses: 0 };
+    this.usage = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
     this.maxRetries = maxRetries;
     this.lastRequestTime = 0; // Track last API call for throttling
     this.minRequestInterval = 2000; // Minimum 2 seconds between requests
@@ -73,84 +117,320 @@ class AIService {
   }
 
   /**
-   * Generate a status update email based on PR data and user instructions
+   * Cache key for a summary, scoped to this provider, model, tenant and redaction settings
+   * @param {string} kind - 'pr_summary' or 'status_update'
+   * @param {Array} parts - Values identifying the input
+   * @returns {string}
+   */
+  cacheKey(kind, parts) {
+    return hashCacheKey([kind, this.cacheScope, this.redactionKey, this.provider.name, this.model, ...parts]);
+  }
+
+  /**
+   * Read a cached summary. Cache failures are logged and treated as misses.
+   * @param {string} key
+   * @returns {Promise<any|null>}
+   */
+  async readCache(key) {
+    if (!this.cache) return null;
+    try {
+      return await this.cache.getSummary(key);
+    } catch (error) {
+      console.warn('AI summary cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a summary in the cache. Failures are logged and ignored.
+   * @param {string} key
+   * @param {any} value
+   * @param {string} kind
+   * @returns {Promise<void>}
+   */
+  async writeCache(key, value, kind) {
+    if (!this.cache) return;
+    try {
+      await this.cache.saveSummary(key, value, { kind, provider: this.provider.name, model: this.model });
+    } catch (error) {
+      console.warn('AI summary cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Send a single prompt to the provider with throttling and retries
+   * @param {string} prompt - Prompt text
+   * @param {object} context - Structured input for providers that don't call a model (e.g. mock)
+   * @param {object} [options]
+   * @param {'text'|'json'} [options.responseFormat] - Ask the provider for a JSON object
+   * @returns {Promise<string>} Completion text
+   */
+  async complete(prompt, context, { responseFormat = 'text' } = {}) {
+    // Throttle the request to prevent rate limiting
+    await this.throttle();
+
+    // Use retry logic for the API call
+    const result = await this.makeRequestWithRetry(async () => {
+      return await this.provider.complete({
+        messages: [{ role: 'user', content: prompt }],
+        responseFormat,
+        context,
+      });
+    });
+
+    this.recordUsage(result, prompt);
+    return result.content;
+  }
+
+  /**
+   * Add a completion's token usage to the running totals.
+   * Providers that report no usage are estimated from the text length.
+   * @param {{content: string, usage: object|null}} result - Provider response
+   * @param {string} prompt - Prompt that produced it
+   */
+  recordUsage(result, prompt) {
+    let usage = result.usage;
+    if (!usage) {
+      const promptTokens = estimateTokens(prompt);
+      const completionTokens = estimateTokens(result.content || '');
+      usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+      this.usage.estimated = true;
+    }
+    this.usage.requests += 1;
+    this.usage.promptTokens += usage.promptTokens || 0;
+    this.usage.completionTokens += usage.completionTokens || 0;
+    this.usage.totalTokens += usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0);
+  }
+
+  /**
+   * Token usage and estimated cost of all requests made by this instance
+   * @returns {{provider: string, model: string, requests: number, promptTokens: number,
+   *   completionTokens: number, totalTokens: number, estimated: boolean, estimatedCostUsd: number|null}}
+   */
+  getUsageSummary() {
+    return {
+      provider: this.provider.name,
+      model: this.model,
+      ...this.usage,
+      estimatedCostUsd: estimateCost({ provider: this.provider.name, model: this.model, ...this.usage }),
+    };
+  }
+
+  /**
+   * Generate a status update email based on PR data and user instructions.
+   * Uses a single prompt when it fits the token budget, otherwise summarises
+   * each PR individually and reduces the notes into the final email.
    * @param {Array} pullRequests - Array of PR objects
    * @param {string} userInstructions - User's instructions for email format
+   * @param {object} [contributorInput] - `{ note, template }` written by the contributor
    * @returns {Promise<string>} Generated email content
    */
-  async generateEmailContent(pullRequests, userInstructions) {
+  async generateEmailContent(pullRequests, userInstructions, contributorInput = {}) {
     try {
       if (pullRequests.length === 0) {
         return "No pull requests found for the specified date range.";
       }
 
-      // Format PR data for the AI
-      const prSummary = pullRequests.map((pr, index) => {
-        let summary = `
-PR ${index + 1}:
-- Title: ${pr.title}
-- Repository: ${pr.repository}
-- Status: ${pr.state} ${pr.draft ? '(Draft)' : ''}
-- Created: ${new Date(pr.createdAt).toLocaleDateString()}
-- URL: ${pr.url}
-- Description: ${(pr.body || pr.description || 'No description').substring(0, 200)}${(pr.body || pr.description || '').length > 200 ? '...' : ''}
-- Labels: ${(pr.labels || []).join(', ') || 'None'}`;
-
-        // Add code changes if available
-        if (pr.files && pr.files.length > 0) {
-          summary += '\n- Files Changed:';
-          pr.files.forEach(file => {
-            summary += `\n  * ${file.filename} (${file.status}): +${file.additions} -${file.deletions}`;
-            if (file.patch) {
-              summary += `\n    Code snippet:\n    ${file.patch.split('\n').map(line => '    ' + line).join('\n')}`;
-            }
-          });
-        }
+      const contributorText = formatContributorInput(contributorInput);
+      const buildPrompt = prDetails => buildEmailPrompt(prDetails, userInstructions, contributorText);
+      const prompt = buildPrompt(await this.preparePRDetails(pullRequests, buildPrompt));
+
+      console.log(`Sending prompt to ${this.provider.name} (${this.model}, ~${estimateTokens(prompt)} tokens):`);
+      console.log('---');
+      console.log(prompt);
+      console.log('---');
+
+      const emailContent = await this.complete(prompt, { pullRequests, userInstructions });
+
+      console.log('Email content generated successfully');
+      return emailContent;
+    } catch (error) {
+      console.error('Error generating email content:', error.message);
+      throw error;
+    }
+  }
 
-        return summary.trim();
-      }).join('\n\n');
+  /**
+   * Generate a structured status update and the email body rendered from it.
+   * The model is asked for JSON; invalid output gets one repair attempt, after
+   * which the email body is requested once more as plain prose and no
+   * structure is returned (`structuredSummaryError` says why).
+   * @param {Array} pullRequests - Array of PR objects
+   * @param {string} userInstructions - User's instructions for the update
+   * @param {object} [contributorInput] - `{ note, template }` written by the contributor
+   * @param {object} [options]
+   * @param {string} [options.locale] - Write the update in this locale's language
+   * @param {Array} [options.activity] - Commits, reviews and issues from GitHubService.fetchContributorActivity()
+   * @returns {Promise<{structuredSummary: object|null, emailContent: string, structuredSummaryError?: string}>}
+   */
+  async generateStatusUpdate(pullRequests, userInstructions, contributorInput = {}, { locale, activity = [] } = {}) {
+    try {
+      this.cacheStats = { hit: false, prSummaryHits: 0, prSummaryMisses: 0 };
+      if (pullRequests.length === 0 && activity.length === 0) {
+        return { structuredSummary: null, emailContent: "No pull requests found for the specified date range." };
+      }
 
-      const prompt = `
-You are an AI assistant helping to draft a professional status update email.
+      const instructions = locale
+        ? `${userInstructions}\nWrite all text values in ${languageName(locale)}.`
+        : userInstructions;
+      const contributorText = formatContributorInput(contributorInput);
+      const activityText = formatActivity(activity);
 
-User Instructions:
-${userInstructions}
+      // Identical PR set (same head commits and state) + rendered instructions + contributor input → reuse the previous update.
+      // The instructions are hashed as rendered, so window, PR count, company name and language all count.
+      const fingerprints = pullRequests.map(prFingerprint);
+      const updateKey = this.cache && fingerprints.every(Boolean)
+        ? this.cacheKey('status_update', [
+          instructions,
+          contributorText,
+          fingerprints.map(f => JSON.stringify(f)).sort(),
+          activity.map(item => `${item.type}:${item.sha || item.url}`).sort(),
+        ])
+        : null;
+      if (updateKey) {
+        const cached = await this.readCache(updateKey);
+        if (cached) {
+          console.log(`Reusing cached status update for ${pullRequests.length} unchanged PR(s)`);
+          this.cacheStats.hit = true;
+          return cached;
+        }
+      }
 
-Pull Request Information:
-${prSummary}
+      const buildPrompt = prDetails => buildStructuredSummaryPrompt(prDetails, instructions, contributorText, activityText);
+      const prDetails = await this.preparePRDetails(pullRequests, buildPrompt);
+      const prompt = buildPrompt(prDetails);
+      const context = { pullRequests, activity, userInstructions: instructions };
 
-Please draft a well-formatted email body based on the above information and user instructions. 
-The email should be professional, concise, and clearly communicate the status of the work.
-Include relevant technical details from the code changes when appropriate to provide context.
-Do not include subject line or greeting/signature - just the main body content.
-Format the email in a clean, readable manner.
-      `.trim();
+      console.log(`Requesting structured summary from ${this.provider.name} (${this.model}, ~${estimateTokens(prompt)} tokens)`);
+      let raw = await this.complete(prompt, context, { responseFormat: 'json' });
+      let parsed = parseStructuredSummary(raw);
+      let errors = parsed ? validateStructuredSummary(parsed) : ['response is not valid JSON'];
 
-      console.log('Sending prompt to Gemini:');
-      console.log('---');
-      console.log(prompt);
-      console.log('---');
+      if (errors.length > 0) {
+        console.warn(`Structured summary invalid (${errors.join('; ')}) – retrying once`);
+        raw = await this.complete(buildJsonRepairPrompt(raw, errors), context, { responseFormat: 'json' });
+        parsed = parseStructuredSummary(raw);
+        errors = parsed ? validateStructuredSummary(parsed) : ['response is not valid JSON'];
+      }
 
-      // Throttle the request to prevent rate limiting
-      await this.throttle();
+      if (errors.length > 0) {
+        // Never mail JSON-mode output: ask for the email as prose from the same details instead
+        const structuredSummaryError = `Structured summary invalid after repair: ${errors.join('; ')}`;
+        console.warn(`${structuredSummaryError} – requesting a plain-text email body`);
+        const emailContent = await this.complete(buildEmailPrompt(prDetails, instructions, contributorText, activityText), context);
+        return { structuredSummary: null, emailContent, structuredSummaryError };
+      }
 
-      // Use retry logic for the API call
-      const result = await this.makeRequestWithRetry(async () => {
-        return await this.client.chat.completions.create({
-          model: this.model,
-          messages: [{ role: 'user', content: prompt }],
-        });
-      });
+      // Repositories come from the PRs themselves, so per-repo sections do not depend on the model
+      const structuredSummary = attachRepositories(normalizeStructuredSummary(parsed), pullRequests);
+      console.log('Structured summary generated successfully');
+      const statusUpdate = { structuredSummary, emailContent: renderStructuredSummary(structuredSummary, locale) };
+      if (updateKey) await this.writeCache(updateKey, statusUpdate, 'status_update');
+      return statusUpdate;
+    } catch (error) {
+      console.error('Error generating status update:', error.message);
+      throw error;
+    }
+  }
 
-      const emailContent = result.choices[0].message.content;
+  /**
+   * Translate a generated status update into another locale.
+   * The structured summary is translated as JSON and re-rendered; if that
+   * fails (or there is no structure) the email text is translated instead.
+   * @param {{structuredSummary: object|null, emailContent: string}} statusUpdate - Output of generateStatusUpdate()
+   * @param {string} locale - Target locale, e.g. "de-DE"
+   * @returns {Promise<{structuredSummary: object|null, emailContent: string}>}
+   */
+  async translateStatusUpdate({ structuredSummary, emailContent }, locale) {
+    const language = languageName(locale);
+    try {
+      if (structuredSummary) {
+        const raw = await this.complete(
+          buildTranslationPrompt(JSON.stringify(structuredSummary, null, 2), language, { json: true }),
+          { structuredSummary, locale },
+          { responseFormat: 'json' },
+        );
+        const parsed = parseStructuredSummary(raw);
+        if (parsed && validateStructuredSummary(parsed).length === 0) {
+          const translated = attachRepositories(normalizeStructuredSummary(parsed), structuredSummary.pullRequests);
+          console.log(`Status update translated to ${language}`);
+          return { structuredSummary: translated, emailContent: renderStructuredSummary(translated, locale) };
+        }
+        console.warn(`Structured translation to ${language} was invalid – translating the email text instead`);
+      }
 
-      console.log('Email content generated successfully');
-      return emailContent;
+      const text = await this.complete(buildTranslationPrompt(emailContent, language), { text: emailContent, locale });
+      console.log(`Status update translated to ${language}`);
+      return { structuredSummary: null, emailContent: text };
     } catch (error) {
-      console.error('Error generating email content:', error.message);
+      console.error(`Error translating status update to ${language}:`, error.message);
       throw error;
     }
   }
+
+  /**
+   * Produce the PR section of the final prompt. Returns the full PR details
+   * when `buildPrompt(details)` fits the token budget; otherwise summarises
+   * each PR individually (map) and condenses the notes until they fit.
+   * Per-PR summaries are cached by head commit, so only changed PRs are re-summarised.
+   * Either way the section starts with the period's PR counts.
+   * @param {Array} pullRequests - Array of PR objects
+   * @param {Function} buildPrompt - Builds the final prompt from the PR section
+   * @returns {Promise<string>} PR details or pre-summarised notes
+   */
+  async preparePRDetails(pullRequests, buildPrompt) {
+    const counts = formatLifecycleCounts(pullRequests);
+    const withCounts = details => (counts ? `${counts}\n\n${details}` : details);
+    const buildPromptWithCounts = details => buildPrompt(withCounts(details));
+
+    const prSummary = pullRequests.map((pr, index) => formatPullRequest(pr, index)).join('\n\n');
+    const promptTokens = estimateTokens(buildPromptWithCounts(prSummary));
+    if (promptTokens <= this.tokenBudget) {
+      return withCounts(prSummary);
+    }
+
+    console.log(`Prompt (~${promptTokens} tokens) exceeds budget of ${this.tokenBudget} tokens – summarising ${pullRequests.length} PR(s) individually`);
+
+    // Map: one short summary per PR, each PR trimmed to fit the budget on its own
+    const perPRBudget = this.tokenBudget - estimateTokens(buildPRSummaryPrompt(''));
+    let notes = [];
+    for (const [index, pr] of pullRequests.entries()) {
+      const fingerprint = prFingerprint(pr);
+      const key = this.cache && fingerprint ? this.cacheKey('pr_summary', [this.tokenBudget, ...fingerprint]) : null;
+      let summary = key ? await this.readCache(key) : null;
+      if (summary) {
+        console.log(`  Reusing cached summary for PR ${index + 1}/${pullRequests.length}: ${pr.title}`);
+        this.cacheStats.prSummaryHits++;
+      } else {
+        const prText = formatPullRequestWithinBudget(pr, index, perPRBudget);
+        console.log(`  Summarising PR ${index + 1}/${pullRequests.length}: ${pr.title}`);
+        summary = await this.complete(buildPRSummaryPrompt(prText), { pullRequests: [pr] });
+        if (key) {
+          this.cacheStats.prSummaryMisses++;
+          await this.writeCache(key, summary, 'pr_summary');
+        }
+      }
+      notes.push(`PR ${index + 1}: ${pr.title} (${pr.repository}, ${pr.merged ? 'merged' : pr.state})\n${summary.trim()}`);
+    }
+
+    // Condense batches of notes until the final prompt fits
+    const reduceOverhead = estimateTokens(buildPromptWithCounts(formatPRNotes([])));
+    while (estimateTokens(buildPromptWithCounts(formatPRNotes(notes))) > this.tokenBudget) {
+      const batches = chunkByBudget(notes, this.tokenBudget - reduceOverhead);
+      if (batches.length >= notes.length) {
+        console.warn('  PR notes cannot be condensed further – sending them as-is');
+        break;
+      }
+      console.log(`  Condensing ${notes.length} PR notes into ${batches.length} batch(es)`);
+      const condensed = [];
+      for (const batch of batches) {
+        condensed.push((await this.complete(buildCondensePrompt(batch), { pullRequests })).trim());
+      }
+      notes = condensed;
+    }
+
+    return withCounts(formatPRNotes(notes));
+  }
 }
 
 module.exports = AIService;
@@ -16,10 +16,14 @@ const {
   authRoutes,
   companyMemberRoutes,
   companyRepoRoutes,
+  companyGithubAppRoutes,
   companyMonitoredContributorRoutes,
   companyTeamRoutes,
   companySummaryAnalyticsRoutes,
   companySubscriptionRoutes,
+  companySettingsRoutes,
+  companyPromptTemplateRoutes,
+  companyEmailTemplateRoutes,
   contributorRoutes,
   internalRoutes,
 } = require('./routes');
@@ -37,6 +41,11 @@ function createApp() {
     '/v1/webhooks/stripe',
     express.raw({ type: 'application/json' }),
   );
+  // GitHub signs the raw body as well (X-Hub-Signature-256)
+  app.use(
+    '/v1/webhooks/github',
+    express.raw({ type: 'application/json' }),
+  );
 
   // JSON body parser for everything else
   app.use(express.json());
@@ -98,15 +107,19 @@ function createApp() {
     const routes = {
       'POST /v1/webhooks/clerk': 'registered',
       'POST /v1/webhooks/stripe': 'registered',
+      'POST /v1/webhooks/github': 'registered',
       'GET|POST /v1/auth/*': 'registered',
       'GET|POST|PATCH|DELETE /v1/company/members/*': 'registered',
       'GET|POST|DELETE /v1/company/repos/*': 'registered',
+      'GET|PUT|DELETE /v1/company/github-app/*': 'registered',
       'GET|POST|PATCH|DELETE /v1/company/monitored-contributors/*': 'registered',
       'GET|POST|PATCH|DELETE /v1/company/teams/*': 'registered',
       'GET /v1/company/summary-runs': 'registered',
       'GET /v1/company/analytics/*': 'registered',
       'GET|POST /v1/company/subscription': 'registered',
       'GET /v1/company/plans': 'registered',
+      'GET|PATCH /v1/company/settings': 'registered',
+      'GET|POST|PATCH|DELETE /v1/company/prompt-templates/*': 'registered',
       'GET|PATCH /v1/contributor/*': 'registered',
       'POST /v1/internal/*': 'registered',
     };
@@ -143,8 +156,12 @@ function createApp() {
   // 3-8. Company routes
   v1.use('/company/members', companyMemberRoutes);
   v1.use('/company/repos', companyRepoRoutes);
+  v1.use('/company/github-app', companyGithubAppRoutes);
   v1.use('/company/monitored-contributors', companyMonitoredContributorRoutes);
   v1.use('/company/teams', companyTeamRoutes);
+  v1.use('/company/settings', companySettingsRoutes);
+  v1.use('/company/prompt-templates', companyPromptTemplateRoutes);
+  v1.use('/company/email-templates', companyEmailTemplateRoutes);
   v1.use('/company', companySummaryAnalyticsRoutes);          // /company/summary-runs & /company/analytics/*
   v1.use('/company', companySubscriptionRoutes);               // /company/subscription & /company/plans
 
@@ -0,0 +1,257 @@
+/**
+ * Company Email Templates routes
+ *
+ * POST   /company/email-templates                     – create template
+ * GET    /company/email-templates                     – list templates
+ * GET    /company/email-templates/:templateId         – get template
+ * PATCH  /company/email-templates/:templateId         – update template
+ * DELETE /company/email-templates/:templateId         – delete template (detaches it from monitored contributors)
+ * POST   /company/email-templates/:templateId/preview – render the template against a past summary run
+ */
+
+const { Router } = require('express');
+const { ObjectId } = require('mongodb');
+const { asyncHandler, AppError, requireAuth, requireCompany, requireRole } = require('../middleware');
+const { EmailTemplateService } = require('../../database/services/EmailTemplateService');
+const { MonitoredContributorService } = require('../../database/services/MonitoredContributorService');
+const { SummaryRunService } = require('../../database/services/SummaryRunService');
+const { CompanyService } = require('../../database/services/CompanyService');
+const { TEMPLATE_VARIABLES, findUnknownVariables } = require('../../llm/promptTemplate');
+const { DEFAULT_LOCALE } = require('../../llm/locale');
+const { DEFAULT_SUBJECT } = require('../../email/template');
+const { runTemplateVariables, runSummaryForLocale, renderRunEmail } = require('../../outboxWorker');
+
+const emailTemplateService = new EmailTemplateService();
+const monitoredContributorService = new MonitoredContributorService();
+const summaryRunService = new SummaryRunService();
+const companyService = new CompanyService();
+const router = Router();
+
+router.use(requireAuth, requireCompany);
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BLOCK_LENGTH = 2000;
+
+/** Reject {{variables}} the renderer does not know. */
+function checkVariables(text, field) {
+  const unknown = findUnknownVariables(text);
+  if (unknown.length > 0) {
+    throw new AppError(
+      'VALIDATION',
+      `Unknown template variable(s) in ${field}: ${unknown.join(', ')}. Supported: ${TEMPLATE_VARIABLES.join(', ')}.`,
+      400,
+    );
+  }
+}
+
+/**
+ * Validate template fields present in the request body.
+ * @param {object} body
+ * @returns {object} fields ready to be stored
+ */
+function parseTemplateFields(body) {
+  const fields = {};
+  const { name, description, subject, header, footer, isDefault } = body;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new AppError('VALIDATION', 'name must be a non-empty string.', 400);
+    }
+    fields.name = name.trim();
+  }
+  if (description !== undefined) fields.description = description || null;
+
+  if (subject !== undefined) {
+    if (typeof subject !== 'string' || !subject.trim()) {
+      throw new AppError('VALIDATION', 'subject must be a non-empty string.', 400);
+    }
+    if (subject.length > MAX_SUBJECT_LENGTH || /[\r\n]/.test(subject)) {
+      throw new AppError('VALIDATION', `subject must be a single line of at most ${MAX_SUBJECT_LENGTH} characters.`, 400);
+    }
+    checkVariables(subject, 'subject');
+    fields.subject = subject.trim();
+  }
+
+  for (const [field, value] of Object.entries({ header, footer })) {
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== 'string') {
+      throw new AppError('VALIDATION', `${field} must be a string or null.`, 400);
+    }
+    if (value && value.length > MAX_BLOCK_LENGTH) {
+      throw new AppError('VALIDATION', `${field} must be at most ${MAX_BLOCK_LENGTH} characters.`, 400);
+    }
+    checkVariables(value, field);
+    fields[field] = value && value.trim() ? value : null;
+  }
+  if (isDefault !== undefined) fields.isDefault = !!isDefault;
+
+  return fields;
+}
+
+/** Public view of a template document. */
+function formatTemplate(t) {
+  return {
+    _id: t._id.toString(),
+    name: t.name,
+    description: t.description,
+    subject: t.subject,
+    header: t.header,
+    footer: t.footer,
+    isDefault: !!t.isDefault,
+    createdAt: t.createdAt,
+    updatedAt: t.updatedAt,
+  };
+}
+
+/** Load a template and make sure it belongs to the caller's company. */
+async function findCompanyTemplate(templateId, companyId) {
+  const template = await emailTemplateService.findById(templateId);
+  if (!template || template.companyId.toString() !== companyId) {
+    throw new AppError('NOT_FOUND', 'Email template not found.', 404);
+  }
+  return template;
+}
+
+/* ──────────── POST / ──────────── */
+router.post(
+  '/',
+  requireRole('admin', 'manager'),
+  asyncHandler(async (req, res) => {
+    const fields = parseTemplateFields(req.body);
+    if (!fields.name || !fields.subject) {
+      throw new AppError('VALIDATION', 'name and subject are required.', 400);
+    }
+
+    if (await emailTemplateService.findByName(req.companyId, fields.name)) {
+      throw new AppError('DUPLICATE', `An email template named "${fields.name}" already exists.`, 409);
+    }
+
+    if (fields.isDefault) {
+      await emailTemplateService.clearDefault(req.companyId);
+    }
+
+    const template = await emailTemplateService.createTemplate({
+      companyId: req.companyId,
+      ...fields,
+      createdBy: req.companyMember.clerkUserId,
+    });
+
+    res.status(201).json({ success: true, data: formatTemplate(template) });
+  }),
+);
+
+/* ──────────── GET / ──────────── */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const templates = await emailTemplateService.findByCompany(req.companyId);
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map(formatTemplate),
+        variables: TEMPLATE_VARIABLES,
+        defaultSubject: DEFAULT_SUBJECT,
+      },
+    });
+  }),
+);
+
+/* ──────────── GET /:templateId ──────────── */
+router.get(
+  '/:templateId',
+  asyncHandler(async (req, res) => {
+    const template = await findCompanyTemplate(req.params.templateId, req.companyId);
+    res.json({ success: true, data: formatTemplate(template) });
+  }),
+);
+
+/* ──────────── PATCH /:templateId ──────────── */
+router.patch(
+  '/:templateId',
+  requireRole('admin', 'manager'),
+  asyncHandler(async (req, res) => {
+    const template = await findCompanyTemplate(req.params.templateId, req.companyId);
+    const updates = parseTemplateFields(req.body);
+
+    if (updates.name && updates.name !== template.name) {
+      if (await emailTemplateService.findByName(req.companyId, updates.name)) {
+        throw new AppError('DUPLICATE', `An email template named "${updates.name}" already exists.`, 409);
+      }
+    }
+
+    if (updates.isDefault && !template.isDefault) {
+      await emailTemplateService.clearDefault(req.companyId);
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await emailTemplateService.updateById(req.params.templateId, updates);
+    }
+
+    const updated = await emailTemplateService.findById(req.params.templateId);
+    res.json({ success: true, data: formatTemplate(updated) });
+  }),
+);
+
+/* ──────────── DELETE /:templateId ──────────── */
+router.delete(
+  '/:templateId',
+  requireRole('admin', 'manager'),
+  asyncHandler(async (req, res) => {
+    const template = await findCompanyTemplate(req.params.templateId, req.companyId);
+
+    // Monitoring slots using this template fall back to the company default
+    const { modified } = await monitoredContributorService.updateMany(
+      { companyId: template.companyId, emailTemplateId: template._id },
+      { emailTemplateId: null },
+    );
+    await emailTemplateService.deleteById(req.params.templateId);
+
+    res.json({
+      success: true,
+      data: { message: 'Email template deleted.', detachedMonitoredContributors: modified },
+    });
+  }),
+);
+
+/* ──────────── POST /:templateId/preview ──────────── */
+router.post(
+  '/:templateId/preview',
+  asyncHandler(async (req, res) => {
+    const template = await findCompanyTemplate(req.params.templateId, req.companyId);
+    const { runId, locale } = req.body;
+
+    if (typeof runId !== 'string' || !ObjectId.isValid(runId)) {
+      throw new AppError('VALIDATION', 'runId must be a valid summary run id.', 400);
+    }
+    const run = await summaryRunService.findById(runId);
+    if (!run || run.companyId.toString() !== req.companyId) {
+      throw new AppError('NOT_FOUND', 'Summary run not found.', 404);
+    }
+    if (!run.aiSummary) {
+      throw new AppError('VALIDATION', 'This run has no stored summary to preview.', 400);
+    }
+
+    const company = await companyService.findById(req.companyId);
+    const baseLocale = company?.settings?.locale || DEFAULT_LOCALE;
+    const previewLocale = locale || baseLocale;
+    if (previewLocale !== baseLocale && !(run.localizedSummaries || []).some((l) => l.locale === previewLocale)) {
+      throw new AppError('VALIDATION', `This run has no summary in locale ${previewLocale}.`, 400);
+    }
+
+    const { subject, html, text } = renderRunEmail({
+      markdown: runSummaryForLocale(run, previewLocale),
+      locale: previewLocale,
+      company,
+      template,
+      variables: runTemplateVariables(run, company),
+      pullRequests: run.prStats?.pullRequests || [],
+    });
+
+    res.json({
+      success: true,
+      data: { runId: run._id.toString(), locale: previewLocale, subject, html, text },
+    });
+  }),
+);
+
+module.exports = router;
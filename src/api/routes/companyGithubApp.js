@@ -0,0 +1,217 @@
+/**
+ * Company GitHub App routes
+ *
+ * GET    /company/github-app               – app configuration + linked installation
+ * PUT    /company/github-app/installation  – link an installation (admin)
+ * DELETE /company/github-app/installation  – unlink the installation (admin)
+ * GET    /company/github-app/repos         – repos the installation can access
+ */
+
+const { Router } = require('express');
+const { asyncHandler, AppError, requireAuth, requireCompany, requireRole } = require('../middleware');
+const { CompanyService } = require('../../database/services/CompanyService');
+const { RepositoryService } = require('../../database/services/RepositoryService');
+const GitHubAppService = require('../../githubAppService');
+
+const companyService = new CompanyService();
+const repositoryService = new RepositoryService();
+const githubAppService = new GitHubAppService();
+const router = Router();
+
+router.use(requireAuth, requireCompany);
+
+/**
+ * Reject requests when the server has no GitHub App credentials.
+ */
+function assertAppConfigured() {
+  if (!githubAppService.isConfigured()) {
+    throw new AppError('CONFIG_ERROR', 'GitHub App is not configured.', 500);
+  }
+}
+
+/**
+ * Load the company and its linked installation, or throw.
+ */
+async function requireInstallation(companyId) {
+  const company = await companyService.findById(companyId);
+  if (!company) {
+    throw new AppError('NOT_FOUND', 'Company not found.', 404);
+  }
+  if (!company.githubApp?.installationId) {
+    throw new AppError('GITHUB_APP_NOT_LINKED', 'No GitHub App installation is linked to this company.', 400);
+  }
+  return company;
+}
+
+/**
+ * Shape the linked installation for API responses.
+ */
+function formatInstallation(githubApp) {
+  if (!githubApp) return null;
+  return {
+    installationId: Number(githubApp.installationId),
+    accountLogin: githubApp.accountLogin,
+    accountType: githubApp.accountType,
+    repositorySelection: githubApp.repositorySelection,
+    linkedAt: githubApp.linkedAt,
+  };
+}
+
+/* ──────────── GET / ──────────── */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const company = await companyService.findById(req.companyId);
+    if (!company) {
+      throw new AppError('NOT_FOUND', 'Company not found.', 404);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        configured: githubAppService.isConfigured(),
+        installUrl: githubAppService.installUrl(githubAppService.createInstallState(req.companyId)),
+        installation: formatInstallation(company.githubApp),
+      },
+    });
+  }),
+);
+
+/* ──────────── PUT /installation ──────────── */
+router.put(
+  '/installation',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    assertAppConfigured();
+    const installationId = Number(req.body.installationId);
+    if (!Number.isSafeInteger(installationId) || installationId <= 0) {
+      throw new AppError('VALIDATION', 'installationId must be a positive integer.', 400);
+    }
+    if (!githubAppService.canVerifyInstallers()) {
+      throw new AppError('CONFIG_ERROR', 'GitHub App OAuth credentials are not configured.', 500);
+    }
+    if (!githubAppService.verifyInstallState(req.body.state, req.companyId)) {
+      throw new AppError(
+        'INVALID_STATE',
+        'state is missing, expired or was not issued to this company. Start the installation again from installUrl.',
+        400,
+      );
+    }
+    if (!req.body.code || typeof req.body.code !== 'string') {
+      throw new AppError('VALIDATION', 'code is required.', 400);
+    }
+
+    // Installation IDs are guessable; GitHub must confirm the installing user can access this one
+    let userToken;
+    try {
+      userToken = await githubAppService.exchangeUserCode(req.body.code);
+    } catch (err) {
+      throw new AppError('INVALID_CODE', 'code is invalid or expired. Start the installation again from installUrl.', 400);
+    }
+    let hasInstallation;
+    try {
+      hasInstallation = await githubAppService.userHasInstallation(userToken, installationId);
+    } catch (err) {
+      throw new AppError('INVALID_INSTALLATION', 'Installations of the authorizing GitHub user could not be listed.', 502);
+    }
+    if (!hasInstallation) {
+      throw new AppError('INVALID_INSTALLATION', `GitHub App installation ${installationId} is not accessible to the authorizing GitHub user.`, 403);
+    }
+
+    const linkedCompany = await companyService.findByGitHubInstallation(installationId);
+    if (linkedCompany && linkedCompany._id.toString() !== req.companyId) {
+      throw new AppError('CONFLICT', 'This GitHub App installation is linked to another company.', 409);
+    }
+
+    let installation;
+    let ghRepos;
+    try {
+      installation = await githubAppService.getInstallation(installationId);
+      ghRepos = await githubAppService.listInstallationRepos(installationId);
+    } catch (err) {
+      throw new AppError('INVALID_INSTALLATION', `GitHub App installation ${installationId} could not be accessed.`, 400);
+    }
+
+    const githubApp = {
+      installationId,
+      accountLogin: installation.account?.login || '',
+      accountType: installation.account?.type || 'Organization',
+      repositorySelection: installation.repository_selection,
+      linkedBy: req.companyMember.clerkUserId,
+      linkedAt: new Date(),
+    };
+    await companyService.setGitHubApp(req.companyId, githubApp);
+
+    // Repos already onboarded with a PAT switch to installation tokens when the app can reach them
+    const { modified } = await repositoryService.useInstallation(
+      req.companyId,
+      ghRepos.map((r) => r.id),
+      installationId,
+    );
+
+    res.json({
+      success: true,
+      data: {
+        installation: formatInstallation(githubApp),
+        accessibleRepos: ghRepos.length,
+        reposSwitched: modified,
+      },
+    });
+  }),
+);
+
+/* ──────────── DELETE /installation ──────────── */
+router.delete(
+  '/installation',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const company = await requireInstallation(req.companyId);
+    const installationId = Number(company.githubApp.installationId);
+
+    await companyService.setGitHubApp(req.companyId, null);
+    const { modified } = await repositoryService.detachInstallation(req.companyId, installationId);
+    githubAppService.clearInstallationToken(installationId);
+
+    res.json({
+      success: true,
+      data: {
+        message: `GitHub App installation unlinked. ${modified} repositories need a personal access token.`,
+      },
+    });
+  }),
+);
+
+/* ──────────── GET /repos ──────────── */
+router.get(
+  '/repos',
+  asyncHandler(async (req, res) => {
+    assertAppConfigured();
+    const company = await requireInstallation(req.companyId);
+
+    let ghRepos;
+    try {
+      ghRepos = await githubAppService.listInstallationRepos(Number(company.githubApp.installationId));
+    } catch (err) {
+      throw new AppError('INVALID_INSTALLATION', 'Repositories of the linked GitHub App installation could not be listed.', 502);
+    }
+
+    const onboarded = await repositoryService.findByCompany(req.companyId);
+    const onboardedIds = new Set(onboarded.filter((r) => (r.provider || 'github') === 'github').map((r) => r.githubRepoId));
+
+    res.json({
+      success: true,
+      data: {
+        repos: ghRepos.map((r) => ({
+          githubRepoId: r.id,
+          fullName: r.full_name,
+          owner: r.owner.login,
+          name: r.name,
+          isPrivate: r.private,
+          isOnboarded: onboardedIds.has(r.id),
+        })),
+      },
+    });
+  }),
+);
+
+module.exports = router;
@@ -20,8 +20,13 @@ const { RepositoryService } = require('../../database/services/RepositoryService
 const { SummaryRunService } = require('../../database/services/SummaryRunService');
 const { InviteService } = require('../../database/services/InviteService');
 const { CompanyService } = require('../../database/services/CompanyService');
+const { PromptTemplateService } = require('../../database/services/PromptTemplateService');
+const { EmailTemplateService } = require('../../database/services/EmailTemplateService');
 
 const { calculateNextRunAt } = require('../utils/scheduleUtils');
+const { parseAIConfigInput, maskAIConfig } = require('../utils/aiConfigUtils');
+const { parseRecipientsInput } = require('../utils/localeUtils');
+const { parseFetchConfigInput } = require('../utils/scopeUtils');
 
 const monitoredContributorService = new MonitoredContributorService();
 const contributorService = new ContributorService();
@@ -29,10 +34,77 @@ const repositoryService = new RepositoryService();
 const summaryRunService = new SummaryRunService();
 const inviteService = new InviteService();
 const companyService = new CompanyService();
+const promptTemplateService = new PromptTemplateService();
+const emailTemplateService = new EmailTemplateService();
 
 const router = Router();
 router.use(requireAuth, requireCompany);
 
+/**
+ * Validate a `promptTemplateId` from the request body.
+ * `null` detaches the template so the company default applies.
+ * @returns {Promise<ObjectId|null>}
+ */
+async function resolvePromptTemplateId(promptTemplateId, companyId) {
+  if (promptTemplateId === null) return null;
+  if (typeof promptTemplateId !== 'string' || !ObjectId.isValid(promptTemplateId)) {
+    throw new AppError('VALIDATION', 'promptTemplateId must be a valid id or null.', 400);
+  }
+  const template = await promptTemplateService.findById(promptTemplateId);
+  if (!template || template.companyId.toString() !== companyId) {
+    throw new AppError('NOT_FOUND', 'Prompt template not found.', 404);
+  }
+  return template._id;
+}
+
+/**
+ * Validate an `emailTemplateId` from the request body.
+ * `null` detaches the template so the company default applies.
+ * @returns {Promise<ObjectId|null>}
+ */
+async function resolveEmailTemplateId(emailTemplateId, companyId) {
+  if (emailTemplateId === null) return null;
+  if (typeof emailTemplateId !== 'string' || !ObjectId.isValid(emailTemplateId)) {
+    throw new AppError('VALIDATION', 'emailTemplateId must be a valid id or null.', 400);
+  }
+  const template = await emailTemplateService.findById(emailTemplateId);
+  if (!template || template.companyId.toString() !== companyId) {
+    throw new AppError('NOT_FOUND', 'Email template not found.', 404);
+  }
+  return template._id;
+}
+
+/**
+ * Validate the repos an organization-wide slot covers. An empty list means
+ * every active company repo, including ones onboarded later.
+ * @returns {Promise<{repositoryIds: ObjectId[], repoFullName: string}>} ids and the display name
+ */
+async function resolveOrganizationRepos(repositoryIds, companyId) {
+  const ids = repositoryIds ?? [];
+  if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string' || !ObjectId.isValid(id))) {
+    throw new AppError('VALIDATION', 'repositoryIds must be an array of repository ids.', 400);
+  }
+
+  const companyRepos = await repositoryService.findByCompany(companyId);
+  if (companyRepos.length === 0) {
+    throw new AppError('VALIDATION', 'Onboard at least one repository before adding organization-wide monitoring.', 400);
+  }
+  if (ids.length === 0) {
+    return { repositoryIds: [], repoFullName: 'all repositories' };
+  }
+
+  const byId = new Map(companyRepos.map((repo) => [repo._id.toString(), repo]));
+  const missing = ids.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    throw new AppError('NOT_FOUND', `Repository not found: ${missing.join(', ')}.`, 404);
+  }
+  const selected = [...new Set(ids)].map((id) => byId.get(id));
+  return {
+    repositoryIds: selected.map((repo) => repo._id),
+    repoFullName: selected.map((repo) => repo.fullName).sort().join(', '),
+  };
+}
+
 /* ──────────── POST / ──────────── */
 router.post(
   '/',
@@ -41,16 +113,39 @@ router.post(
     const {
       githubUsername,
       repositoryId,
+      coverage = 'repository',
+      repositoryIds,
       monitoringType,
       inviteEmail,
       schedule,
       fetchConfig,
       emailConfig,
+      aiConfig,
+      promptTemplateId,
+      emailTemplateId,
     } = req.body;
 
-    if (!githubUsername || !repositoryId) {
+    if (!['repository', 'organization'].includes(coverage)) {
+      throw new AppError('VALIDATION', 'coverage must be repository or organization.', 400);
+    }
+    const isOrganization = coverage === 'organization';
+    if (!githubUsername || (!isOrganization && !repositoryId)) {
       throw new AppError('VALIDATION', 'githubUsername and repositoryId are required.', 400);
     }
+    if (isOrganization && repositoryId) {
+      throw new AppError('VALIDATION', 'Organization-wide monitoring takes repositoryIds instead of repositoryId.', 400);
+    }
+    const parsedAIConfig = aiConfig !== undefined ? await parseAIConfigInput(aiConfig) : null;
+    const parsedFetchConfig = fetchConfig ? parseFetchConfigInput(fetchConfig) : null;
+    const parsedEmailConfig = emailConfig
+      ? { ...emailConfig, recipients: parseRecipientsInput(emailConfig.recipients || []) }
+      : null;
+    const templateId = promptTemplateId !== undefined
+      ? await resolvePromptTemplateId(promptTemplateId, req.companyId)
+      : null;
+    const parsedEmailTemplateId = emailTemplateId !== undefined
+      ? await resolveEmailTemplateId(emailTemplateId, req.companyId)
+      : null;
 
     // ── Plan-limit guard: check contributor quota before proceeding ──
     const company = await companyService.findById(req.companyId);
@@ -68,10 +163,16 @@ router.post(
       );
     }
 
-    // Validate repo belongs to company
-    const repo = await repositoryService.findById(repositoryId);
-    if (!repo || repo.companyId.toString() !== req.companyId) {
-      throw new AppError('NOT_FOUND', 'Repository not found.', 404);
+    // Validate the repo (or, organization-wide, the selected repos) belongs to the company
+    let coveredRepos;
+    if (isOrganization) {
+      coveredRepos = await resolveOrganizationRepos(repositoryIds, req.companyId);
+    } else {
+      const repo = await repositoryService.findById(repositoryId);
+      if (!repo || repo.companyId.toString() !== req.companyId) {
+        throw new AppError('NOT_FOUND', 'Repository not found.', 404);
+      }
+      coveredRepos = { repositoryIds: [], repoFullName: repo.fullName };
     }
 
     // Find or create contributor
@@ -93,11 +194,12 @@ router.post(
     };
     mergedSchedule.nextRunAt = calculateNextRunAt(mergedSchedule);
 
-    // Check if a soft-deleted record already exists for this combo — reactivate it
+    // Check if a soft-deleted record already exists for this combo — reactivate it.
+    // A contributor has at most one organization-wide slot (repositoryId null).
     const existing = await monitoredContributorService.findOne({
       companyId: new ObjectId(req.companyId),
       contributorId: new ObjectId(contributor._id.toString()),
-      repositoryId: new ObjectId(repositoryId),
+      repositoryId: isOrganization ? null : new ObjectId(repositoryId),
     });
 
     let mc;
@@ -105,10 +207,16 @@ router.post(
       // Reactivate the existing record with updated config
       await monitoredContributorService.updateById(existing._id.toString(), {
         status: 'active',
+        coverage,
+        repositoryIds: coveredRepos.repositoryIds,
+        repoFullName: coveredRepos.repoFullName,
         monitoringType: monitoringType || 'ghost',
         schedule: mergedSchedule,
-        fetchConfig: fetchConfig || { windowType: 'since_last_run', dateRange: null },
-        emailConfig: emailConfig || { recipients: [] },
+        fetchConfig: parsedFetchConfig || { windowType: 'since_last_run', dateRange: null },
+        emailConfig: parsedEmailConfig || { recipients: [] },
+        aiConfig: parsedAIConfig,
+        promptTemplateId: templateId,
+        emailTemplateId: parsedEmailTemplateId,
         inviteStatus: 'not_sent',
         inviteEmail: null,
         addedBy: req.companyMember.clerkUserId,
@@ -118,13 +226,18 @@ router.post(
       mc = await monitoredContributorService.createMonitoring({
         companyId: req.companyId,
         contributorId: contributor._id.toString(),
-        repositoryId,
+        repositoryId: isOrganization ? null : repositoryId,
+        coverage,
+        repositoryIds: coveredRepos.repositoryIds,
         githubUsername,
-        repoFullName: repo.fullName,
+        repoFullName: coveredRepos.repoFullName,
         monitoringType: monitoringType || 'ghost',
         schedule: mergedSchedule,
-        fetchConfig,
-        emailConfig,
+        fetchConfig: parsedFetchConfig,
+        emailConfig: parsedEmailConfig,
+        aiConfig: parsedAIConfig,
+        promptTemplateId: templateId,
+        emailTemplateId: parsedEmailTemplateId,
         addedBy: req.companyMember.clerkUserId,
       });
     }
@@ -159,6 +272,8 @@ router.post(
         _id: mc._id.toString(),
         githubUsername: mc.githubUsername,
         repoFullName: mc.repoFullName,
+        coverage: mc.coverage || 'repository',
+        repositoryIds: (mc.repositoryIds || []).map((id) => id.toString()),
         monitoringType: mc.monitoringType,
         inviteStatus,
         schedule: {
@@ -181,7 +296,14 @@ router.get(
 
     // Build query — companyId is stored as ObjectId in the DB
     const query = { companyId: new ObjectId(req.companyId) };
-    if (repoId) query.repositoryId = new ObjectId(repoId);
+    if (repoId) {
+      // Organization-wide slots cover the repo when they select it or select none (all repos)
+      query.$or = [
+        { repositoryId: new ObjectId(repoId) },
+        { coverage: 'organization', repositoryIds: new ObjectId(repoId) },
+        { coverage: 'organization', repositoryIds: { $size: 0 } },
+      ];
+    }
     if (status) query.status = status;
     else query.status = { $ne: 'removed' };
     if (monitoringType) query.monitoringType = monitoringType;
@@ -207,6 +329,7 @@ router.get(
           githubUsername: mc.githubUsername,
           avatarUrl: mc.avatarUrl,
           repoFullName: mc.repoFullName,
+          coverage: mc.coverage || 'repository',
           monitoringType: mc.monitoringType,
           inviteStatus: mc.inviteStatus,
           status: mc.status,
@@ -231,7 +354,7 @@ router.get(
       throw new AppError('NOT_FOUND', 'Monitored contributor not found.', 404);
     }
 
-    res.json({ success: true, data: mc });
+    res.json({ success: true, data: { ...mc, aiConfig: maskAIConfig(mc.aiConfig) } });
   }),
 );
 
@@ -245,17 +368,32 @@ router.patch(
       throw new AppError('NOT_FOUND', 'Monitored contributor not found.', 404);
     }
 
-    const { schedule, fetchConfig, emailConfig, monitoringType, status } = req.body;
+    const {
+      schedule, fetchConfig, emailConfig, aiConfig, promptTemplateId, emailTemplateId, monitoringType, status, repositoryIds,
+    } = req.body;
 
     // Apply partial updates
     const updates = {};
     if (schedule) {
       await monitoredContributorService.updateSchedule(req.params.id, schedule);
     }
-    if (fetchConfig) updates.fetchConfig = fetchConfig;
+    if (fetchConfig) updates.fetchConfig = parseFetchConfigInput(fetchConfig);
     if (monitoringType) updates.monitoringType = monitoringType;
+    if (repositoryIds !== undefined) {
+      if (mc.coverage !== 'organization') {
+        throw new AppError('VALIDATION', 'repositoryIds only applies to organization-wide monitoring.', 400);
+      }
+      Object.assign(updates, await resolveOrganizationRepos(repositoryIds, req.companyId));
+    }
+    if (aiConfig !== undefined) updates.aiConfig = await parseAIConfigInput(aiConfig, mc.aiConfig);
+    if (promptTemplateId !== undefined) {
+      updates.promptTemplateId = await resolvePromptTemplateId(promptTemplateId, req.companyId);
+    }
+    if (emailTemplateId !== undefined) {
+      updates.emailTemplateId = await resolveEmailTemplateId(emailTemplateId, req.companyId);
+    }
     if (emailConfig && Array.isArray(emailConfig.recipients)) {
-      await monitoredContributorService.updateRecipients(req.params.id, emailConfig.recipients);
+      await monitoredContributorService.updateRecipients(req.params.id, parseRecipientsInput(emailConfig.recipients));
     }
 
     if (Object.keys(updates).length > 0) {
@@ -0,0 +1,214 @@
+/**
+ * Company Prompt Templates routes
+ *
+ * POST   /company/prompt-templates                – create template
+ * GET    /company/prompt-templates                – list templates
+ * GET    /company/prompt-templates/:templateId    – get template
+ * PATCH  /company/prompt-templates/:templateId    – update template
+ * DELETE /company/prompt-templates/:templateId    – delete template (detaches it from monitored contributors)
+ */
+
+const { Router } = require('express');
+const { asyncHandler, AppError, requireAuth, requireCompany, requireRole } = require('../middleware');
+const { PromptTemplateService } = require('../../database/services/PromptTemplateService');
+const { MonitoredContributorService } = require('../../database/services/MonitoredContributorService');
+const {
+  TEMPLATE_VARIABLES,
+  TONE_OPTIONS,
+  LENGTH_OPTIONS,
+  AUDIENCE_OPTIONS,
+  findUnknownVariables,
+} = require('../../llm/promptTemplate');
+
+const promptTemplateService = new PromptTemplateService();
+const monitoredContributorService = new MonitoredContributorService();
+const router = Router();
+
+router.use(requireAuth, requireCompany);
+
+const MAX_INSTRUCTIONS_LENGTH = 5000;
+
+/**
+ * Validate template fields present in the request body.
+ * @param {object} body
+ * @returns {object} fields ready to be stored
+ */
+function parseTemplateFields(body) {
+  const fields = {};
+  const { name, description, instructions, tone, length, sections, language, audience, isDefault } = body;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new AppError('VALIDATION', 'name must be a non-empty string.', 400);
+    }
+    fields.name = name.trim();
+  }
+  if (description !== undefined) fields.description = description || null;
+
+  if (instructions !== undefined) {
+    if (typeof instructions !== 'string' || !instructions.trim()) {
+      throw new AppError('VALIDATION', 'instructions must be a non-empty string.', 400);
+    }
+    if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      throw new AppError('VALIDATION', `instructions must be at most ${MAX_INSTRUCTIONS_LENGTH} characters.`, 400);
+    }
+    const unknown = findUnknownVariables(instructions);
+    if (unknown.length > 0) {
+      throw new AppError(
+        'VALIDATION',
+        `Unknown template variable(s): ${unknown.join(', ')}. Supported: ${TEMPLATE_VARIABLES.join(', ')}.`,
+        400,
+      );
+    }
+    fields.instructions = instructions;
+  }
+
+  const enums = { tone: [tone, TONE_OPTIONS], length: [length, LENGTH_OPTIONS], audience: [audience, AUDIENCE_OPTIONS] };
+  for (const [field, [value, options]] of Object.entries(enums)) {
+    if (value === undefined) continue;
+    if (value !== null && !options.includes(value)) {
+      throw new AppError('VALIDATION', `${field} must be one of: ${options.join(', ')}.`, 400);
+    }
+    fields[field] = value;
+  }
+
+  if (sections !== undefined) {
+    if (!Array.isArray(sections) || sections.some((s) => typeof s !== 'string' || !s.trim())) {
+      throw new AppError('VALIDATION', 'sections must be an array of non-empty strings.', 400);
+    }
+    fields.sections = sections.map((s) => s.trim());
+  }
+  if (language !== undefined) fields.language = language || null;
+  if (isDefault !== undefined) fields.isDefault = !!isDefault;
+
+  return fields;
+}
+
+/** Public view of a template document. */
+function formatTemplate(t) {
+  return {
+    _id: t._id.toString(),
+    name: t.name,
+    description: t.description,
+    instructions: t.instructions,
+    tone: t.tone,
+    length: t.length,
+    sections: t.sections || [],
+    language: t.language,
+    audience: t.audience,
+    isDefault: !!t.isDefault,
+    createdAt: t.createdAt,
+    updatedAt: t.updatedAt,
+  };
+}
+
+/** Load a template and make sure it belongs to the caller's company. */
+async function findCompanyTemplate(templateId, companyId) {
+  const template = await promptTemplateService.findById(templateId);
+  if (!template || template.companyId.toString() !== companyId) {
+    throw new AppError('NOT_FOUND', 'Prompt template not found.', 404);
+  }
+  return template;
+}
+
+/* ──────────── POST / ──────────── */
+router.post(
+  '/',
+  requireRole('admin', 'manager'),
+  asyncHandler(async (req, res) => {
+    const fields = parseTemplateFields(req.body);
+    if (!fields.name || !fields.instructions) {
+      throw new AppError('VALIDATION', 'name and instructions are required.', 400);
+    }
+
+    if (await promptTemplateService.findByName(req.companyId, fields.name)) {
+      throw new AppError('DUPLICATE', `A prompt template named "${fields.name}" already exists.`, 409);
+    }
+
+    if (fields.isDefault) {
+      await promptTemplateService.clearDefault(req.companyId);
+    }
+
+    const template = await promptTemplateService.createTemplate({
+      companyId: req.companyId,
+      ...fields,
+      createdBy: req.companyMember.clerkUserId,
+    });
+
+    res.status(201).json({ success: true, data: formatTemplate(template) });
+  }),
+);
+
+/* ──────────── GET / ──────────── */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const templates = await promptTemplateService.findByCompany(req.companyId);
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map(formatTemplate),
+        variables: TEMPLATE_VARIABLES,
+      },
+    });
+  }),
+);
+
+/* ──────────── GET /:templateId ──────────── */
+router.get(
+  '/:templateId',
+  asyncHandler(async (req, res) => {
+    const template = await findCompanyTemplate(req.params.templateId, req.companyId);
+    res.json({ success: true, data: formatTemplate(template) });
+  }),
+);
+
+/* ──────────── PATCH /:templateId ──────────── */
+router.patch(
+  '/:templateId',
+  requireRole('admin', 'manager'),
+  asyncHandler(async (req, res) => {
+    const template = await findCompanyTemplate(req.params.templateId, req.companyId);
+    const updates = parseTemplateFields(req.body);
+
+    if (updates.name && updates.name !== template.name) {
+      if (await promptTemplateService.findByName(req.companyId, updates.name)) {
+        throw new AppError('DUPLICATE', `A prompt template named "${updates.name}" already exists.`, 409);
+      }
+    }
+
+    if (updates.isDefault && !template.isDefault) {
+      await promptTemplateService.clearDefault(req.companyId);
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await promptTemplateService.updateById(req.params.templateId, updates);
+    }
+
+    const updated = await promptTemplateService.findById(req.params.templateId);
+    res.json({ success: true, data: formatTemplate(updated) });
+  }),
+);
+
+/* ──────────── DELETE /:templateId ──────────── */
+router.delete(
+  '/:templateId',
+  requireRole('admin', 'manager'),
+  asyncHandler(async (req, res) => {
+    const template = await findCompanyTemplate(req.params.templateId, req.companyId);
+
+    // Monitoring slots using this template fall back to the company default
+    const { modified } = await monitoredContributorService.updateMany(
+      { companyId: template.companyId, promptTemplateId: template._id },
+      { promptTemplateId: null },
+    );
+    await promptTemplateService.deleteById(req.params.templateId);
+
+    res.json({
+      success: true,
+      data: { message: 'Prompt template deleted.', detachedMonitoredContributors: modified },
+    });
+  }),
+);
+
+module.exports = router;
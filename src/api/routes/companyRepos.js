@@ -1,36 +1,77 @@
 /**
  * Company Repositories routes
  *
- * POST   /company/repos                      – onboard repo (admin)
+ * POST   /company/repos                      – onboard a GitHub, GitLab or Bitbucket repo (admin)
  * GET    /company/repos                      – list repos
- * GET    /company/repos/:repoId/contributors – GitHub contributors
+ * GET    /company/repos/:repoId/contributors – contributors on the code host
  * DELETE /company/repos/:repoId              – remove repo (admin)
- * PATCH  /company/repos/:repoId/token        – rotate PAT (admin)
+ * PATCH  /company/repos/:repoId/token        – rotate access token (admin)
+ * PATCH  /company/repos/:repoId/scope        – set path filters, bot and label exclusions (admin)
+ * POST   /company/repos/:repoId/webhook-secret – rotate the GitHub webhook secret (admin)
  */
 
 const { Router } = require('express');
-const { Octokit } = require('@octokit/rest');
+const { Long } = require('mongodb');
 const { asyncHandler, AppError, requireAuth, requireCompany, requireRole } = require('../middleware');
 const { RepositoryService } = require('../../database/services/RepositoryService');
 const { MonitoredContributorService } = require('../../database/services/MonitoredContributorService');
 const { CompanyService } = require('../../database/services/CompanyService');
+const GitHubAppService = require('../../githubAppService');
+const { SOURCE_PROVIDERS, createSourceProvider } = require('../../sources');
+const { webhookHealth } = require('../../sources/webhooks');
+const { parseScopeInput } = require('../utils/scopeUtils');
 
 const repositoryService = new RepositoryService();
 const monitoredContributorService = new MonitoredContributorService();
 const companyService = new CompanyService();
+const githubAppService = new GitHubAppService();
 const router = Router();
 
 router.use(requireAuth, requireCompany);
 
+/**
+ * Validate an optional self-hosted base URL; returns it without a trailing slash, or null.
+ */
+function normalizeBaseUrl(baseUrl) {
+  if (baseUrl === undefined || baseUrl === null || baseUrl === '') return null;
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (err) {
+    throw new AppError('VALIDATION', 'baseUrl must be a valid URL.', 400);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new AppError('VALIDATION', 'baseUrl must be an http(s) URL.', 400);
+  }
+  return url.toString().replace(/\/+$/, '');
+}
+
+/**
+ * Source provider for an onboarded repo (installation token for GitHub App repos).
+ */
+async function repoSourceProvider(repo) {
+  let token;
+  try {
+    token = await githubAppService.getRepoAccessToken(repo);
+  } catch (err) {
+    throw new AppError('INVALID_INSTALLATION', `Could not obtain a GitHub App token for ${repo.fullName}.`, 502);
+  }
+  return createSourceProvider({ provider: repo.provider || 'github', baseUrl: repo.baseUrl, token });
+}
+
 /* ──────────── POST / ──────────── */
 router.post(
   '/',
   requireRole('admin'),
   asyncHandler(async (req, res) => {
-    const { accessToken, owner, repoName } = req.body;
-    if (!accessToken || !owner || !repoName) {
-      throw new AppError('VALIDATION', 'accessToken, owner, and repoName are required.', 400);
+    const { accessToken, owner, repoName, provider = 'github' } = req.body;
+    if (!owner || !repoName) {
+      throw new AppError('VALIDATION', 'owner and repoName are required.', 400);
     }
+    if (!SOURCE_PROVIDERS.includes(provider)) {
+      throw new AppError('VALIDATION', `provider must be one of: ${SOURCE_PROVIDERS.join(', ')}.`, 400);
+    }
+    const baseUrl = normalizeBaseUrl(req.body.baseUrl);
 
     // ── Plan-limit guard: check repo quota before proceeding ──
     const company = await companyService.findById(req.companyId);
@@ -48,16 +89,29 @@ router.post(
       );
     }
 
-    // Validate token against GitHub
-    const octokit = new Octokit({ auth: accessToken });
-    let ghRepo;
+    // Without a PAT a GitHub repo is accessed through the company's GitHub App installation
+    const installationId = accessToken || provider !== 'github' ? null : Number(company.githubApp?.installationId) || null;
+    if (!accessToken && !installationId) {
+      throw new AppError(
+        'VALIDATION',
+        provider === 'github'
+          ? 'accessToken is required unless a GitHub App installation is linked.'
+          : 'accessToken is required.',
+        400,
+      );
+    }
+
+    // Validate access against the code host
+    let hostRepo;
     try {
-      const { data } = await octokit.repos.get({ owner, repo: repoName });
-      ghRepo = data;
+      const token = accessToken || await githubAppService.getInstallationToken(installationId);
+      hostRepo = await createSourceProvider({ provider, baseUrl, token }).getRepository(owner, repoName);
     } catch (err) {
       throw new AppError(
-        'INVALID_PAT',
-        `The provided access token could not authenticate against ${owner}/${repoName}.`,
+        accessToken ? 'INVALID_PAT' : 'INVALID_INSTALLATION',
+        accessToken
+          ? `The provided access token could not authenticate against ${owner}/${repoName}.`
+          : `The GitHub App installation cannot access ${owner}/${repoName}.`,
         400,
       );
     }
@@ -65,18 +119,30 @@ router.post(
     const fullName = `${owner}/${repoName}`;
 
     // Check for duplicate — reactivate if soft-deleted
-    const existing = await repositoryService.findByFullName(req.companyId, fullName);
+    const existing = await repositoryService.findByFullName(req.companyId, fullName, { provider, baseUrl });
     if (existing) {
       if (existing.status === 'removed') {
         // Reactivate the soft-deleted repo with the new token
         await repositoryService.updateById(existing._id.toString(), {
           status: 'active',
-          encryptedAccessToken: accessToken,
+          provider,
+          baseUrl,
+          authType: installationId ? 'github_app' : 'pat',
+          encryptedAccessToken: accessToken || null,
+          installationId: installationId ? Long.fromNumber(installationId) : null,
           tokenAddedBy: req.companyMember.clerkUserId,
-          githubRepoId: ghRepo.id,
-          isPrivate: ghRepo.private,
+          githubRepoId: hostRepo.id,
+          isPrivate: hostRepo.isPrivate,
           lastSyncedAt: null,
+          pullsEtag: null,
+          webhookSecret: null,
+          webhookSince: null,
+          webhookLastDeliveryAt: null,
         });
+        // A fresh webhook secret, so a webhook left over from before the removal stops counting
+        const webhookSecret = provider === 'github'
+          ? await repositoryService.rotateWebhookSecret(existing._id.toString())
+          : null;
 
         // Increment usage counter
         await companyService.incrementUsage(req.companyId, 'reposCount');
@@ -86,8 +152,11 @@ router.post(
           data: {
             _id: existing._id.toString(),
             fullName: existing.fullName,
-            isPrivate: ghRepo.private,
+            provider,
+            isPrivate: hostRepo.isPrivate,
+            authType: installationId ? 'github_app' : 'pat',
             status: 'active',
+            webhookSecret,
             createdAt: existing.createdAt,
           },
         });
@@ -97,12 +166,15 @@ router.post(
 
     const repo = await repositoryService.onboardRepo({
       companyId: req.companyId,
-      githubRepoId: ghRepo.id,
+      provider,
+      baseUrl,
+      githubRepoId: hostRepo.id,
       owner,
       name: repoName,
       fullName,
-      isPrivate: ghRepo.private,
-      encryptedAccessToken: accessToken, // In production, encrypt before storing
+      isPrivate: hostRepo.isPrivate,
+      encryptedAccessToken: accessToken || null, // In production, encrypt before storing
+      installationId,
       tokenAddedBy: req.companyMember.clerkUserId,
     });
 
@@ -114,8 +186,11 @@ router.post(
       data: {
         _id: repo._id.toString(),
         fullName: repo.fullName,
+        provider: repo.provider,
         isPrivate: repo.isPrivate,
+        authType: repo.authType,
         status: repo.status,
+        webhookSecret: repo.webhookSecret,
         createdAt: repo.createdAt,
       },
     });
@@ -135,9 +210,14 @@ router.get(
           fullName: r.fullName,
           owner: r.owner,
           name: r.name,
+          provider: r.provider || 'github',
+          baseUrl: r.baseUrl || null,
           isPrivate: r.isPrivate,
+          authType: r.authType || 'pat',
           status: r.status,
           lastSyncedAt: r.lastSyncedAt,
+          webhook: (r.provider || 'github') === 'github' ? webhookHealth(r) : null,
+          scope: r.scope || null,
         })),
       },
     });
@@ -153,13 +233,9 @@ router.get(
       throw new AppError('NOT_FOUND', 'Repository not found.', 404);
     }
 
-    // Fetch contributors from GitHub
-    const octokit = new Octokit({ auth: repo.encryptedAccessToken });
-    const { data: ghContributors } = await octokit.repos.listContributors({
-      owner: repo.owner,
-      repo: repo.name,
-      per_page: 100,
-    });
+    // Fetch contributors from the code host
+    const source = await repoSourceProvider(repo);
+    const hostContributors = await source.listContributors(repo.owner, repo.name);
 
     // Check which are already monitored
     const monitored = await monitoredContributorService.findByCompanyAndRepo(
@@ -168,10 +244,10 @@ router.get(
     );
     const monitoredUsernames = new Set(monitored.map((m) => m.githubUsername));
 
-    const contributors = ghContributors.map((c) => ({
+    const contributors = hostContributors.map((c) => ({
       githubUsername: c.login,
       githubUserId: c.id,
-      avatarUrl: c.avatar_url,
+      avatarUrl: c.avatarUrl,
       contributions: c.contributions,
       isAlreadyMonitored: monitoredUsernames.has(c.login),
     }));
@@ -239,9 +315,9 @@ router.patch(
     }
 
     // Validate the new token
-    const octokit = new Octokit({ auth: accessToken });
+    const source = createSourceProvider({ provider: repo.provider || 'github', baseUrl: repo.baseUrl, token: accessToken });
     try {
-      await octokit.repos.get({ owner: repo.owner, repo: repo.name });
+      await source.getRepository(repo.owner, repo.name);
     } catch (err) {
       throw new AppError(
         'INVALID_PAT',
@@ -266,4 +342,44 @@ router.patch(
   }),
 );
 
+/* ──────────── PATCH /:repoId/scope ──────────── */
+router.patch(
+  '/:repoId/scope',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    if (req.body.scope === undefined) {
+      throw new AppError('VALIDATION', 'scope is required (null clears it).', 400);
+    }
+    const scope = parseScopeInput(req.body.scope);
+
+    const repo = await repositoryService.findById(req.params.repoId);
+    if (!repo || repo.companyId.toString() !== req.companyId) {
+      throw new AppError('NOT_FOUND', 'Repository not found.', 404);
+    }
+
+    await repositoryService.updateScope(req.params.repoId, scope);
+
+    res.json({ success: true, data: { scope } });
+  }),
+);
+
+/* ──────────── POST /:repoId/webhook-secret ──────────── */
+router.post(
+  '/:repoId/webhook-secret',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const repo = await repositoryService.findById(req.params.repoId);
+    if (!repo || repo.companyId.toString() !== req.companyId) {
+      throw new AppError('NOT_FOUND', 'Repository not found.', 404);
+    }
+    if ((repo.provider || 'github') !== 'github') {
+      throw new AppError('VALIDATION', 'Webhooks are only supported for GitHub repositories.', 400);
+    }
+
+    const webhookSecret = await repositoryService.rotateWebhookSecret(req.params.repoId);
+
+    res.json({ success: true, data: { webhookSecret } });
+  }),
+);
+
 module.exports = router;
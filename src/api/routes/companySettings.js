@@ -0,0 +1,91 @@
+/**
+ * Company Settings routes
+ *
+ * GET   /company/settings  – current company settings
+ * PATCH /company/settings  – update settings (admin)
+ */
+
+const { Router } = require('express');
+const { asyncHandler, AppError, requireAuth, requireCompany, requireRole } = require('../middleware');
+const { CompanyService } = require('../../database/services/CompanyService');
+const { parseAIConfigInput, maskAIConfig } = require('../utils/aiConfigUtils');
+const { parseRedactionConfigInput } = require('../utils/redactionConfigUtils');
+const { parseLocaleInput } = require('../utils/localeUtils');
+const { parseIntegrationsInput, maskIntegrations } = require('../utils/integrationConfigUtils');
+const { parseEmailConfigInput, maskEmailConfig } = require('../utils/emailConfigUtils');
+
+const companyService = new CompanyService();
+const router = Router();
+
+router.use(requireAuth, requireCompany);
+
+/**
+ * Shape the settings sub-document for API responses.
+ */
+function formatSettings(settings = {}) {
+  return {
+    defaultMonitoringType: settings.defaultMonitoringType || 'ghost',
+    timezone: settings.timezone || 'UTC',
+    locale: settings.locale || null,
+    aiConfig: maskAIConfig(settings.aiConfig),
+    redaction: settings.redaction || null,
+    integrations: maskIntegrations(settings.integrations),
+    emailConfig: maskEmailConfig(settings.emailConfig),
+  };
+}
+
+/* ──────────── GET / ──────────── */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const company = await companyService.findById(req.companyId);
+    if (!company) {
+      throw new AppError('NOT_FOUND', 'Company not found.', 404);
+    }
+
+    res.json({ success: true, data: formatSettings(company.settings) });
+  }),
+);
+
+/* ──────────── PATCH / ──────────── */
+router.patch(
+  '/',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const { defaultMonitoringType, timezone, locale, aiConfig, redaction, integrations, emailConfig } = req.body;
+
+    const company = await companyService.findById(req.companyId);
+    if (!company) {
+      throw new AppError('NOT_FOUND', 'Company not found.', 404);
+    }
+
+    const updates = {};
+    if (defaultMonitoringType !== undefined) {
+      if (!['ghost', 'open'].includes(defaultMonitoringType)) {
+        throw new AppError('VALIDATION', 'defaultMonitoringType must be ghost or open.', 400);
+      }
+      updates.defaultMonitoringType = defaultMonitoringType;
+    }
+    if (timezone !== undefined) updates.timezone = timezone;
+    if (locale !== undefined) updates.locale = parseLocaleInput(locale);
+    if (aiConfig !== undefined) updates.aiConfig = await parseAIConfigInput(aiConfig, company.settings?.aiConfig);
+    if (redaction !== undefined) updates.redaction = parseRedactionConfigInput(redaction);
+    if (integrations !== undefined) {
+      updates.integrations = parseIntegrationsInput(integrations, company.settings?.integrations);
+    }
+    if (emailConfig !== undefined) {
+      updates.emailConfig = parseEmailConfigInput(emailConfig, company.settings?.emailConfig);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new AppError('VALIDATION', 'No updatable settings provided.', 400);
+    }
+
+    await companyService.updateSettings(req.companyId, updates);
+    const updated = await companyService.findById(req.companyId);
+
+    res.json({ success: true, data: formatSettings(updated?.settings) });
+  }),
+);
+
+module.exports = router;
@@ -30,6 +30,8 @@ router.get(
     }
 
     const sub = company.subscription || {};
+    const limits = sub.limits || {};
+    const usage = sub.usage || {};
 
     res.json({
       success: true,
@@ -38,8 +40,12 @@ router.get(
         displayName: sub.displayName || sub.planName,
         status: sub.status,
         currentPeriodEnd: sub.currentPeriodEnd,
-        limits: sub.limits || {},
-        usage: sub.usage || {},
+        limits: { ...limits, maxAiTokensPerMonth: limits.maxAiTokensPerMonth ?? null },
+        usage: {
+          ...usage,
+          aiTokensThisMonth: usage.aiTokensThisMonth ?? 0,
+          aiCostThisMonthUsd: usage.aiCostThisMonthUsd ?? 0,
+        },
       },
     });
   }),
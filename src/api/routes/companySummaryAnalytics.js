@@ -3,6 +3,8 @@
  *
  * GET /company/summary-runs                      – run history
  * GET /company/summary-runs/:runId               – single run detail
+ * POST /company/summary-runs/:runId/resend       – re-deliver a stored summary (admin, manager)
+ * GET /company/email-outbox                      – queued, retrying and dead-lettered emails
  * GET /company/analytics/overview                – company-wide analytics
  * GET /company/analytics/contributor/:contributorId – per-contributor
  * GET /company/analytics/team/:teamId            – team-level
@@ -10,17 +12,31 @@
 
 const { Router } = require('express');
 const { ObjectId } = require('mongodb');
-const { asyncHandler, AppError, requireAuth, requireCompany } = require('../middleware');
+const { asyncHandler, AppError, requireAuth, requireCompany, requireRole } = require('../middleware');
+const {
+  findEmailTemplate,
+  runTemplateVariables,
+  runSummaryForLocale,
+  renderRunEmail,
+  summarizeDeliveries,
+  enqueueRunEmail,
+  deliverOutboxEmail,
+} = require('../../outboxWorker');
+const { DEFAULT_LOCALE } = require('../../llm/locale');
 
 const { SummaryRunService } = require('../../database/services/SummaryRunService');
 const { MonitoredContributorService } = require('../../database/services/MonitoredContributorService');
 const { TeamService } = require('../../database/services/TeamService');
 const { ContributorService } = require('../../database/services/ContributorService');
+const { CompanyService } = require('../../database/services/CompanyService');
+const { EmailOutboxService } = require('../../database/services/EmailOutboxService');
 
 const summaryRunService = new SummaryRunService();
 const monitoredContributorService = new MonitoredContributorService();
 const teamService = new TeamService();
 const contributorService = new ContributorService();
+const companyService = new CompanyService();
+const emailOutboxService = new EmailOutboxService();
 
 const router = Router();
 router.use(requireAuth, requireCompany);
@@ -86,7 +102,9 @@ router.get(
           scheduledAt: r.scheduledAt,
           completedAt: r.completedAt,
           hasActivity: r.hasActivity,
-          prStats: r.prStats ? { totalPRsFetched: r.prStats.totalPRsFetched } : null,
+          prStats: r.prStats
+            ? { totalPRsFetched: r.prStats.totalPRsFetched, lifecycle: r.prStats.lifecycle || null, activity: r.prStats.activity || null }
+            : null,
           emailStatus: r.emailStatus
             ? { status: r.emailStatus.status, sentAt: r.emailStatus.sentAt }
             : null,
@@ -110,6 +128,140 @@ router.get(
   }),
 );
 
+/**
+ * Recipient groups to re-deliver a run to: the locales it was sent in,
+ * or all of its recipients in the default locale for runs without deliveries.
+ */
+function resendGroups(run) {
+  const deliveries = run.emailStatus?.deliveries || [];
+  if (deliveries.length > 0) {
+    return deliveries.map((d) => ({ locale: d.locale, recipients: d.recipients }));
+  }
+  const recipients = run.emailStatus?.recipients || [];
+  return recipients.length > 0 ? [{ locale: DEFAULT_LOCALE, recipients }] : [];
+}
+
+/* ──────────── POST /summary-runs/:runId/resend ──────────── */
+router.post(
+  '/summary-runs/:runId/resend',
+  requireRole('admin', 'manager'),
+  asyncHandler(async (req, res) => {
+    const run = await summaryRunService.findById(req.params.runId);
+    if (!run || run.companyId.toString() !== req.companyId) {
+      throw new AppError('NOT_FOUND', 'Summary run not found.', 404);
+    }
+    if (!run.aiSummary) {
+      throw new AppError('VALIDATION', 'This run has no stored summary to send.', 400);
+    }
+
+    const groups = resendGroups(run);
+    if (groups.length === 0) {
+      throw new AppError('VALIDATION', 'This run has no recipients to send to.', 400);
+    }
+    if (await emailOutboxService.hasUndelivered(run._id.toString())) {
+      throw new AppError('CONFLICT', 'Emails for this run are still being delivered.', 409);
+    }
+
+    const company = await companyService.findById(req.companyId);
+    const maxEmails = company?.subscription?.limits?.maxEmailsPerMonth ?? 50;
+    const sentEmails = company?.subscription?.usage?.emailsSentThisMonth ?? 0;
+    if (sentEmails + groups.length > maxEmails) {
+      throw new AppError(
+        'PLAN_LIMIT',
+        `Monthly email limit reached (${maxEmails}). Upgrade your plan to send more.`,
+        403,
+      );
+    }
+
+    // The stored summary goes out as-is – translated where the run has a translation –
+    // in the slot's current email template
+    const mc = run.monitoredContributorId
+      ? await monitoredContributorService.findById(run.monitoredContributorId.toString())
+      : null;
+    const template = await findEmailTemplate(req.companyId, mc?.emailTemplateId);
+    const variables = runTemplateVariables(run, company);
+    const entries = [];
+    const deliveries = [];
+    for (const group of groups) {
+      const { subject, text, html } = renderRunEmail({
+        markdown: runSummaryForLocale(run, group.locale),
+        locale: group.locale,
+        company,
+        template,
+        variables,
+        pullRequests: run.prStats?.pullRequests || [],
+      });
+      const { entry, delivery } = await enqueueRunEmail({
+        run,
+        monitoredContributorId: run.monitoredContributorId,
+        locale: group.locale,
+        recipients: group.recipients,
+        subject,
+        text,
+        html,
+      });
+      entries.push(entry);
+      deliveries.push(delivery);
+    }
+    const recipients = groups.flatMap((group) => group.recipients);
+    const emailStatus = summarizeDeliveries(recipients, deliveries);
+    await summaryRunService.updateEmailStatus(run._id.toString(), emailStatus);
+
+    // First attempts run in the background; failures are retried by the outbox worker
+    (async () => {
+      for (const entry of entries) {
+        await deliverOutboxEmail(entry);
+      }
+    })().catch((err) => console.error(`[outbox] resend of run ${run._id} failed – ${err.message}`));
+
+    res.status(202).json({ success: true, data: { runId: run._id.toString(), emailStatus } });
+  }),
+);
+
+/* ──────────── GET /email-outbox ──────────── */
+router.get(
+  '/email-outbox',
+  asyncHandler(async (req, res) => {
+    const { status, page = 1, limit = 20 } = req.query;
+    if (status && !['pending', 'sending', 'sent', 'dead'].includes(status)) {
+      throw new AppError('VALIDATION', 'status must be pending, sending, sent or dead.', 400);
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const { items, total } = await emailOutboxService.findByCompany(req.companyId, {
+      status: status || null,
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        items: items.map((entry) => ({
+          _id: entry._id.toString(),
+          summaryRunId: entry.summaryRunId.toString(),
+          locale: entry.locale,
+          recipients: entry.recipients,
+          subject: entry.subject,
+          status: entry.status,
+          attempts: entry.attempts,
+          maxAttempts: entry.maxAttempts,
+          nextAttemptAt: ['pending', 'sending'].includes(entry.status) ? entry.nextAttemptAt : null,
+          lastError: entry.lastError,
+          sender: entry.sender,
+          sentAt: entry.sentAt,
+          deadAt: entry.deadAt,
+          createdAt: entry.createdAt,
+        })),
+      },
+    });
+  }),
+);
+
 /* ──────────── GET /analytics/overview ──────────── */
 router.get(
   '/analytics/overview',
@@ -177,6 +329,8 @@ router.get(
         totalRuns: stats.totalRuns,
         totalEmailsSent: stats.emailsSent,
         totalPRsSummarised: stats.totalPRs,
+        totalAiTokens: stats.aiTokens || 0,
+        totalAiCostUsd: stats.aiCostUsd || 0,
         activeContributors: active,
         inactiveContributors: inactive,
         topContributors,
@@ -3,8 +3,9 @@
  *
  * POST  /contributor/onboard                                – create contributor account
  * PATCH /contributor/mail-config                            – connect mail account
+ * POST  /contributor/mail-config/test                       – test the connected mail account
  * GET   /contributor/profile                                – get profile
- * PATCH /contributor/note/:monitoredContributorId           – update note
+ * PATCH /contributor/note/:monitoredContributorId           – update note / selected template
  * GET   /contributor/templates                              – list templates
  * POST  /contributor/templates                              – save template
  * PATCH /contributor/templates/:templateId                  – update template
@@ -15,12 +16,17 @@
  */
 
 const { Router } = require('express');
+const { ObjectId } = require('mongodb');
 const { asyncHandler, AppError, requireAuth, requireContributor } = require('../middleware');
 
 const { ContributorService } = require('../../database/services/ContributorService');
 const { ContributorAccountService } = require('../../database/services/ContributorAccountService');
 const { MonitoredContributorService } = require('../../database/services/MonitoredContributorService');
 const { SummaryRunService } = require('../../database/services/SummaryRunService');
+const { parseEmailConfigInput, assertContributorMailbox } = require('../utils/emailConfigUtils');
+const EmailService = require('../../emailService');
+const { mailboxToEmailConfig, isSenderSuspended } = require('../../email/senders');
+const { TRANSPORT_DEFAULTS } = require('../../email');
 
 const contributorService = new ContributorService();
 const contributorAccountService = new ContributorAccountService();
@@ -29,6 +35,8 @@ const summaryRunService = new SummaryRunService();
 
 const router = Router();
 
+const MAIL_TEST_FAILED = 'Could not connect or log in to the mail server. Check the host, port and credentials.';
+
 /* ──────────── POST /onboard ──────────── */
 router.post(
   '/onboard',
@@ -76,16 +84,38 @@ router.use(requireAuth, requireContributor);
 router.patch(
   '/mail-config',
   asyncHandler(async (req, res) => {
-    const { provider, email, appPassword } = req.body;
-    if (!provider || !email || !appPassword) {
-      throw new AppError('VALIDATION', 'provider, email, and appPassword are required.', 400);
+    const { provider, email, appPassword, user, ...transport } = req.body;
+    if (!provider || !email) {
+      throw new AppError('VALIDATION', 'provider and email are required.', 400);
     }
 
+    // Same transport rules as a company sender; the mailbox address is the From
+    const mailbox = parseEmailConfigInput(
+      {
+        ...transport,
+        provider,
+        from: email,
+        user: user || (['gmail', 'zoho', 'smtp'].includes(provider) ? email : undefined),
+        password: appPassword,
+      },
+      null,
+      'mailConfig',
+    );
+    await assertContributorMailbox(mailbox);
+
+    const configuredAt = new Date();
     await contributorAccountService.updateMailConfig(req.contributorId, {
       provider,
       email,
-      appPassword, // In production, encrypt before storing
-      configuredAt: new Date(),
+      user: mailbox.user,
+      encryptedAppPassword: mailbox.encryptedPassword, // In production, encrypt before storing
+      host: mailbox.host,
+      port: mailbox.port,
+      secure: mailbox.secure,
+      encryptedApiKey: mailbox.encryptedApiKey,
+      domain: mailbox.domain,
+      region: mailbox.region,
+      configuredAt,
     });
 
     res.json({
@@ -93,7 +123,43 @@ router.patch(
       data: {
         provider,
         email,
-        configuredAt: new Date().toISOString(),
+        configuredAt: configuredAt.toISOString(),
+      },
+    });
+  }),
+);
+
+/* ──────────── POST /mail-config/test ──────────── */
+router.post(
+  '/mail-config/test',
+  asyncHandler(async (req, res) => {
+    const mailConfig = req.contributorAccount?.mailConfig;
+    if (!mailConfig?.provider) {
+      throw new AppError('NOT_FOUND', 'No mail account connected.', 404);
+    }
+
+    // Mailboxes saved before the contributor rules existed may point anywhere; never connect to those
+    const emailConfig = mailboxToEmailConfig(mailConfig);
+    await assertContributorMailbox({ ...emailConfig, port: emailConfig.port ?? TRANSPORT_DEFAULTS.smtp.port });
+
+    // Logs in without sending; the outcome counts towards the sender's health
+    let error = null;
+    try {
+      await new EmailService(emailConfig).verifyConnection();
+    } catch (err) {
+      error = err;
+    }
+    await contributorAccountService.recordMailResult(req.contributorId, error);
+
+    res.json({
+      success: true,
+      data: {
+        provider: mailConfig.provider,
+        email: mailConfig.email,
+        ok: !error,
+        // Transport errors can reveal what is listening where; keep the details server-side
+        error: error ? MAIL_TEST_FAILED : null,
+        testedAt: new Date().toISOString(),
       },
     });
   }),
@@ -117,6 +183,15 @@ router.get(
               provider: account.mailConfig.provider,
               email: account.mailConfig.email,
               isConfigured: true,
+              // The stored failure reason is raw transport output; only report when and how often
+              health: account.mailConfig.health
+                ? {
+                    consecutiveFailures: account.mailConfig.health.consecutiveFailures || 0,
+                    lastSuccessAt: account.mailConfig.health.lastSuccessAt || null,
+                    lastFailureAt: account.mailConfig.health.lastFailureAt || null,
+                  }
+                : null,
+              isSuspended: isSenderSuspended(account.mailConfig.health),
             }
           : { isConfigured: false },
         createdAt: account?.createdAt,
@@ -129,12 +204,12 @@ router.get(
 router.patch(
   '/note/:monitoredContributorId',
   asyncHandler(async (req, res) => {
-    const { note } = req.body;
-    if (note === undefined) {
-      throw new AppError('VALIDATION', 'note is required.', 400);
+    const { note, templateId } = req.body;
+    if (note === undefined && templateId === undefined) {
+      throw new AppError('VALIDATION', 'note or templateId is required.', 400);
     }
 
-    if (note.length > 5000) {
+    if (note && note.length > 5000) {
       throw new AppError(
         'NOTE_TOO_LONG',
         `Note exceeds the 5000 character limit. Current length: ${note.length}.`,
@@ -147,17 +222,39 @@ router.patch(
       throw new AppError('NOT_FOUND', 'Monitored contributor slot not found.', 404);
     }
 
-    await monitoredContributorService.updateContributorNote(
-      req.params.monitoredContributorId,
-      note,
-    );
+    // Saved template the AI should follow for this slot (null clears the selection)
+    if (templateId !== undefined && templateId !== null) {
+      const template = ObjectId.isValid(templateId)
+        ? await contributorAccountService.findTemplate(req.contributorId, templateId)
+        : null;
+      if (!template) {
+        throw new AppError('NOT_FOUND', 'Saved template not found.', 404);
+      }
+    }
+
+    if (note !== undefined) {
+      await monitoredContributorService.updateContributorNote(
+        req.params.monitoredContributorId,
+        note,
+      );
+    }
+    if (templateId !== undefined) {
+      await monitoredContributorService.selectContributorTemplate(
+        req.params.monitoredContributorId,
+        templateId,
+      );
+    }
+
+    const currentNote = note !== undefined ? note : mc.contributorNote;
+    const currentTemplateId = templateId !== undefined ? templateId : mc.contributorTemplateId?.toString() || null;
 
     res.json({
       success: true,
       data: {
         monitoredContributorId: req.params.monitoredContributorId,
-        note,
-        characterCount: note.length,
+        note: currentNote,
+        characterCount: currentNote ? currentNote.length : 0,
+        templateId: currentTemplateId,
         updatedAt: new Date().toISOString(),
       },
     });
@@ -230,6 +327,7 @@ router.delete(
   '/templates/:templateId',
   asyncHandler(async (req, res) => {
     await contributorAccountService.deleteTemplate(req.contributorId, req.params.templateId);
+    await monitoredContributorService.clearContributorTemplate(req.contributorId, req.params.templateId);
 
     res.json({
       success: true,
@@ -256,6 +354,7 @@ router.get(
             nextRunAt: s.schedule?.nextRunAt,
           },
           currentNote: s.contributorNote,
+          selectedTemplateId: s.contributorTemplateId?.toString() || null,
           status: s.status,
         })),
       },
@@ -299,7 +398,9 @@ router.get(
           repoFullName: r.repoFullName,
           scheduledAt: r.scheduledAt,
           hasActivity: r.hasActivity,
-          prStats: r.prStats ? { totalPRsFetched: r.prStats.totalPRsFetched } : null,
+          prStats: r.prStats
+            ? { totalPRsFetched: r.prStats.totalPRsFetched, lifecycle: r.prStats.lifecycle || null, activity: r.prStats.activity || null }
+            : null,
           aiSummary: r.aiSummary,
           emailStatus: r.emailStatus
             ? { status: r.emailStatus.status, sentAt: r.emailStatus.sentAt }
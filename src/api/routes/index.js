@@ -2,10 +2,14 @@ const webhookRoutes = require('./webhooks');
 const authRoutes = require('./auth');
 const companyMemberRoutes = require('./companyMembers');
 const companyRepoRoutes = require('./companyRepos');
+const companyGithubAppRoutes = require('./companyGithubApp');
 const companyMonitoredContributorRoutes = require('./companyMonitoredContributors');
 const companyTeamRoutes = require('./companyTeams');
 const companySummaryAnalyticsRoutes = require('./companySummaryAnalytics');
 const companySubscriptionRoutes = require('./companySubscription');
+const companySettingsRoutes = require('./companySettings');
+const companyPromptTemplateRoutes = require('./companyPromptTemplates');
+const companyEmailTemplateRoutes = require('./companyEmailTemplates');
 const contributorRoutes = require('./contributor');
 const internalRoutes = require('./internal');
 
@@ -14,10 +18,14 @@ module.exports = {
   authRoutes,
   companyMemberRoutes,
   companyRepoRoutes,
+  companyGithubAppRoutes,
   companyMonitoredContributorRoutes,
   companyTeamRoutes,
   companySummaryAnalyticsRoutes,
   companySubscriptionRoutes,
+  companySettingsRoutes,
+  companyPromptTemplateRoutes,
+  companyEmailTemplateRoutes,
   contributorRoutes,
   internalRoutes,
 };
@@ -41,6 +41,8 @@ router.get(
         monitoredContributorId: mc._id.toString(),
         githubUsername: mc.githubUsername,
         repoFullName: mc.repoFullName,
+        coverage: mc.coverage || 'repository',
+        repositoryIds: (mc.repositoryIds || []).map((id) => id.toString()),
         encryptedAccessToken,
         fetchConfig: {
           windowType: mc.fetchConfig?.windowType || 'since_last_run',
@@ -72,7 +74,7 @@ router.post(
       monitoredContributorId,
       companyId: mc.companyId?.toString(),
       contributorId: mc.contributorId?.toString(),
-      repositoryId: mc.repositoryId?.toString(),
+      repositoryId: mc.repositoryId?.toString() || null,
       githubUsername: mc.githubUsername,
       repoFullName: mc.repoFullName,
       triggerType: triggerType || 'scheduled',
@@ -98,7 +100,13 @@ router.patch(
       prStats,
       hasActivity,
       aiSummary,
+      structuredSummary,
+      structuredSummaryError,
       contributorNoteSnapshot,
+      redactionStats,
+      localizedSummaries,
+      aiCacheStats,
+      aiUsage,
       emailStatus,
     } = req.body;
 
@@ -113,7 +121,13 @@ router.patch(
       prStats,
       hasActivity,
       aiSummary,
+      structuredSummary,
+      structuredSummaryError,
       contributorNoteSnapshot,
+      redactionStats,
+      localizedSummaries,
+      aiCacheStats,
+      aiUsage,
     });
 
     // Update email status
@@ -1,8 +1,10 @@
 /**
  * POST /webhooks/clerk   – receives Clerk webhook events
  * POST /webhooks/stripe  – receives Stripe webhook events
+ * POST /webhooks/github  – receives GitHub repository events
  */
 
+const crypto = require('crypto');
 const { Router } = require('express');
 const { Webhook } = require('svix');
 const { asyncHandler, AppError } = require('../middleware');
@@ -14,6 +16,9 @@ const { ContributorAccountService } = require('../../database/services/Contribut
 const { MonitoredContributorService } = require('../../database/services/MonitoredContributorService');
 const { InviteService } = require('../../database/services/InviteService');
 const { PlanService } = require('../../database/services/PlanService');
+const { RepositoryService } = require('../../database/services/RepositoryService');
+const { ActivityEventService } = require('../../database/services/ActivityEventService');
+const { WEBHOOK_STALE_AFTER_MS } = require('../../sources/webhooks');
 
 const companyService = new CompanyService();
 const companyMemberService = new CompanyMemberService();
@@ -22,6 +27,8 @@ const contributorAccountService = new ContributorAccountService();
 const monitoredContributorService = new MonitoredContributorService();
 const inviteService = new InviteService();
 const planService = new PlanService();
+const repositoryService = new RepositoryService();
+const activityEventService = new ActivityEventService();
 
 const router = Router();
 
@@ -194,4 +201,158 @@ router.post(
   }),
 );
 
+/* ──────────────────────────── GitHub Webhook ──────────────────────────── */
+
+/**
+ * Check the X-Hub-Signature-256 header (HMAC-SHA256 of the raw body).
+ */
+function verifyGitHubSignature(rawBody, signature, secret) {
+  if (!signature || !signature.startsWith('sha256=')) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Reduce a GitHub event payload to what runs need.
+ * Returns null for events and actions that are not stored.
+ */
+function normalizeGitHubEvent(eventType, payload) {
+  switch (eventType) {
+    case 'pull_request': {
+      const pr = payload.pull_request;
+      return {
+        actorLogin: pr.user?.login || null,
+        occurredAt: new Date(pr.updated_at),
+        data: {
+          number: pr.number,
+          title: pr.title,
+          description: pr.body || '',
+          state: pr.state,
+          merged: !!pr.merged_at,
+          mergedAt: pr.merged_at || null,
+          closedAt: pr.closed_at || null,
+          draft: !!pr.draft,
+          url: pr.html_url,
+          authorLogin: pr.user?.login || null,
+          createdAt: pr.created_at,
+          updatedAt: pr.updated_at,
+          headSha: pr.head?.sha || null,
+          headRef: pr.head?.ref || null,
+          labels: (pr.labels || []).map((label) => label.name),
+        },
+      };
+    }
+
+    case 'pull_request_review': {
+      if (payload.action !== 'submitted') return null;
+      const { review, pull_request: pr } = payload;
+      return {
+        actorLogin: review.user?.login || null,
+        occurredAt: new Date(review.submitted_at),
+        data: {
+          prNumber: pr.number,
+          prTitle: pr.title,
+          prAuthorLogin: pr.user?.login || null,
+          state: (review.state || '').toUpperCase(),
+          body: review.body || '',
+          url: review.html_url,
+          date: review.submitted_at,
+        },
+      };
+    }
+
+    case 'push': {
+      // Only branch pushes that add commits; tag pushes and deletions carry no work
+      if (payload.deleted || !payload.ref?.startsWith('refs/heads/')) return null;
+      const commits = (payload.commits || []).filter((c) => c.distinct !== false);
+      if (commits.length === 0) return null;
+      return {
+        actorLogin: payload.sender?.login || null,
+        occurredAt: new Date(payload.head_commit?.timestamp || Date.now()),
+        data: {
+          branch: payload.ref.slice('refs/heads/'.length),
+          defaultBranch: payload.repository?.default_branch || null,
+          headSha: payload.after,
+          commits: commits.map((c) => ({
+            sha: c.id,
+            message: c.message,
+            url: c.url,
+            date: c.timestamp,
+            authorLogin: c.author?.username || null,
+          })),
+        },
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a repo is accessed through the GitHub App installation that sent a delivery.
+ */
+function isInstallationRepo(repo, installationId) {
+  return repo.authType === 'github_app' && !!installationId && Number(repo.installationId) === Number(installationId);
+}
+
+router.post(
+  '/github',
+  asyncHandler(async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+      throw new AppError('WEBHOOK_INVALID', 'Webhook signature verification failed.', 400);
+    }
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString('utf8'));
+    } catch (err) {
+      throw new AppError('WEBHOOK_INVALID', 'Webhook signature verification failed.', 400);
+    }
+
+    const eventType = req.headers['x-github-event'];
+    const deliveryId = req.headers['x-github-delivery'];
+    const signature = req.headers['x-hub-signature-256'];
+
+    // GitHub App deliveries are signed with the platform secret and only count for the
+    // installation's repos; repository webhooks are signed with that repo's own secret
+    const appSecret = process.env.GITHUB_WEBHOOK_SECRET;
+    const fromApp = !!appSecret && verifyGitHubSignature(req.body, signature, appSecret);
+    const candidates = payload.repository?.id
+      ? await repositoryService.findByGithubRepoId(payload.repository.id)
+      : [];
+    const repos = candidates.filter((repo) => (fromApp
+      ? isInstallationRepo(repo, payload.installation?.id)
+      : !!repo.webhookSecret && verifyGitHubSignature(req.body, signature, repo.webhookSecret)));
+    if (!fromApp && repos.length === 0) {
+      throw new AppError('WEBHOOK_INVALID', 'Webhook signature verification failed.', 400);
+    }
+
+    const event = normalizeGitHubEvent(eventType, payload);
+    if (!event || !deliveryId || !payload.repository?.id) {
+      console.log(`[GitHub Webhook] Ignored event: ${eventType}${payload.action ? `.${payload.action}` : ''}`);
+      return res.status(200).json({ received: true, stored: 0 });
+    }
+
+    // The same GitHub repo may be onboarded by several companies, each with its own webhook
+    let stored = 0;
+    for (const repo of repos) {
+      const isNew = await activityEventService.recordEvent({
+        companyId: repo.companyId,
+        repositoryId: repo._id,
+        deliveryId,
+        eventType,
+        action: payload.action || null,
+        ...event,
+      });
+      if (isNew) stored++;
+      await repositoryService.recordWebhookActivity(repo._id.toString(), event.occurredAt, WEBHOOK_STALE_AFTER_MS);
+    }
+
+    console.log(`[GitHub Webhook] ${eventType} for ${payload.repository.full_name}: stored for ${stored}/${repos.length} repo(s)`);
+    res.status(200).json({ received: true, stored });
+  }),
+);
+
 module.exports = router;
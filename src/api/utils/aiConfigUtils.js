@@ -0,0 +1,90 @@
+/**
+ * AI config utilities — validate incoming `aiConfig` payloads and
+ * strip secrets before returning them to clients.
+ * Shared by company settings & monitored-contributor routes.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const { SUPPORTED_PROVIDERS } = require('../../llm');
+const { assertPublicHost } = require('./emailConfigUtils');
+
+/**
+ * Validate and normalise an `aiConfig` request body.
+ * `null` clears the override so the next layer (company / environment) applies.
+ * When `apiKey` is omitted and neither the provider nor `baseUrl` changed,
+ * the stored key is kept. `baseUrl` must point at a public http(s) host.
+ *
+ * @param {object|null} input – { provider, model, baseUrl, apiVersion, apiKey }
+ * @param {object|null} [existing] – currently stored aiConfig
+ * @returns {Promise<object|null>} document ready to be stored
+ */
+async function parseAIConfigInput(input, existing = null) {
+  if (input === null) return null;
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('VALIDATION', 'aiConfig must be an object or null.', 400);
+  }
+
+  const { provider, model, baseUrl, apiVersion, apiKey } = input;
+  if (!provider || !SUPPORTED_PROVIDERS.includes(provider)) {
+    throw new AppError(
+      'VALIDATION',
+      `aiConfig.provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')}.`,
+      400,
+    );
+  }
+
+  let normalizedUrl = null;
+  if (baseUrl) {
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch {
+      throw new AppError('VALIDATION', 'aiConfig.baseUrl must be a valid URL.', 400);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new AppError('VALIDATION', 'aiConfig.baseUrl must be an http(s) URL.', 400);
+    }
+    await assertPublicHost(url.hostname, 'aiConfig.baseUrl', 'endpoint');
+    normalizedUrl = `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+  }
+
+  if (provider === 'azure_openai' && (!baseUrl || !model)) {
+    throw new AppError(
+      'VALIDATION',
+      'aiConfig.baseUrl (endpoint) and aiConfig.model (deployment) are required for azure_openai.',
+      400,
+    );
+  }
+
+  const keptKey = apiKey === undefined && existing?.provider === provider
+    && (existing.baseUrl || '').replace(/\/+$/, '') === (normalizedUrl || '')
+    ? existing.encryptedApiKey || null
+    : null;
+
+  return {
+    provider,
+    model: model || null,
+    baseUrl: normalizedUrl,
+    apiVersion: apiVersion || null,
+    encryptedApiKey: apiKey || keptKey, // In production, encrypt before storing
+  };
+}
+
+/**
+ * Public view of a stored aiConfig – never exposes the API key.
+ * @param {object|null} aiConfig
+ * @returns {object|null}
+ */
+function maskAIConfig(aiConfig) {
+  if (!aiConfig) return null;
+  return {
+    provider: aiConfig.provider,
+    model: aiConfig.model || null,
+    baseUrl: aiConfig.baseUrl || null,
+    apiVersion: aiConfig.apiVersion || null,
+    hasApiKey: !!aiConfig.encryptedApiKey,
+  };
+}
+
+module.exports = { parseAIConfigInput, maskAIConfig };
@@ -0,0 +1,247 @@
+/**
+ * Email config utilities — validate the `emailConfig` company setting
+ * (which transport sends the company's status emails) and strip secrets
+ * before returning it to clients. Contributor mailboxes reuse the same rules.
+ */
+
+const dns = require('dns/promises');
+const net = require('net');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  SUPPORTED_EMAIL_PROVIDERS, API_KEY_PROVIDERS, TRANSPORT_DEFAULTS, isFileProviderEnabled,
+} = require('../../email');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SES_REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d$/;
+const HOSTNAME_PATTERN = /^[a-z0-9.-]+$/i;
+
+/** Providers whose login is the mailbox address, so `from` may be omitted. */
+const MAILBOX_PROVIDERS = ['gmail', 'zoho'];
+
+/** Providers a contributor may connect as their own mailbox; SMTP must log in. */
+const CONTRIBUTOR_MAILBOX_PROVIDERS = ['gmail', 'zoho', 'smtp'];
+
+/** Mail submission ports a contributor's SMTP server may use. */
+const CONTRIBUTOR_SMTP_PORTS = [25, 465, 587, 2525];
+
+/** Loopback, private, link-local and other non-public ranges. */
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function requireString(value, field) {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    throw new AppError('VALIDATION', `${field} is required.`, 400);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate and normalise an `emailConfig` request body.
+ * `null` clears it so the platform's default sender applies.
+ * When the password / API key is omitted and the provider is unchanged,
+ * the stored one is kept; a password only while user, host and port are too.
+ *
+ * @param {object|null} input – { provider, from, fromName, user, password, host, port, secure, apiKey, domain, region }
+ * @param {object|null} [existing] – currently stored emailConfig
+ * @param {string} [field] – field name for error messages
+ * @returns {object|null} document ready to be stored
+ */
+function parseEmailConfigInput(input, existing = null, field = 'emailConfig') {
+  if (input === null) return null;
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('VALIDATION', `${field} must be an object or null.`, 400);
+  }
+
+  const { provider, from, fromName, user, password, host, port, secure, apiKey, domain, region } = input;
+  if (!provider || !SUPPORTED_EMAIL_PROVIDERS.includes(provider)) {
+    throw new AppError(
+      'VALIDATION',
+      `${field}.provider must be one of: ${SUPPORTED_EMAIL_PROVIDERS.join(', ')}.`,
+      400,
+    );
+  }
+  // The maildir writes to the server's disk, so tenants only get it when the server itself runs with it
+  if (provider === 'file' && !isFileProviderEnabled()) {
+    throw new AppError('VALIDATION', 'The file email provider is only available when the server uses EMAIL_SERVICE=file.', 400);
+  }
+
+  if (from !== undefined && from !== null && (typeof from !== 'string' || !EMAIL_PATTERN.test(from))) {
+    throw new AppError('VALIDATION', `${field}.from must be an email address.`, 400);
+  }
+  if (!from && !MAILBOX_PROVIDERS.includes(provider)) {
+    throw new AppError('VALIDATION', `${field}.from is required for ${provider}.`, 400);
+  }
+
+  const sameProvider = existing?.provider === provider;
+  const config = {
+    provider,
+    from: from || null,
+    fromName: typeof fromName === 'string' && fromName.trim() ? fromName.trim() : null,
+    user: null,
+    encryptedPassword: null,
+    host: null,
+    port: null,
+    secure: null,
+    encryptedApiKey: null,
+    domain: null,
+    region: null,
+  };
+
+  if (API_KEY_PROVIDERS.includes(provider)) {
+    const keptKey = apiKey === undefined && sameProvider ? existing.encryptedApiKey || null : null;
+    if (!apiKey && !keptKey) {
+      throw new AppError('VALIDATION', `${field}.apiKey is required for ${provider}.`, 400);
+    }
+    config.encryptedApiKey = apiKey || keptKey; // In production, encrypt before storing
+
+    if (provider === 'mailgun') {
+      config.domain = requireString(domain, `${field}.domain`);
+      config.region = region || TRANSPORT_DEFAULTS.mailgun.region;
+      if (!['us', 'eu'].includes(config.region)) {
+        throw new AppError('VALIDATION', `${field}.region must be us or eu for mailgun.`, 400);
+      }
+    }
+    return config;
+  }
+
+  // Always written under the server's EMAIL_FILE_PATH; a client-supplied path is never used
+  if (provider === 'file') return config;
+
+  // SMTP family: gmail, zoho, smtp, ses
+  if (provider === 'smtp') {
+    config.host = requireString(host, `${field}.host`);
+    if (!HOSTNAME_PATTERN.test(config.host)) {
+      throw new AppError('VALIDATION', `${field}.host must be a hostname.`, 400);
+    }
+  }
+  if (provider === 'ses') {
+    config.region = region || TRANSPORT_DEFAULTS.ses.region;
+    if (!SES_REGION_PATTERN.test(config.region)) {
+      throw new AppError('VALIDATION', `${field}.region must be an AWS region such as eu-west-1.`, 400);
+    }
+  }
+  if (['smtp', 'ses'].includes(provider)) {
+    if (port !== undefined && port !== null && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+      throw new AppError('VALIDATION', `${field}.port must be an integer between 1 and 65535.`, 400);
+    }
+    if (secure !== undefined && secure !== null && typeof secure !== 'boolean') {
+      throw new AppError('VALIDATION', `${field}.secure must be a boolean.`, 400);
+    }
+    config.port = port ?? TRANSPORT_DEFAULTS[provider].port;
+    // Implicit TLS on 465; other ports upgrade with STARTTLS
+    config.secure = secure ?? config.port === 465;
+  }
+
+  // Plain SMTP relays may accept mail without authentication
+  config.user = provider === 'smtp' && !user ? null : requireString(user, `${field}.user`);
+  if (MAILBOX_PROVIDERS.includes(provider) && !EMAIL_PATTERN.test(config.user)) {
+    throw new AppError('VALIDATION', `${field}.user must be the mailbox email address.`, 400);
+  }
+  if (config.user) {
+    // The password only goes back to the server it was given for
+    const sameServer = (existing?.host ?? null) === config.host && (existing?.port ?? null) === config.port;
+    const keptPassword = password === undefined && sameProvider && sameServer && existing.user === config.user
+      ? existing.encryptedPassword || null
+      : null;
+    if (!password && !keptPassword) {
+      throw new AppError('VALIDATION', `${field}.password is required.`, 400);
+    }
+    config.encryptedPassword = password || keptPassword; // In production, encrypt before storing
+  }
+
+  return config;
+}
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 addresses are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+  return !NON_PUBLIC_ADDRESSES.check(ip, family);
+}
+
+/**
+ * Refuse hosts that are, or resolve to, loopback, private or other non-public
+ * addresses, so tenant-supplied servers cannot reach the internal network.
+ *
+ * @param {string} host – hostname or IP address
+ * @param {string} field – field name for error messages
+ * @param {string} [kind] – what the host should be, for error messages
+ * @returns {Promise<void>}
+ */
+async function assertPublicHost(host, field, kind = 'host') {
+  // URL hostnames wrap IPv6 addresses in brackets
+  const bare = host.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(bare)
+      ? [bare]
+      : (await dns.lookup(bare, { all: true })).map((entry) => entry.address);
+  } catch (err) {
+    throw new AppError('VALIDATION', `${field} could not be resolved.`, 400);
+  }
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new AppError('VALIDATION', `${field} must be a public ${kind}.`, 400);
+  }
+}
+
+/**
+ * Apply the extra rules for a contributor's own mailbox: only mailbox
+ * providers, and SMTP only on a submission port of a public host. The host
+ * is resolved so names pointing at internal addresses are refused too.
+ *
+ * @param {object} mailbox – output of parseEmailConfigInput()
+ * @param {string} [field] – field name for error messages
+ * @returns {Promise<void>}
+ */
+async function assertContributorMailbox(mailbox, field = 'mailConfig') {
+  if (!CONTRIBUTOR_MAILBOX_PROVIDERS.includes(mailbox.provider)) {
+    throw new AppError(
+      'VALIDATION',
+      `${field}.provider must be one of: ${CONTRIBUTOR_MAILBOX_PROVIDERS.join(', ')}.`,
+      400,
+    );
+  }
+  if (mailbox.provider !== 'smtp') return;
+
+  if (!mailbox.user) {
+    throw new AppError('VALIDATION', `${field}.user is required for smtp.`, 400);
+  }
+  if (!CONTRIBUTOR_SMTP_PORTS.includes(mailbox.port)) {
+    throw new AppError('VALIDATION', `${field}.port must be one of: ${CONTRIBUTOR_SMTP_PORTS.join(', ')}.`, 400);
+  }
+
+  await assertPublicHost(mailbox.host, `${field}.host`, 'mail server');
+}
+
+/**
+ * Public view of a stored emailConfig – never exposes passwords or API keys.
+ * @param {object|null} emailConfig
+ * @returns {object|null}
+ */
+function maskEmailConfig(emailConfig) {
+  if (!emailConfig) return null;
+  return {
+    provider: emailConfig.provider,
+    from: emailConfig.from || emailConfig.user || null,
+    fromName: emailConfig.fromName || null,
+    user: emailConfig.user || null,
+    host: emailConfig.host || null,
+    port: emailConfig.port || null,
+    secure: emailConfig.secure ?? null,
+    domain: emailConfig.domain || null,
+    region: emailConfig.region || null,
+    hasPassword: !!emailConfig.encryptedPassword,
+    hasApiKey: !!emailConfig.encryptedApiKey,
+    health: emailConfig.health || null,
+  };
+}
+
+module.exports = { parseEmailConfigInput, assertContributorMailbox, assertPublicHost, maskEmailConfig };
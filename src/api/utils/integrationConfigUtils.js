@@ -0,0 +1,139 @@
+/**
+ * Integration config utilities — validate the `integrations` company setting
+ * (Jira / Linear credentials used to resolve ticket keys found in PRs) and
+ * strip secrets before returning it to clients.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_KEYS = 50;
+const KEY_PREFIX_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+/**
+ * Validate a list of project / team key prefixes ("ABC", "ENG").
+ * @param {*} value
+ * @param {string} field - Field name for error messages
+ * @returns {string[]}
+ */
+function parseKeyPrefixes(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_KEYS) {
+    throw new AppError('VALIDATION', `${field} must be an array of at most ${MAX_KEYS} keys.`, 400);
+  }
+  return value.map((key) => {
+    const upper = typeof key === 'string' ? key.trim().toUpperCase() : '';
+    if (!KEY_PREFIX_PATTERN.test(upper)) {
+      throw new AppError('VALIDATION', `${field} entries must look like "ABC" (2–10 letters/digits, starting with a letter).`, 400);
+    }
+    return upper;
+  });
+}
+
+function parseJiraInput(input, existing) {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('VALIDATION', 'integrations.jira must be an object or null.', 400);
+  }
+
+  const { baseUrl, email, apiToken, projectKeys } = input;
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    throw new AppError('VALIDATION', 'integrations.jira.baseUrl must be a valid URL.', 400);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new AppError('VALIDATION', 'integrations.jira.baseUrl must be an http(s) URL.', 400);
+  }
+  if (!email || typeof email !== 'string') {
+    throw new AppError('VALIDATION', 'integrations.jira.email is required.', 400);
+  }
+
+  const normalizedUrl = `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+  const keptToken = apiToken === undefined && existing?.baseUrl === normalizedUrl
+    ? existing.encryptedApiToken || null
+    : null;
+  if (!apiToken && !keptToken) {
+    throw new AppError('VALIDATION', 'integrations.jira.apiToken is required.', 400);
+  }
+
+  return {
+    baseUrl: normalizedUrl,
+    email,
+    encryptedApiToken: apiToken || keptToken, // In production, encrypt before storing
+    projectKeys: parseKeyPrefixes(projectKeys, 'integrations.jira.projectKeys'),
+  };
+}
+
+function parseLinearInput(input, existing) {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('VALIDATION', 'integrations.linear must be an object or null.', 400);
+  }
+
+  const { apiKey, teamKeys } = input;
+  const keptKey = apiKey === undefined ? existing?.encryptedApiKey || null : null;
+  if (!apiKey && !keptKey) {
+    throw new AppError('VALIDATION', 'integrations.linear.apiKey is required.', 400);
+  }
+
+  return {
+    encryptedApiKey: apiKey || keptKey, // In production, encrypt before storing
+    teamKeys: parseKeyPrefixes(teamKeys, 'integrations.linear.teamKeys'),
+  };
+}
+
+/**
+ * Validate and normalise an `integrations` request body.
+ * Each tracker is updated only when present; `null` removes it, and `null`
+ * for the whole object removes all integrations. When a secret is omitted
+ * the stored one is kept (for Jira, only while the site URL is unchanged).
+ *
+ * @param {object|null} input – { jira: { baseUrl, email, apiToken, projectKeys }, linear: { apiKey, teamKeys } }
+ * @param {object|null} [existing] – currently stored integrations
+ * @returns {object|null} document ready to be stored
+ */
+function parseIntegrationsInput(input, existing = null) {
+  if (input === null) return null;
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('VALIDATION', 'integrations must be an object or null.', 400);
+  }
+
+  const unknown = Object.keys(input).filter((key) => !['jira', 'linear'].includes(key));
+  if (unknown.length > 0) {
+    throw new AppError('VALIDATION', `Unknown integrations: ${unknown.join(', ')}. Supported: jira, linear.`, 400);
+  }
+
+  return {
+    jira: input.jira !== undefined ? parseJiraInput(input.jira, existing?.jira) : existing?.jira || null,
+    linear: input.linear !== undefined ? parseLinearInput(input.linear, existing?.linear) : existing?.linear || null,
+  };
+}
+
+/**
+ * Public view of stored integrations – never exposes tokens.
+ * @param {object|null} integrations
+ * @returns {object}
+ */
+function maskIntegrations(integrations) {
+  const { jira, linear } = integrations || {};
+  return {
+    jira: jira
+      ? {
+        baseUrl: jira.baseUrl,
+        email: jira.email,
+        projectKeys: jira.projectKeys || [],
+        hasApiToken: !!jira.encryptedApiToken,
+      }
+      : null,
+    linear: linear
+      ? {
+        teamKeys: linear.teamKeys || [],
+        hasApiKey: !!linear.encryptedApiKey,
+      }
+      : null,
+  };
+}
+
+module.exports = { parseIntegrationsInput, maskIntegrations };
@@ -0,0 +1,46 @@
+/**
+ * Locale utilities — validate the locales used to write status updates
+ * (company default and per-recipient overrides).
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeLocale } = require('../../llm/locale');
+
+/**
+ * Validate a locale from a request body. `null` clears it.
+ *
+ * @param {string|null} locale – BCP 47 tag, e.g. "de" or "pt-BR"
+ * @param {string} field – field name used in the error message
+ * @returns {string|null} canonical tag
+ */
+function parseLocaleInput(locale, field = 'locale') {
+  if (locale === null) return null;
+  try {
+    return normalizeLocale(locale);
+  } catch {
+    throw new AppError('VALIDATION', `${field} must be a valid BCP 47 language tag (e.g. "en", "de-DE") or null.`, 400);
+  }
+}
+
+/**
+ * Validate `emailConfig.recipients`, canonicalising each recipient's locale.
+ *
+ * @param {Array<{email: string, type: string, locale?: string|null}>} recipients
+ * @returns {Array<{email: string, type: string, locale: string|null}>}
+ */
+function parseRecipientsInput(recipients) {
+  if (!Array.isArray(recipients)) {
+    throw new AppError('VALIDATION', 'emailConfig.recipients must be an array.', 400);
+  }
+  return recipients.map((r, i) => {
+    if (!r || typeof r.email !== 'string' || !r.email) {
+      throw new AppError('VALIDATION', `emailConfig.recipients[${i}].email is required.`, 400);
+    }
+    return {
+      ...r,
+      locale: r.locale === undefined ? null : parseLocaleInput(r.locale, `emailConfig.recipients[${i}].locale`),
+    };
+  });
+}
+
+module.exports = { parseLocaleInput, parseRecipientsInput };
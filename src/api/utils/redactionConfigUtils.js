@@ -0,0 +1,84 @@
+/**
+ * Redaction config utilities — validate the `redaction` company setting
+ * that controls secret/PII scrubbing before PR data reaches the LLM.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const RedactionService = require('../../redactionService');
+
+const MAX_CUSTOM_PATTERNS = 50;
+const MAX_SKIP_GLOBS = 100;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+/**
+ * Validate and normalise a `redaction` request body.
+ * `null` resets to the built-in defaults.
+ *
+ * @param {object|null} input – { enabled, redactEmails, entropyThreshold, customPatterns, skipGlobs }
+ * @returns {object|null} document ready to be stored
+ */
+function parseRedactionConfigInput(input) {
+  if (input === null) return null;
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('VALIDATION', 'redaction must be an object or null.', 400);
+  }
+
+  const {
+    enabled = true,
+    redactEmails = true,
+    entropyThreshold = 4.0,
+    customPatterns = [],
+    skipGlobs = [],
+  } = input;
+
+  if (typeof enabled !== 'boolean' || typeof redactEmails !== 'boolean') {
+    throw new AppError('VALIDATION', 'redaction.enabled and redaction.redactEmails must be booleans.', 400);
+  }
+
+  if (entropyThreshold !== null && (typeof entropyThreshold !== 'number' || entropyThreshold < 2 || entropyThreshold > 6)) {
+    throw new AppError('VALIDATION', 'redaction.entropyThreshold must be a number between 2 and 6, or null to disable.', 400);
+  }
+
+  if (!Array.isArray(customPatterns) || customPatterns.length > MAX_CUSTOM_PATTERNS) {
+    throw new AppError('VALIDATION', `redaction.customPatterns must be an array of at most ${MAX_CUSTOM_PATTERNS} items.`, 400);
+  }
+  const patterns = customPatterns.map((p, i) => {
+    if (!p || typeof p.pattern !== 'string' || !p.pattern) {
+      throw new AppError('VALIDATION', `redaction.customPatterns[${i}].pattern is required.`, 400);
+    }
+    const name = p.name || 'custom';
+    if (typeof name !== 'string' || !/^[a-z0-9_]+$/i.test(name)) {
+      throw new AppError('VALIDATION', `redaction.customPatterns[${i}].name may only contain letters, digits and underscores.`, 400);
+    }
+    const flags = p.flags || '';
+    if (typeof flags !== 'string' || !ALLOWED_FLAGS.test(flags)) {
+      throw new AppError('VALIDATION', `redaction.customPatterns[${i}].flags may only contain i, m, s, u.`, 400);
+    }
+    let matchesEmpty;
+    try {
+      matchesEmpty = RedactionService.matchesEmptyString(p.pattern, flags);
+    } catch (err) {
+      throw new AppError('VALIDATION', `redaction.customPatterns[${i}].pattern is not a valid regex: ${err.message}`, 400);
+    }
+    if (matchesEmpty) {
+      throw new AppError('VALIDATION', `redaction.customPatterns[${i}].pattern must not match an empty string.`, 400);
+    }
+    return { name, pattern: p.pattern, flags };
+  });
+
+  if (!Array.isArray(skipGlobs) || skipGlobs.length > MAX_SKIP_GLOBS
+    || skipGlobs.some((g) => typeof g !== 'string' || !g.trim())) {
+    throw new AppError('VALIDATION', `redaction.skipGlobs must be an array of at most ${MAX_SKIP_GLOBS} non-empty strings.`, 400);
+  }
+
+  return {
+    enabled,
+    redactEmails,
+    entropyThreshold,
+    customPatterns: patterns,
+    skipGlobs: skipGlobs.map((g) => g.trim()),
+  };
+}
+
+module.exports = { parseRedactionConfigInput };
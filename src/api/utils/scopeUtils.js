@@ -0,0 +1,83 @@
+/**
+ * Monitoring scope utilities — validate path filters, bot and label
+ * exclusions set on a repository (`scope`) or a monitored contributor
+ * (`fetchConfig`). See src/sources/scope.js for how they apply.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_PATTERNS = 100;
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Validate an optional list of strings (globs or labels).
+ * @param {*} value
+ * @param {string} field - Field name for error messages
+ * @returns {string[]|undefined} undefined when the field was omitted
+ */
+function parseStringList(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_PATTERNS) {
+    throw new AppError('VALIDATION', `${field} must be an array of at most ${MAX_PATTERNS} strings.`, 400);
+  }
+  return value.map((item, i) => {
+    if (typeof item !== 'string' || !item.trim() || item.length > MAX_PATTERN_LENGTH) {
+      throw new AppError('VALIDATION', `${field}[${i}] must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters.`, 400);
+    }
+    return item.trim();
+  });
+}
+
+/**
+ * Validate the scope fields of an object; omitted fields stay omitted.
+ * @param {object} input – { includePaths, excludePaths, ignoreBots, ignoreLabels }
+ * @param {string} prefix – e.g. "scope" or "fetchConfig"
+ * @returns {object} Only the scope fields that were present
+ */
+function parseScopeFields(input, prefix) {
+  const fields = {
+    includePaths: parseStringList(input.includePaths, `${prefix}.includePaths`),
+    excludePaths: parseStringList(input.excludePaths, `${prefix}.excludePaths`),
+    ignoreLabels: parseStringList(input.ignoreLabels, `${prefix}.ignoreLabels`),
+  };
+  if (input.ignoreBots !== undefined && input.ignoreBots !== null && typeof input.ignoreBots !== 'boolean') {
+    throw new AppError('VALIDATION', `${prefix}.ignoreBots must be a boolean or null.`, 400);
+  }
+  if (input.ignoreBots !== undefined) fields.ignoreBots = input.ignoreBots;
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Validate and normalise a repository `scope` request body.
+ * `null` clears it, so every file and PR counts.
+ *
+ * @param {object|null} input – { includePaths, excludePaths, ignoreBots, ignoreLabels }
+ * @returns {object|null} document ready to be stored
+ */
+function parseScopeInput(input) {
+  if (input === null) return null;
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new AppError('VALIDATION', 'scope must be an object or null.', 400);
+  }
+
+  const { includePaths = [], excludePaths = [], ignoreLabels = [], ignoreBots = false } = parseScopeFields(input, 'scope');
+  return { includePaths, excludePaths, ignoreBots: !!ignoreBots, ignoreLabels };
+}
+
+/**
+ * Validate the scope fields of a monitored contributor's `fetchConfig`;
+ * other fetchConfig fields pass through unchanged.
+ * @param {object} fetchConfig
+ * @returns {object}
+ */
+function parseFetchConfigInput(fetchConfig) {
+  if (typeof fetchConfig !== 'object' || fetchConfig === null || Array.isArray(fetchConfig)) {
+    throw new AppError('VALIDATION', 'fetchConfig must be an object.', 400);
+  }
+  return { ...fetchConfig, ...parseScopeFields(fetchConfig, 'fetchConfig') };
+}
+
+module.exports = { parseScopeInput, parseFetchConfigInput };
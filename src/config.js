@@ -1,4 +1,38 @@
 require('dotenv').config();
+const { resolveAIConfig, PROVIDER_DEFAULTS, KEYLESS_PROVIDERS } = require('./llm');
+const { resolveEmailConfig, API_KEY_PROVIDERS } = require('./email');
+const RedactionService = require('./redactionService');
+
+/**
+ * Parse REDACTION_PATTERNS: a JSON array of regex strings or { name, pattern, flags } objects
+ */
+function parseRedactionPatterns(value) {
+  if (!value) return [];
+
+  let patterns;
+  try {
+    patterns = JSON.parse(value);
+  } catch {
+    throw new Error('REDACTION_PATTERNS must be a JSON array, e.g. ["ACME-[0-9]{8}"]');
+  }
+  if (!Array.isArray(patterns)) {
+    throw new Error('REDACTION_PATTERNS must be a JSON array, e.g. ["ACME-[0-9]{8}"]');
+  }
+
+  return patterns.map(p => {
+    const pattern = typeof p === 'string' ? { name: 'custom', pattern: p } : p;
+    let matchesEmpty;
+    try {
+      matchesEmpty = RedactionService.matchesEmptyString(pattern.pattern, pattern.flags);
+    } catch (error) {
+      throw new Error(`REDACTION_PATTERNS contains an invalid regex ${JSON.stringify(pattern.pattern)}: ${error.message}`);
+    }
+    if (matchesEmpty) {
+      throw new Error(`REDACTION_PATTERNS must not contain regexes that match an empty string: ${JSON.stringify(pattern.pattern)}`);
+    }
+    return pattern;
+  });
+}
 
 /**
  * Load and validate configuration from environment variables
@@ -13,13 +47,15 @@ function loadConfig() {
         : []
     },
     ai: {
-      apiKey: process.env.GEMINI_API_KEY,
-      model: process.env.GEMINI_MODEL || 'gemini-2.0-flash'
+      ...resolveAIConfig(
+        process.env.AI_PROVIDER && process.env.AI_PROVIDER !== 'gemini'
+          ? { provider: process.env.AI_PROVIDER }
+          : { provider: 'gemini', model: process.env.GEMINI_MODEL || 'gemini-2.0-flash' }
+      ),
+      tokenBudget: parseInt(process.env.AI_TOKEN_BUDGET) || null // Prompt token budget before map-reduce kicks in
     },
     email: {
-      service: process.env.EMAIL_SERVICE || 'gmail',
-      user: process.env.EMAIL_USER,
-      appPassword: process.env.EMAIL_APP_PASSWORD,
+      ...resolveEmailConfig(), // EMAIL_SERVICE and the settings it needs
       to: process.env.EMAIL_TO,
       subject: process.env.EMAIL_SUBJECT || 'Status Update'
     },
@@ -37,19 +73,53 @@ function loadConfig() {
     userInstructions: process.env.USER_INSTRUCTIONS || 
       'Please draft a professional status update email summarizing my pull requests.',
     includeCode: process.env.INCLUDE_CODE !== 'false', // Default to true, set to 'false' to disable
-    maxCharsPerFile: parseInt(process.env.MAX_CHARS_PER_FILE) || 500 // Maximum characters per file in PR code snippets
+    maxCharsPerFile: parseInt(process.env.MAX_CHARS_PER_FILE) || 500, // Maximum characters per file in PR code snippets
+    maxFilesPerPR: parseInt(process.env.MAX_FILES_PER_PR) || 100, // Maximum files fetched per PR
+    redaction: {
+      enabled: process.env.REDACTION_ENABLED !== 'false', // Default to true, set to 'false' to disable
+      skipGlobs: process.env.REDACTION_SKIP_GLOBS
+        ? process.env.REDACTION_SKIP_GLOBS.split(',').map(g => g.trim()).filter(Boolean)
+        : [],
+      customPatterns: parseRedactionPatterns(process.env.REDACTION_PATTERNS)
+    }
   };
 
   // Validate required fields
   const requiredFields = [
     { key: 'github.token', value: config.github.token, name: 'GITHUB_TOKEN' },
     { key: 'github.username', value: config.github.username, name: 'GITHUB_USERNAME' },
-    { key: 'ai.apiKey', value: config.ai.apiKey, name: 'GEMINI_API_KEY' },
-    { key: 'email.user', value: config.email.user, name: 'EMAIL_USER' },
-    { key: 'email.appPassword', value: config.email.appPassword, name: 'EMAIL_APP_PASSWORD' },
     { key: 'email.to', value: config.email.to, name: 'EMAIL_TO' }
   ];
 
+  // Validate the credentials for the selected email provider
+  // (the file transport needs none, and SMTP relays may not require a login)
+  if (API_KEY_PROVIDERS.includes(config.email.provider)) {
+    requiredFields.push({ key: 'email.apiKey', value: config.email.apiKey, name: 'EMAIL_API_KEY' });
+  } else if (!['file', 'smtp'].includes(config.email.provider)) {
+    requiredFields.push(
+      { key: 'email.user', value: config.email.user, name: 'EMAIL_USER' },
+      { key: 'email.password', value: config.email.password, name: 'EMAIL_APP_PASSWORD' }
+    );
+  }
+  if (!['gmail', 'zoho'].includes(config.email.provider)) {
+    // Defaults to EMAIL_USER, which is not always an address (SES) or set at all
+    requiredFields.push({ key: 'email.from', value: config.email.from, name: 'EMAIL_FROM' });
+  }
+  if (config.email.provider === 'mailgun') {
+    requiredFields.push({ key: 'email.domain', value: config.email.domain, name: 'EMAIL_MAILGUN_DOMAIN' });
+  }
+  if (config.email.provider === 'smtp') {
+    requiredFields.push({ key: 'email.host', value: config.email.host, name: 'EMAIL_SMTP_HOST' });
+  }
+
+  // Validate the API key for the selected AI provider
+  // (local servers, the mock provider and fixture replay need none)
+  if (!KEYLESS_PROVIDERS.includes(config.ai.provider) && config.ai.recording?.mode !== 'replay') {
+    requiredFields.push(
+      { key: 'ai.apiKey', value: config.ai.apiKey, name: PROVIDER_DEFAULTS[config.ai.provider].env.apiKey }
+    );
+  }
+
   // Validate database fields if database is enabled
   if (config.database.enabled) {
     requiredFields.push(
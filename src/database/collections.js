@@ -14,6 +14,11 @@ const COLLECTIONS = {
   TEAMS: 'teams',
   INVITES: 'invites',
   PLANS: 'plans',
+  PROMPT_TEMPLATES: 'prompt_templates',
+  AI_SUMMARY_CACHE: 'ai_summary_cache',
+  ACTIVITY_EVENTS: 'activity_events',
+  EMAIL_OUTBOX: 'email_outbox',
+  EMAIL_TEMPLATES: 'email_templates',
 };
 
 module.exports = { COLLECTIONS };
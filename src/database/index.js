@@ -31,6 +31,11 @@ const {
   TeamService,
   InviteService,
   PlanService,
+  PromptTemplateService,
+  AISummaryCacheService,
+  ActivityEventService,
+  EmailOutboxService,
+  EmailTemplateService,
 } = require('./services');
 
 module.exports = {
@@ -62,4 +67,9 @@ module.exports = {
   TeamService,
   InviteService,
   PlanService,
+  PromptTemplateService,
+  AISummaryCacheService,
+  ActivityEventService,
+  EmailOutboxService,
+  EmailTemplateService,
 };
@@ -9,7 +9,7 @@ const { COLLECTIONS } = require('./collections');
 const {
   companiesValidator, companiesIndexes,
   companyMembersValidator, companyMembersIndexes,
-  repositoriesValidator, repositoriesIndexes,
+  repositoriesValidator, repositoriesIndexes, repositoriesObsoleteIndexes,
   contributorsValidator, contributorsIndexes,
   contributorAccountsValidator, contributorAccountsIndexes,
   monitoredContributorsValidator, monitoredContributorsIndexes,
@@ -17,6 +17,11 @@ const {
   teamsValidator, teamsIndexes,
   invitesValidator, invitesIndexes,
   plansValidator, plansIndexes,
+  promptTemplatesValidator, promptTemplatesIndexes,
+  aiSummaryCacheValidator, aiSummaryCacheIndexes,
+  activityEventsValidator, activityEventsIndexes,
+  emailOutboxValidator, emailOutboxIndexes,
+  emailTemplatesValidator, emailTemplatesIndexes,
 } = require('./schemas');
 
 /**
@@ -25,7 +30,7 @@ const {
 const collectionDefinitions = [
   { name: COLLECTIONS.COMPANIES, validator: companiesValidator, indexes: companiesIndexes },
   { name: COLLECTIONS.COMPANY_MEMBERS, validator: companyMembersValidator, indexes: companyMembersIndexes },
-  { name: COLLECTIONS.REPOSITORIES, validator: repositoriesValidator, indexes: repositoriesIndexes },
+  { name: COLLECTIONS.REPOSITORIES, validator: repositoriesValidator, indexes: repositoriesIndexes, obsoleteIndexes: repositoriesObsoleteIndexes },
   { name: COLLECTIONS.CONTRIBUTORS, validator: contributorsValidator, indexes: contributorsIndexes },
   { name: COLLECTIONS.CONTRIBUTOR_ACCOUNTS, validator: contributorAccountsValidator, indexes: contributorAccountsIndexes },
   { name: COLLECTIONS.MONITORED_CONTRIBUTORS, validator: monitoredContributorsValidator, indexes: monitoredContributorsIndexes },
@@ -33,15 +38,20 @@ const collectionDefinitions = [
   { name: COLLECTIONS.TEAMS, validator: teamsValidator, indexes: teamsIndexes },
   { name: COLLECTIONS.INVITES, validator: invitesValidator, indexes: invitesIndexes },
   { name: COLLECTIONS.PLANS, validator: plansValidator, indexes: plansIndexes },
+  { name: COLLECTIONS.PROMPT_TEMPLATES, validator: promptTemplatesValidator, indexes: promptTemplatesIndexes },
+  { name: COLLECTIONS.AI_SUMMARY_CACHE, validator: aiSummaryCacheValidator, indexes: aiSummaryCacheIndexes },
+  { name: COLLECTIONS.ACTIVITY_EVENTS, validator: activityEventsValidator, indexes: activityEventsIndexes },
+  { name: COLLECTIONS.EMAIL_OUTBOX, validator: emailOutboxValidator, indexes: emailOutboxIndexes },
+  { name: COLLECTIONS.EMAIL_TEMPLATES, validator: emailTemplatesValidator, indexes: emailTemplatesIndexes },
 ];
 
 /**
  * Initialize a single collection with validator and indexes.
  * @param {import('mongodb').Db} db - MongoDB database instance
- * @param {Object} definition - Collection definition
+ * @param {Object} definition - Collection definition (`obsoleteIndexes` lists index names to drop)
  */
 async function initCollection(db, definition) {
-  const { name, validator, indexes } = definition;
+  const { name, validator, indexes, obsoleteIndexes = [] } = definition;
   const existingCollections = await db.listCollections({ name }).toArray();
 
   if (existingCollections.length > 0) {
@@ -51,8 +61,14 @@ async function initCollection(db, definition) {
     await db.createCollection(name, { validator, validationLevel: 'moderate' });
   }
 
-  // Create indexes
   const collection = db.collection(name);
+
+  // An index cannot be changed in place; drop the ones replaced by a new key first
+  for (const indexName of obsoleteIndexes) {
+    if (await collection.indexExists(indexName)) await collection.dropIndex(indexName);
+  }
+
+  // Create indexes
   for (const idx of indexes) {
     await collection.createIndex(idx.key, idx.options || {});
   }
@@ -0,0 +1,35 @@
+/**
+ * Activity Events Collection Schema
+ * GitHub webhook deliveries (pull_request, pull_request_review, push) for
+ * onboarded repositories, normalized so runs can build summaries without
+ * re-querying the GitHub API. One document per delivery per repository;
+ * expired events are removed by a TTL index.
+ */
+
+const activityEventsValidator = {
+  $jsonSchema: {
+    bsonType: 'object',
+    required: ['companyId', 'repositoryId', 'deliveryId', 'eventType', 'occurredAt', 'data', 'expiresAt', 'createdAt', 'updatedAt'],
+    properties: {
+      companyId: { bsonType: 'objectId', description: 'Reference to companies collection' },
+      repositoryId: { bsonType: 'objectId', description: 'Reference to repositories collection' },
+      deliveryId: { bsonType: 'string', description: 'X-GitHub-Delivery header' },
+      eventType: { bsonType: 'string', enum: ['pull_request', 'pull_request_review', 'push'] },
+      action: { bsonType: ['string', 'null'] },
+      actorLogin: { bsonType: ['string', 'null'], description: 'Lower-cased login of the PR author, reviewer or pusher' },
+      occurredAt: { bsonType: 'date' },
+      data: { bsonType: 'object', description: 'Normalized PR, review or push (commits) payload' },
+      expiresAt: { bsonType: 'date' },
+      createdAt: { bsonType: 'date' },
+      updatedAt: { bsonType: 'date' },
+    },
+  },
+};
+
+const activityEventsIndexes = [
+  { key: { repositoryId: 1, deliveryId: 1 }, options: { unique: true, name: 'repository_delivery_unique' } },
+  { key: { repositoryId: 1, occurredAt: -1 }, options: { name: 'repository_occurredAt' } },
+  { key: { expiresAt: 1 }, options: { expireAfterSeconds: 0, name: 'expiresAt_ttl' } },
+];
+
+module.exports = { activityEventsValidator, activityEventsIndexes };
@@ -0,0 +1,32 @@
+/**
+ * AI Summary Cache Collection Schema
+ * Content-addressed AI output (per-PR notes and full status updates) reused
+ * across runs whose PRs, template and model are unchanged. Expired entries
+ * are removed by a TTL index.
+ */
+
+const aiSummaryCacheValidator = {
+  $jsonSchema: {
+    bsonType: 'object',
+    required: ['cacheKey', 'kind', 'value', 'expiresAt', 'createdAt', 'updatedAt'],
+    properties: {
+      cacheKey: { bsonType: 'string' },
+      kind: { bsonType: 'string', enum: ['pr_summary', 'status_update'] },
+      provider: { bsonType: ['string', 'null'] },
+      model: { bsonType: ['string', 'null'] },
+      value: { bsonType: ['object', 'string'] },
+      hits: { bsonType: 'int' },
+      lastUsedAt: { bsonType: ['date', 'null'] },
+      expiresAt: { bsonType: 'date' },
+      createdAt: { bsonType: 'date' },
+      updatedAt: { bsonType: 'date' },
+    },
+  },
+};
+
+const aiSummaryCacheIndexes = [
+  { key: { cacheKey: 1 }, options: { unique: true, name: 'cacheKey_unique' } },
+  { key: { expiresAt: 1 }, options: { expireAfterSeconds: 0, name: 'expiresAt_ttl' } },
+];
+
+module.exports = { aiSummaryCacheValidator, aiSummaryCacheIndexes };
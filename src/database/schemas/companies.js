@@ -12,6 +12,19 @@ const companiesValidator = {
       name: { bsonType: 'string', description: 'Company name' },
       email: { bsonType: 'string', description: 'Company admin email' },
       logoUrl: { bsonType: ['string', 'null'], description: 'Company logo URL' },
+      githubApp: {
+        bsonType: ['object', 'null'],
+        description: 'Linked GitHub App installation; repos onboarded through it use installation tokens',
+        required: ['installationId'],
+        properties: {
+          installationId: { bsonType: ['int', 'long'] },
+          accountLogin: { bsonType: 'string' },
+          accountType: { bsonType: 'string' },
+          repositorySelection: { bsonType: 'string', enum: ['all', 'selected'] },
+          linkedBy: { bsonType: ['string', 'null'] },
+          linkedAt: { bsonType: 'date' },
+        },
+      },
       subscription: {
         bsonType: 'object',
         required: ['planName', 'status'],
@@ -29,6 +42,8 @@ const companiesValidator = {
               maxRepos: { bsonType: 'int' },
               maxContributors: { bsonType: 'int' },
               maxEmailsPerMonth: { bsonType: 'int' },
+              aiPromptTokenBudget: { bsonType: 'int' },
+              maxAiTokensPerMonth: { bsonType: ['int', 'long', 'null'] },
             },
           },
           usage: {
@@ -37,6 +52,8 @@ const companiesValidator = {
               reposCount: { bsonType: 'int' },
               contributorsCount: { bsonType: 'int' },
               emailsSentThisMonth: { bsonType: 'int' },
+              aiTokensThisMonth: { bsonType: ['int', 'long'] },
+              aiCostThisMonthUsd: { bsonType: ['double', 'int'] },
               usagePeriodStart: { bsonType: ['date', 'null'] },
             },
           },
@@ -47,6 +64,90 @@ const companiesValidator = {
         properties: {
           defaultMonitoringType: { bsonType: 'string', enum: ['ghost', 'open'] },
           timezone: { bsonType: 'string' },
+          locale: { bsonType: ['string', 'null'] },
+          aiConfig: {
+            bsonType: ['object', 'null'],
+            properties: {
+              provider: { bsonType: 'string', enum: ['gemini', 'openai', 'azure_openai', 'anthropic', 'local', 'mock'] },
+              model: { bsonType: ['string', 'null'] },
+              baseUrl: { bsonType: ['string', 'null'] },
+              apiVersion: { bsonType: ['string', 'null'] },
+              encryptedApiKey: { bsonType: ['string', 'null'] },
+            },
+          },
+          redaction: {
+            bsonType: ['object', 'null'],
+            properties: {
+              enabled: { bsonType: 'bool' },
+              redactEmails: { bsonType: 'bool' },
+              entropyThreshold: { bsonType: ['double', 'int', 'null'] },
+              customPatterns: {
+                bsonType: 'array',
+                items: {
+                  bsonType: 'object',
+                  required: ['name', 'pattern'],
+                  properties: {
+                    name: { bsonType: 'string' },
+                    pattern: { bsonType: 'string' },
+                    flags: { bsonType: 'string' },
+                  },
+                },
+              },
+              skipGlobs: { bsonType: 'array', items: { bsonType: 'string' } },
+            },
+          },
+          integrations: {
+            bsonType: ['object', 'null'],
+            properties: {
+              jira: {
+                bsonType: ['object', 'null'],
+                required: ['baseUrl', 'email', 'encryptedApiToken'],
+                properties: {
+                  baseUrl: { bsonType: 'string' },
+                  email: { bsonType: 'string' },
+                  encryptedApiToken: { bsonType: 'string' },
+                  projectKeys: { bsonType: 'array', items: { bsonType: 'string' } },
+                },
+              },
+              linear: {
+                bsonType: ['object', 'null'],
+                required: ['encryptedApiKey'],
+                properties: {
+                  encryptedApiKey: { bsonType: 'string' },
+                  teamKeys: { bsonType: 'array', items: { bsonType: 'string' } },
+                },
+              },
+            },
+          },
+          emailConfig: {
+            bsonType: ['object', 'null'],
+            description: 'Transport used to send the company status emails; the platform sender applies when null',
+            required: ['provider'],
+            properties: {
+              provider: { bsonType: 'string', enum: ['gmail', 'zoho', 'smtp', 'ses', 'sendgrid', 'mailgun', 'file'] },
+              from: { bsonType: ['string', 'null'] },
+              fromName: { bsonType: ['string', 'null'] },
+              user: { bsonType: ['string', 'null'] },
+              encryptedPassword: { bsonType: ['string', 'null'] },
+              host: { bsonType: ['string', 'null'] },
+              port: { bsonType: ['int', 'null'] },
+              secure: { bsonType: ['bool', 'null'] },
+              encryptedApiKey: { bsonType: ['string', 'null'] },
+              domain: { bsonType: ['string', 'null'] },
+              region: { bsonType: ['string', 'null'] },
+              path: { bsonType: ['string', 'null'] },
+              health: {
+                bsonType: ['object', 'null'],
+                description: 'Send / connection-test outcomes; see src/email/senders.js',
+                properties: {
+                  consecutiveFailures: { bsonType: 'int' },
+                  lastSuccessAt: { bsonType: ['date', 'null'] },
+                  lastFailureAt: { bsonType: ['date', 'null'] },
+                  lastFailureReason: { bsonType: ['string', 'null'] },
+                },
+              },
+            },
+          },
         },
       },
       createdAt: { bsonType: 'date' },
@@ -58,6 +159,8 @@ const companiesValidator = {
 const companiesIndexes = [
   { key: { clerkOrgId: 1 }, options: { unique: true, name: 'clerkOrgId_unique' } },
   { key: { 'subscription.status': 1 }, options: { name: 'subscription_status' } },
+  // An installation can be linked to one company only
+  { key: { 'githubApp.installationId': 1 }, options: { unique: true, sparse: true, name: 'githubApp_installationId_unique' } },
 ];
 
 module.exports = { companiesValidator, companiesIndexes };
@@ -15,9 +15,28 @@ const contributorAccountsValidator = {
       mailConfig: {
         bsonType: ['object', 'null'],
         properties: {
-          provider: { bsonType: 'string', enum: ['gmail', 'zoho'] },
+          provider: { bsonType: 'string', enum: ['gmail', 'zoho', 'smtp', 'ses', 'sendgrid', 'mailgun', 'file'] },
           email: { bsonType: 'string' },
-          encryptedAppPassword: { bsonType: 'string' },
+          user: { bsonType: ['string', 'null'], description: 'SMTP login when it differs from the email' },
+          encryptedAppPassword: { bsonType: ['string', 'null'] },
+          host: { bsonType: ['string', 'null'] },
+          port: { bsonType: ['int', 'null'] },
+          secure: { bsonType: ['bool', 'null'] },
+          encryptedApiKey: { bsonType: ['string', 'null'], description: 'SendGrid / Mailgun API key' },
+          domain: { bsonType: ['string', 'null'] },
+          region: { bsonType: ['string', 'null'] },
+          path: { bsonType: ['string', 'null'] },
+          configuredAt: { bsonType: 'date' },
+          health: {
+            bsonType: ['object', 'null'],
+            description: 'Send / connection-test outcomes; see src/email/senders.js',
+            properties: {
+              consecutiveFailures: { bsonType: 'int' },
+              lastSuccessAt: { bsonType: ['date', 'null'] },
+              lastFailureAt: { bsonType: ['date', 'null'] },
+              lastFailureReason: { bsonType: ['string', 'null'] },
+            },
+          },
         },
       },
       savedTemplates: {
@@ -0,0 +1,54 @@
+/**
+ * Email Outbox Collection Schema
+ * Rendered status emails waiting to be delivered. One document per email
+ * (one per recipient locale of a run). The outbox worker retries failed
+ * deliveries with backoff until `maxAttempts`, then dead-letters them.
+ * Sent emails are removed by a TTL index; dead ones are kept for inspection.
+ */
+
+const emailOutboxValidator = {
+  $jsonSchema: {
+    bsonType: 'object',
+    required: [
+      'companyId', 'summaryRunId', 'locale', 'recipients', 'subject', 'text',
+      'status', 'attempts', 'maxAttempts', 'nextAttemptAt', 'createdAt', 'updatedAt',
+    ],
+    properties: {
+      companyId: { bsonType: 'objectId', description: 'Reference to companies collection' },
+      summaryRunId: { bsonType: 'objectId', description: 'Run whose summary this email carries' },
+      monitoredContributorId: { bsonType: ['objectId', 'null'] },
+      locale: { bsonType: 'string' },
+      recipients: { bsonType: 'array', items: { bsonType: 'string' } },
+      subject: { bsonType: 'string' },
+      text: { bsonType: 'string', description: 'Plain-text body (Markdown on entries queued before HTML rendering)' },
+      html: { bsonType: ['string', 'null'], description: 'HTML body; null renders `text` at send time' },
+      status: {
+        bsonType: 'string',
+        enum: ['pending', 'sending', 'sent', 'dead'],
+        description: 'sending = claimed by a worker until nextAttemptAt (the lease) passes',
+      },
+      attempts: { bsonType: 'int' },
+      maxAttempts: { bsonType: 'int' },
+      nextAttemptAt: { bsonType: 'date' },
+      lastError: { bsonType: ['string', 'null'] },
+      sender: {
+        bsonType: ['object', 'null'],
+        description: 'Identity of the last attempt; same shape as summaryRuns emailStatus.sender',
+      },
+      fallbackReason: { bsonType: ['string', 'null'] },
+      sentAt: { bsonType: ['date', 'null'] },
+      deadAt: { bsonType: ['date', 'null'] },
+      createdAt: { bsonType: 'date' },
+      updatedAt: { bsonType: 'date' },
+    },
+  },
+};
+
+const emailOutboxIndexes = [
+  { key: { status: 1, nextAttemptAt: 1 }, options: { name: 'status_nextAttemptAt' } },
+  { key: { summaryRunId: 1 }, options: { name: 'summaryRun' } },
+  { key: { companyId: 1, status: 1, createdAt: -1 }, options: { name: 'company_status' } },
+  { key: { sentAt: 1 }, options: { expireAfterSeconds: 30 * 24 * 60 * 60, name: 'sentAt_ttl' } },
+];
+
+module.exports = { emailOutboxValidator, emailOutboxIndexes };
@@ -0,0 +1,32 @@
+/**
+ * Email Templates Collection Schema
+ * Company-scoped, named layouts for status emails: a subject pattern and
+ * Markdown header / footer blocks, all of which may use {{variables}}.
+ * Attached to monitored contributors; the company default applies otherwise.
+ */
+
+const emailTemplatesValidator = {
+  $jsonSchema: {
+    bsonType: 'object',
+    required: ['companyId', 'name', 'subject', 'createdBy', 'createdAt', 'updatedAt'],
+    properties: {
+      companyId: { bsonType: 'objectId' },
+      name: { bsonType: 'string' },
+      description: { bsonType: ['string', 'null'] },
+      subject: { bsonType: 'string', maxLength: 200, description: 'Subject pattern, e.g. "Weekly update: {{contributor}}"' },
+      header: { bsonType: ['string', 'null'], maxLength: 2000, description: 'Markdown shown above the summary' },
+      footer: { bsonType: ['string', 'null'], maxLength: 2000, description: 'Markdown replacing the default footer' },
+      isDefault: { bsonType: 'bool' },
+      createdBy: { bsonType: 'string' },
+      createdAt: { bsonType: 'date' },
+      updatedAt: { bsonType: 'date' },
+    },
+  },
+};
+
+const emailTemplatesIndexes = [
+  { key: { companyId: 1, name: 1 }, options: { unique: true, name: 'company_name_unique' } },
+  { key: { companyId: 1, isDefault: 1 }, options: { name: 'company_default' } },
+];
+
+module.exports = { emailTemplatesValidator, emailTemplatesIndexes };
@@ -4,7 +4,7 @@
 
 const { companiesValidator, companiesIndexes } = require('./companies');
 const { companyMembersValidator, companyMembersIndexes } = require('./companyMembers');
-const { repositoriesValidator, repositoriesIndexes } = require('./repositories');
+const { repositoriesValidator, repositoriesIndexes, repositoriesObsoleteIndexes } = require('./repositories');
 const { contributorsValidator, contributorsIndexes } = require('./contributors');
 const { contributorAccountsValidator, contributorAccountsIndexes } = require('./contributorAccounts');
 const { monitoredContributorsValidator, monitoredContributorsIndexes } = require('./monitoredContributors');
@@ -12,6 +12,11 @@ const { summaryRunsValidator, summaryRunsIndexes } = require('./summaryRuns');
 const { teamsValidator, teamsIndexes } = require('./teams');
 const { invitesValidator, invitesIndexes } = require('./invites');
 const { plansValidator, plansIndexes } = require('./plans');
+const { promptTemplatesValidator, promptTemplatesIndexes } = require('./promptTemplates');
+const { aiSummaryCacheValidator, aiSummaryCacheIndexes } = require('./aiSummaryCache');
+const { activityEventsValidator, activityEventsIndexes } = require('./activityEvents');
+const { emailOutboxValidator, emailOutboxIndexes } = require('./emailOutbox');
+const { emailTemplatesValidator, emailTemplatesIndexes } = require('./emailTemplates');
 
 module.exports = {
   companiesValidator,
@@ -20,6 +25,7 @@ module.exports = {
   companyMembersIndexes,
   repositoriesValidator,
   repositoriesIndexes,
+  repositoriesObsoleteIndexes,
   contributorsValidator,
   contributorsIndexes,
   contributorAccountsValidator,
@@ -34,4 +40,14 @@ module.exports = {
   invitesIndexes,
   plansValidator,
   plansIndexes,
+  promptTemplatesValidator,
+  promptTemplatesIndexes,
+  aiSummaryCacheValidator,
+  aiSummaryCacheIndexes,
+  activityEventsValidator,
+  activityEventsIndexes,
+  emailOutboxValidator,
+  emailOutboxIndexes,
+  emailTemplatesValidator,
+  emailTemplatesIndexes,
 };
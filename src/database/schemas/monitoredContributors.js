@@ -1,6 +1,7 @@
 /**
  * Monitored Contributors Collection Schema
- * Central/core collection. One document per (company + contributor + repo) combination.
+ * Central/core collection. One document per (company + contributor + repo) combination;
+ * organization coverage has `repositoryId: null` and spans several repos.
  */
 
 const monitoredContributorsValidator = {
@@ -15,9 +16,15 @@ const monitoredContributorsValidator = {
     properties: {
       companyId: { bsonType: 'objectId' },
       contributorId: { bsonType: 'objectId' },
-      repositoryId: { bsonType: 'objectId' },
+      repositoryId: { bsonType: ['objectId', 'null'], description: 'null with organization coverage' },
+      coverage: {
+        bsonType: 'string',
+        enum: ['repository', 'organization'],
+        description: 'organization: one run across repositoryIds (all active company repos when empty). Missing means repository',
+      },
+      repositoryIds: { bsonType: ['array', 'null'], items: { bsonType: 'objectId' } },
       githubUsername: { bsonType: 'string' },
-      repoFullName: { bsonType: 'string' },
+      repoFullName: { bsonType: 'string', description: 'Display name; "all repositories" or the selected names with organization coverage' },
       monitoringType: { bsonType: 'string', enum: ['ghost', 'open'] },
       status: { bsonType: 'string', enum: ['active', 'paused', 'removed'] },
       inviteStatus: {
@@ -52,6 +59,23 @@ const monitoredContributorsValidator = {
               to: { bsonType: ['date', 'null'] },
             },
           },
+          branches: {
+            bsonType: ['array', 'null'],
+            items: { bsonType: 'string' },
+            description: 'Branches scanned for commits; the default branch when empty',
+          },
+          includeCode: {
+            bsonType: ['bool', 'null'],
+            description: 'Fetch patch snippets per PR (one request each); false lists files only. Default true',
+          },
+          includePaths: {
+            bsonType: ['array', 'null'],
+            items: { bsonType: 'string' },
+            description: 'File globs in scope; replaces the repository scope includePaths when set',
+          },
+          excludePaths: { bsonType: ['array', 'null'], items: { bsonType: 'string' } },
+          ignoreBots: { bsonType: ['bool', 'null'], description: 'Falls back to the repository scope when null' },
+          ignoreLabels: { bsonType: ['array', 'null'], items: { bsonType: 'string' } },
         },
       },
       emailConfig: {
@@ -65,12 +89,26 @@ const monitoredContributorsValidator = {
               properties: {
                 email: { bsonType: 'string' },
                 type: { bsonType: 'string', enum: ['company_admin', 'custom', 'contributor'] },
+                locale: { bsonType: ['string', 'null'] },
               },
             },
           },
         },
       },
+      aiConfig: {
+        bsonType: ['object', 'null'],
+        properties: {
+          provider: { bsonType: 'string', enum: ['gemini', 'openai', 'azure_openai', 'anthropic', 'local', 'mock'] },
+          model: { bsonType: ['string', 'null'] },
+          baseUrl: { bsonType: ['string', 'null'] },
+          apiVersion: { bsonType: ['string', 'null'] },
+          encryptedApiKey: { bsonType: ['string', 'null'] },
+        },
+      },
+      promptTemplateId: { bsonType: ['objectId', 'null'] },
+      emailTemplateId: { bsonType: ['objectId', 'null'], description: 'Reference to email_templates; null uses the company default' },
       contributorNote: { bsonType: ['string', 'null'], maxLength: 5000 },
+      contributorTemplateId: { bsonType: ['objectId', 'null'] },
       addedBy: { bsonType: ['string', 'null'] },
       createdAt: { bsonType: 'date' },
       updatedAt: { bsonType: 'date' },
@@ -21,6 +21,8 @@ const plansValidator = {
           maxRepos: { bsonType: 'int' },
           maxContributors: { bsonType: 'int' },
           maxEmailsPerMonth: { bsonType: 'int' },
+          aiPromptTokenBudget: { bsonType: 'int' },
+          maxAiTokensPerMonth: { bsonType: ['int', 'long', 'null'] },
         },
       },
       isActive: { bsonType: 'bool' },
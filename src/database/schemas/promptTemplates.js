@@ -0,0 +1,40 @@
+/**
+ * Prompt Templates Collection Schema
+ * Company-scoped, named instructions for AI status updates (tone, length,
+ * sections, language, audience). Attached to monitored contributors.
+ */
+
+const promptTemplatesValidator = {
+  $jsonSchema: {
+    bsonType: 'object',
+    required: ['companyId', 'name', 'instructions', 'createdBy', 'createdAt', 'updatedAt'],
+    properties: {
+      companyId: { bsonType: 'objectId' },
+      name: { bsonType: 'string' },
+      description: { bsonType: ['string', 'null'] },
+      instructions: { bsonType: 'string', maxLength: 5000 },
+      tone: {
+        bsonType: ['string', 'null'],
+        enum: ['professional', 'friendly', 'formal', 'casual', 'technical', null],
+      },
+      length: { bsonType: ['string', 'null'], enum: ['brief', 'standard', 'detailed', null] },
+      sections: { bsonType: 'array', items: { bsonType: 'string' } },
+      language: { bsonType: ['string', 'null'] },
+      audience: {
+        bsonType: ['string', 'null'],
+        enum: ['exec', 'engineering', 'product', 'client', null],
+      },
+      isDefault: { bsonType: 'bool' },
+      createdBy: { bsonType: 'string' },
+      createdAt: { bsonType: 'date' },
+      updatedAt: { bsonType: 'date' },
+    },
+  },
+};
+
+const promptTemplatesIndexes = [
+  { key: { companyId: 1, name: 1 }, options: { unique: true, name: 'company_name_unique' } },
+  { key: { companyId: 1, isDefault: 1 }, options: { name: 'company_default' } },
+];
+
+module.exports = { promptTemplatesValidator, promptTemplatesIndexes };
@@ -1,23 +1,43 @@
 /**
  * Repositories Collection Schema
- * Repos onboarded by a company. Each repo stores its own encrypted PAT.
+ * Repos onboarded by a company, hosted on GitHub, GitLab or Bitbucket. Each
+ * repo either stores its own encrypted access token or (GitHub only) is
+ * accessed through the company's GitHub App installation.
  */
 
 const repositoriesValidator = {
   $jsonSchema: {
     bsonType: 'object',
-    required: ['companyId', 'owner', 'name', 'fullName', 'isPrivate', 'encryptedAccessToken', 'status', 'createdAt', 'updatedAt'],
+    required: ['companyId', 'owner', 'name', 'fullName', 'isPrivate', 'status', 'createdAt', 'updatedAt'],
     properties: {
       companyId: { bsonType: 'objectId', description: 'Reference to companies collection' },
-      githubRepoId: { bsonType: ['int', 'long'] },
+      provider: { bsonType: 'string', enum: ['github', 'gitlab', 'bitbucket'], description: 'Code host; missing on older docs means github' },
+      baseUrl: { bsonType: ['string', 'null'], description: 'Self-hosted instance URL (GitLab) or API root; null for the public host' },
+      githubRepoId: { bsonType: ['int', 'long', 'string'], description: 'Repository ID on the host (Bitbucket uses UUID strings)' },
       owner: { bsonType: 'string' },
       name: { bsonType: 'string' },
       fullName: { bsonType: 'string' },
       isPrivate: { bsonType: 'bool' },
-      encryptedAccessToken: { bsonType: 'string' },
+      authType: { bsonType: 'string', enum: ['pat', 'github_app'], description: 'Missing on older docs means pat' },
+      encryptedAccessToken: { bsonType: ['string', 'null'], description: 'PAT / access token; null for github_app repos' },
+      installationId: { bsonType: ['int', 'long', 'null'], description: 'GitHub App installation used for github_app repos' },
       tokenAddedBy: { bsonType: ['string', 'null'] },
       status: { bsonType: 'string', enum: ['active', 'revoked', 'token_error', 'paused', 'removed'] },
       lastSyncedAt: { bsonType: ['date', 'null'] },
+      pullsEtag: { bsonType: ['string', 'null'], description: 'ETag of the first pulls.list page at lastSyncedAt' },
+      webhookSecret: { bsonType: ['string', 'null'], description: 'Secret of this repo\'s GitHub webhook; deliveries signed with any other secret are not stored for it' },
+      webhookSince: { bsonType: ['date', 'null'], description: 'Start of the current uninterrupted stream of GitHub webhook deliveries; see src/sources/webhooks.js' },
+      webhookLastDeliveryAt: { bsonType: ['date', 'null'], description: 'Latest GitHub webhook delivery' },
+      scope: {
+        bsonType: ['object', 'null'],
+        description: 'Monitoring scope for every contributor on this repo; see src/sources/scope.js',
+        properties: {
+          includePaths: { bsonType: 'array', items: { bsonType: 'string' } },
+          excludePaths: { bsonType: 'array', items: { bsonType: 'string' } },
+          ignoreBots: { bsonType: 'bool' },
+          ignoreLabels: { bsonType: 'array', items: { bsonType: 'string' } },
+        },
+      },
       createdAt: { bsonType: 'date' },
       updatedAt: { bsonType: 'date' },
     },
@@ -25,8 +45,13 @@ const repositoriesValidator = {
 };
 
 const repositoriesIndexes = [
-  { key: { companyId: 1, fullName: 1 }, options: { unique: true, name: 'company_fullName_unique' } },
+  // The same full name can exist on different hosts (github.com, gitlab.com, a self-hosted GitLab)
+  { key: { companyId: 1, provider: 1, baseUrl: 1, fullName: 1 }, options: { unique: true, name: 'company_host_fullName_unique' } },
   { key: { companyId: 1 }, options: { name: 'companyId' } },
+  { key: { githubRepoId: 1 }, options: { name: 'githubRepoId' } },
 ];
 
-module.exports = { repositoriesValidator, repositoriesIndexes };
+/** Indexes replaced by one with a different key; dropped when collections are initialized. */
+const repositoriesObsoleteIndexes = ['company_fullName_unique'];
+
+module.exports = { repositoriesValidator, repositoriesIndexes, repositoriesObsoleteIndexes };
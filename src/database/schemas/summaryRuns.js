@@ -15,7 +15,7 @@ const summaryRunsValidator = {
       monitoredContributorId: { bsonType: 'objectId' },
       companyId: { bsonType: 'objectId' },
       contributorId: { bsonType: 'objectId' },
-      repositoryId: { bsonType: 'objectId' },
+      repositoryId: { bsonType: ['objectId', 'null'], description: 'null for organization-wide runs; see prStats.repositories' },
       githubUsername: { bsonType: 'string' },
       repoFullName: { bsonType: 'string' },
       scheduledAt: { bsonType: ['date', 'null'] },
@@ -33,11 +33,141 @@ const summaryRunsValidator = {
         properties: {
           totalPRsFetched: { bsonType: 'int' },
           prNumbers: { bsonType: 'array', items: { bsonType: 'int' } },
+          activity: {
+            bsonType: ['object', 'null'],
+            description: 'Non-PR activity in the window, counted by type',
+            properties: {
+              commits: { bsonType: 'int' },
+              reviews: { bsonType: 'int' },
+              reviewComments: { bsonType: 'int' },
+              issuesOpened: { bsonType: 'int' },
+              issuesClosed: { bsonType: 'int' },
+            },
+          },
+          lifecycle: {
+            bsonType: ['object', 'null'],
+            description: 'PRs with each lifecycle event in the window, plus open PRs still in review / in draft',
+            properties: {
+              opened: { bsonType: 'int' },
+              readyForReview: { bsonType: 'int' },
+              reviewed: { bsonType: 'int' },
+              approved: { bsonType: 'int' },
+              merged: { bsonType: 'int' },
+              closedUnmerged: { bsonType: 'int' },
+              reopened: { bsonType: 'int' },
+              inReview: { bsonType: 'int' },
+              draft: { bsonType: 'int' },
+            },
+          },
+          pullRequests: {
+            bsonType: ['array', 'null'],
+            description: 'PRs linked from the email; see pullRequestLinks() in src/email/layout.js',
+            items: {
+              bsonType: 'object',
+              properties: {
+                number: { bsonType: 'int' },
+                repository: { bsonType: 'string' },
+                title: { bsonType: 'string' },
+                state: { bsonType: 'string' },
+                url: { bsonType: ['string', 'null'] },
+              },
+            },
+          },
+          repositories: {
+            bsonType: ['array', 'null'],
+            description: 'Per-repo breakdown (several entries for organization-wide runs)',
+            items: {
+              bsonType: 'object',
+              properties: {
+                repoFullName: { bsonType: 'string' },
+                totalPRsFetched: { bsonType: 'int' },
+                prNumbers: { bsonType: 'array', items: { bsonType: 'int' } },
+                activityCount: { bsonType: 'int' },
+              },
+            },
+          },
+          excluded: {
+            bsonType: ['object', 'null'],
+            description: 'PRs left out by the monitoring scope (repositories.scope + fetchConfig)',
+            properties: {
+              bots: { bsonType: 'int' },
+              labels: { bsonType: 'int' },
+              paths: { bsonType: 'int' },
+            },
+          },
         },
       },
       hasActivity: { bsonType: 'bool' },
       aiSummary: { bsonType: ['string', 'null'] },
+      structuredSummary: {
+        bsonType: ['object', 'null'],
+        properties: {
+          overallSummary: { bsonType: 'string' },
+          pullRequests: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              properties: {
+                number: { bsonType: ['int', 'null'] },
+                repository: { bsonType: ['string', 'null'] },
+                title: { bsonType: 'string' },
+                status: { bsonType: ['string', 'null'] },
+                group: { bsonType: ['string', 'null'] },
+                summary: { bsonType: 'string' },
+              },
+            },
+          },
+          risks: { bsonType: 'array', items: { bsonType: 'string' } },
+          nextSteps: { bsonType: 'array', items: { bsonType: 'string' } },
+          blockers: { bsonType: 'array', items: { bsonType: 'string' } },
+        },
+      },
+      structuredSummaryError: {
+        bsonType: ['string', 'null'],
+        description: 'Why no structured summary was produced; aiSummary then comes from a plain-text request',
+      },
       contributorNoteSnapshot: { bsonType: ['string', 'null'] },
+      redactionStats: {
+        bsonType: ['object', 'null'],
+        properties: {
+          totalRedactions: { bsonType: 'int' },
+          skippedFiles: { bsonType: 'int' },
+          byType: { bsonType: 'object' },
+        },
+      },
+      aiUsage: {
+        bsonType: ['object', 'null'],
+        properties: {
+          provider: { bsonType: 'string' },
+          model: { bsonType: ['string', 'null'] },
+          requests: { bsonType: 'int' },
+          promptTokens: { bsonType: ['int', 'long'] },
+          completionTokens: { bsonType: ['int', 'long'] },
+          totalTokens: { bsonType: ['int', 'long'] },
+          estimated: { bsonType: 'bool' },
+          estimatedCostUsd: { bsonType: ['double', 'int', 'null'] },
+        },
+      },
+      aiCacheStats: {
+        bsonType: ['object', 'null'],
+        properties: {
+          hit: { bsonType: 'bool' },
+          prSummaryHits: { bsonType: 'int' },
+          prSummaryMisses: { bsonType: 'int' },
+        },
+      },
+      localizedSummaries: {
+        bsonType: 'array',
+        items: {
+          bsonType: 'object',
+          required: ['locale'],
+          properties: {
+            locale: { bsonType: 'string' },
+            aiSummary: { bsonType: ['string', 'null'] },
+            structuredSummary: { bsonType: ['object', 'null'] },
+          },
+        },
+      },
       emailStatus: {
         bsonType: 'object',
         properties: {
@@ -45,6 +175,37 @@ const summaryRunsValidator = {
           sentAt: { bsonType: ['date', 'null'] },
           recipients: { bsonType: 'array', items: { bsonType: 'string' } },
           failureReason: { bsonType: ['string', 'null'] },
+          sender: {
+            bsonType: ['object', 'null'],
+            description: 'Identity the email went out as',
+            properties: {
+              type: { bsonType: 'string', enum: ['contributor', 'company', 'platform'] },
+              provider: { bsonType: 'string' },
+              address: { bsonType: ['string', 'null'] },
+            },
+          },
+          deliveries: {
+            bsonType: 'array',
+            items: {
+              bsonType: 'object',
+              properties: {
+                locale: { bsonType: 'string' },
+                recipients: { bsonType: 'array', items: { bsonType: 'string' } },
+                status: {
+                  bsonType: 'string',
+                  enum: ['pending', 'sent', 'failed', 'skipped', 'dead'],
+                  description: 'pending = queued or awaiting a retry; dead = gave up after the last attempt',
+                },
+                sentAt: { bsonType: ['date', 'null'] },
+                failureReason: { bsonType: ['string', 'null'] },
+                sender: { bsonType: ['object', 'null'], description: 'Same shape as emailStatus.sender' },
+                fallbackReason: { bsonType: ['string', 'null'], description: 'Why a preferred sender was not used' },
+                outboxId: { bsonType: ['objectId', 'null'], description: 'Reference to email_outbox collection' },
+                attempts: { bsonType: 'int' },
+                nextAttemptAt: { bsonType: ['date', 'null'] },
+              },
+            },
+          },
         },
       },
       triggerType: { bsonType: 'string', enum: ['scheduled', 'manual'] },
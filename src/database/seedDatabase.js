@@ -79,6 +79,8 @@ class DatabaseSeeder {
           maxRepos: 1,
           maxContributors: 5,
           maxEmailsPerMonth: 50,
+          aiPromptTokenBudget: 16000,
+          maxAiTokensPerMonth: 200000,
         },
         isActive: true,
         createdAt: new Date(),
@@ -95,6 +97,8 @@ class DatabaseSeeder {
           maxRepos: 5,
           maxContributors: 20,
           maxEmailsPerMonth: 500,
+          aiPromptTokenBudget: 32000,
+          maxAiTokensPerMonth: 2000000,
         },
         isActive: true,
         createdAt: new Date(),
@@ -111,6 +115,8 @@ class DatabaseSeeder {
           maxRepos: 20,
           maxContributors: 100,
           maxEmailsPerMonth: 2000,
+          aiPromptTokenBudget: 64000,
+          maxAiTokensPerMonth: 10000000,
         },
         isActive: true,
         createdAt: new Date(),
@@ -127,6 +133,8 @@ class DatabaseSeeder {
           maxRepos: 100,
           maxContributors: 500,
           maxEmailsPerMonth: 10000,
+          aiPromptTokenBudget: 128000,
+          maxAiTokensPerMonth: 50000000,
         },
         isActive: true,
         createdAt: new Date(),
@@ -164,11 +172,15 @@ class DatabaseSeeder {
             maxRepos: 20,
             maxContributors: 100,
             maxEmailsPerMonth: 2000,
+            aiPromptTokenBudget: 64000,
+            maxAiTokensPerMonth: 10000000,
           },
           usage: {
             reposCount: 5,
             contributorsCount: 12,
             emailsSentThisMonth: 145,
+            aiTokensThisMonth: 1840000,
+            aiCostThisMonthUsd: 4.62,
             usagePeriodStart: new Date('2026-02-01'),
           },
         },
@@ -197,11 +209,15 @@ class DatabaseSeeder {
             maxRepos: 5,
             maxContributors: 20,
             maxEmailsPerMonth: 500,
+            aiPromptTokenBudget: 32000,
+            maxAiTokensPerMonth: 2000000,
           },
           usage: {
             reposCount: 3,
             contributorsCount: 8,
             emailsSentThisMonth: 67,
+            aiTokensThisMonth: 512000,
+            aiCostThisMonthUsd: 1.28,
             usagePeriodStart: new Date('2026-02-01'),
           },
         },
@@ -230,11 +246,15 @@ class DatabaseSeeder {
             maxRepos: 1,
             maxContributors: 5,
             maxEmailsPerMonth: 50,
+            aiPromptTokenBudget: 16000,
+            maxAiTokensPerMonth: 200000,
           },
           usage: {
             reposCount: 1,
             contributorsCount: 3,
             emailsSentThisMonth: 12,
+            aiTokensThisMonth: 96000,
+            aiCostThisMonthUsd: 0.24,
             usagePeriodStart: new Date('2026-02-20'),
           },
         },
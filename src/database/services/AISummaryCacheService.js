@@ -0,0 +1,42 @@
+/**
+ * AI Summary Cache Service
+ * Operations for the `ai_summary_cache` collection – reusable AI output.
+ * Implements the `getSummary` / `saveSummary` interface AIService expects
+ * from its `cache` option.
+ */
+
+const { COLLECTIONS } = require('../collections');
+const { BaseService } = require('./BaseService');
+
+const CACHE_TTL_DAYS = 30;
+
+class AISummaryCacheService extends BaseService {
+  constructor() {
+    super(COLLECTIONS.AI_SUMMARY_CACHE);
+  }
+
+  /** Look up a cached summary by key, counting the hit. Returns null on a miss. */
+  async getSummary(cacheKey) {
+    const coll = await this._collection();
+    const entry = await coll.findOneAndUpdate(
+      { cacheKey, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } },
+    );
+    return entry ? entry.value : null;
+  }
+
+  /** Store (or replace) a summary under its key. */
+  async saveSummary(cacheKey, value, { kind, provider = null, model = null } = {}) {
+    return this.upsert({ cacheKey }, {
+      kind,
+      provider,
+      model,
+      value,
+      hits: 0,
+      lastUsedAt: null,
+      expiresAt: new Date(Date.now() + CACHE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+  }
+}
+
+module.exports = { AISummaryCacheService };
@@ -0,0 +1,53 @@
+/**
+ * Activity Event Service
+ * Operations for the `activity_events` collection – stored GitHub webhook events.
+ */
+
+const { COLLECTIONS } = require('../collections');
+const { BaseService } = require('./BaseService');
+
+const EVENT_TTL_DAYS = 90;
+
+class ActivityEventService extends BaseService {
+  constructor() {
+    super(COLLECTIONS.ACTIVITY_EVENTS);
+  }
+
+  /**
+   * Store an event for a repository. Redelivered events are ignored.
+   * Returns true when the event was new.
+   */
+  async recordEvent({ companyId, repositoryId, deliveryId, eventType, action = null, actorLogin = null, occurredAt, data }) {
+    try {
+      await this.create({
+        companyId: this._toObjectId(companyId),
+        repositoryId: this._toObjectId(repositoryId),
+        deliveryId,
+        eventType,
+        action,
+        actorLogin: actorLogin ? actorLogin.toLowerCase() : null,
+        occurredAt,
+        data,
+        expiresAt: new Date(occurredAt.getTime() + EVENT_TTL_DAYS * 24 * 60 * 60 * 1000),
+      });
+      return true;
+    } catch (err) {
+      if (err.code === 11000) return false;
+      throw err;
+    }
+  }
+
+  /** Events of a repository that occurred within [from, to], oldest first. */
+  async findInWindow(repositoryId, from, to, eventTypes = null) {
+    return this.find(
+      {
+        repositoryId: this._toObjectId(repositoryId),
+        occurredAt: { $gte: from, $lte: to },
+        ...(eventTypes && { eventType: { $in: eventTypes } }),
+      },
+      { sort: { occurredAt: 1 } },
+    );
+  }
+}
+
+module.exports = { ActivityEventService };
@@ -5,7 +5,7 @@
 
 const { COLLECTIONS } = require('../collections');
 const { BaseService } = require('./BaseService');
-const { Int32 } = require('mongodb');
+const { Double, Int32, Long } = require('mongodb');
 
 class CompanyService extends BaseService {
   constructor() {
@@ -36,11 +36,15 @@ class CompanyService extends BaseService {
           maxRepos: new Int32(safeLimits.maxRepos),
           maxContributors: new Int32(safeLimits.maxContributors),
           maxEmailsPerMonth: new Int32(safeLimits.maxEmailsPerMonth),
+          ...(safeLimits.aiPromptTokenBudget && { aiPromptTokenBudget: new Int32(safeLimits.aiPromptTokenBudget) }),
+          ...(safeLimits.maxAiTokensPerMonth && { maxAiTokensPerMonth: safeLimits.maxAiTokensPerMonth }),
         },
         usage: {
           reposCount: new Int32(0),
           contributorsCount: new Int32(0),
           emailsSentThisMonth: new Int32(0),
+          aiTokensThisMonth: new Int32(0),
+          aiCostThisMonthUsd: new Double(0),
           usagePeriodStart: new Date(),
         },
       },
@@ -61,6 +65,54 @@ class CompanyService extends BaseService {
     });
   }
 
+  /** Update individual settings fields without replacing the whole sub-document. */
+  async updateSettings(companyId, settings) {
+    const updates = {};
+    for (const [key, value] of Object.entries(settings)) {
+      updates[`settings.${key}`] = value;
+    }
+    return this.updateById(companyId, updates);
+  }
+
+  /**
+   * Record the outcome of sending through the company's own email transport.
+   * A success clears the failure streak; a failure extends it.
+   */
+  async recordEmailSenderResult(companyId, error = null) {
+    const coll = await this._collection();
+    const now = new Date();
+    const update = error
+      ? {
+        $inc: { 'settings.emailConfig.health.consecutiveFailures': 1 },
+        $set: {
+          'settings.emailConfig.health.lastFailureAt': now,
+          'settings.emailConfig.health.lastFailureReason': error.message.substring(0, 500),
+          updatedAt: now,
+        },
+      }
+      : {
+        $set: {
+          'settings.emailConfig.health.consecutiveFailures': 0,
+          'settings.emailConfig.health.lastSuccessAt': now,
+          'settings.emailConfig.health.lastFailureReason': null,
+          updatedAt: now,
+        },
+      };
+    return coll.updateOne({ _id: this._toObjectId(companyId), 'settings.emailConfig': { $ne: null } }, update);
+  }
+
+  /** Find the company a GitHub App installation is linked to. */
+  async findByGitHubInstallation(installationId) {
+    return this.findOne({ 'githubApp.installationId': Long.fromNumber(installationId) });
+  }
+
+  /** Link (or with null, unlink) the company's GitHub App installation. */
+  async setGitHubApp(companyId, githubApp) {
+    return this.updateById(companyId, {
+      githubApp: githubApp && { ...githubApp, installationId: Long.fromNumber(githubApp.installationId) },
+    });
+  }
+
   /** Increment a usage counter atomically (floor-clamped at 0). */
   async incrementUsage(companyId, field, amount = 1) {
     const coll = await this._collection();
@@ -88,6 +140,8 @@ class CompanyService extends BaseService {
   async resetMonthlyUsage(companyId) {
     return this.updateById(companyId, {
       'subscription.usage.emailsSentThisMonth': 0,
+      'subscription.usage.aiTokensThisMonth': 0,
+      'subscription.usage.aiCostThisMonthUsd': new Double(0),
       'subscription.usage.usagePeriodStart': new Date(),
     });
   }
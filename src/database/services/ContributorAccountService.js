@@ -35,7 +35,7 @@ class ContributorAccountService extends BaseService {
     return this.findOne({ clerkUserId });
   }
 
-  /** Update mail configuration (Gmail / Zoho app password). */
+  /** Update mail configuration (provider, sender address and credentials). */
   async updateMailConfig(contributorId, mailConfig) {
     return this.updateOne(
       { contributorId: this._toObjectId(contributorId) },
@@ -43,6 +43,33 @@ class ContributorAccountService extends BaseService {
     );
   }
 
+  /**
+   * Record the outcome of sending from (or testing) the connected mailbox.
+   * A success clears the failure streak; a failure extends it.
+   */
+  async recordMailResult(contributorId, error = null) {
+    const coll = await this._collection();
+    const now = new Date();
+    const update = error
+      ? {
+        $inc: { 'mailConfig.health.consecutiveFailures': 1 },
+        $set: {
+          'mailConfig.health.lastFailureAt': now,
+          'mailConfig.health.lastFailureReason': error.message.substring(0, 500),
+          updatedAt: now,
+        },
+      }
+      : {
+        $set: {
+          'mailConfig.health.consecutiveFailures': 0,
+          'mailConfig.health.lastSuccessAt': now,
+          'mailConfig.health.lastFailureReason': null,
+          updatedAt: now,
+        },
+      };
+    return coll.updateOne({ contributorId: this._toObjectId(contributorId), mailConfig: { $ne: null } }, update);
+  }
+
   /** Add a saved template. Content is capped at 5 000 characters. */
   async addTemplate(contributorId, title, content) {
     if (content && content.length > 5000) {
@@ -59,6 +86,13 @@ class ContributorAccountService extends BaseService {
     );
   }
 
+  /** Find one saved template of a contributor. */
+  async findTemplate(contributorId, templateId) {
+    const account = await this.findByContributorId(contributorId);
+    const id = this._toObjectId(templateId).toString();
+    return (account?.savedTemplates || []).find((t) => t._id?.toString() === id) || null;
+  }
+
   /** Update an existing saved template. */
   async updateTemplate(contributorId, templateId, { title, content }) {
     if (content && content.length > 5000) {
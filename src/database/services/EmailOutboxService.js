@@ -0,0 +1,100 @@
+/**
+ * Email Outbox Service
+ * Operations for the `email_outbox` collection – status emails awaiting delivery.
+ */
+
+const { COLLECTIONS } = require('../collections');
+const { BaseService } = require('./BaseService');
+
+class EmailOutboxService extends BaseService {
+  constructor() {
+    super(COLLECTIONS.EMAIL_OUTBOX);
+  }
+
+  /**
+   * Add an email to the outbox, claimed by the caller for its first attempt.
+   * If the caller never reports back, the lease expires and a worker picks it up.
+   */
+  async enqueue({
+    companyId, summaryRunId, monitoredContributorId = null, locale, recipients, subject, text, html = null,
+    maxAttempts, leaseMs,
+  }) {
+    return this.create({
+      companyId: this._toObjectId(companyId),
+      summaryRunId: this._toObjectId(summaryRunId),
+      monitoredContributorId: this._toObjectId(monitoredContributorId),
+      locale,
+      recipients,
+      subject,
+      text,
+      html,
+      status: 'sending',
+      attempts: 0,
+      maxAttempts,
+      nextAttemptAt: new Date(Date.now() + leaseMs),
+      lastError: null,
+      sender: null,
+      fallbackReason: null,
+      sentAt: null,
+      deadAt: null,
+    });
+  }
+
+  /**
+   * Claim the next email that is due – a pending retry, or one whose
+   * sending lease has expired. Returns null when nothing is due.
+   */
+  async claimNextDue(leaseMs) {
+    const coll = await this._collection();
+    const now = new Date();
+    return coll.findOneAndUpdate(
+      { status: { $in: ['pending', 'sending'] }, nextAttemptAt: { $lte: now } },
+      { $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + leaseMs), updatedAt: now } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after' },
+    );
+  }
+
+  /** Record a successful delivery. */
+  async recordSent(entryId, { attempts, sender, fallbackReason = null }) {
+    return this.updateById(entryId, {
+      status: 'sent',
+      attempts,
+      sender,
+      fallbackReason,
+      lastError: null,
+      sentAt: new Date(),
+    });
+  }
+
+  /**
+   * Record a failed attempt. With a `nextAttemptAt` the email is retried then;
+   * without one it is dead-lettered.
+   */
+  async recordFailure(entryId, { attempts, error, sender = null, fallbackReason = null, nextAttemptAt = null }) {
+    return this.updateById(entryId, {
+      status: nextAttemptAt ? 'pending' : 'dead',
+      attempts,
+      sender,
+      fallbackReason,
+      lastError: error.substring(0, 1000),
+      ...(nextAttemptAt ? { nextAttemptAt } : { deadAt: new Date() }),
+    });
+  }
+
+  /** Whether a run still has emails waiting to be delivered. */
+  async hasUndelivered(summaryRunId) {
+    return this.exists({ summaryRunId: this._toObjectId(summaryRunId), status: { $in: ['pending', 'sending'] } });
+  }
+
+  /** Outbox entries of a company, newest first, optionally filtered by status. */
+  async findByCompany(companyId, { status = null, skip = 0, limit = 20 } = {}) {
+    const query = { companyId: this._toObjectId(companyId), ...(status && { status }) };
+    const [items, total] = await Promise.all([
+      this.find(query, { sort: { createdAt: -1 }, skip, limit, projection: { text: 0, html: 0 } }),
+      this.count(query),
+    ]);
+    return { items, total };
+  }
+}
+
+module.exports = { EmailOutboxService };
@@ -0,0 +1,55 @@
+/**
+ * Email Template Service
+ * Operations for the `email_templates` collection.
+ */
+
+const { COLLECTIONS } = require('../collections');
+const { BaseService } = require('./BaseService');
+
+class EmailTemplateService extends BaseService {
+  constructor() {
+    super(COLLECTIONS.EMAIL_TEMPLATES);
+  }
+
+  /** Create a new email template. */
+  async createTemplate({
+    companyId, name, description = null, subject, header = null, footer = null,
+    isDefault = false, createdBy,
+  }) {
+    return this.create({
+      companyId: this._toObjectId(companyId),
+      name,
+      description,
+      subject,
+      header,
+      footer,
+      isDefault,
+      createdBy,
+    });
+  }
+
+  /** Find all templates for a company. */
+  async findByCompany(companyId) {
+    return this.find({ companyId: this._toObjectId(companyId) }, { sort: { name: 1 } });
+  }
+
+  /** Find a template by name within a company. */
+  async findByName(companyId, name) {
+    return this.findOne({ companyId: this._toObjectId(companyId), name });
+  }
+
+  /** Find the company's default template (used when a monitoring slot has none). */
+  async findDefault(companyId) {
+    return this.findOne({ companyId: this._toObjectId(companyId), isDefault: true });
+  }
+
+  /** Unset the default flag on every template of a company. */
+  async clearDefault(companyId) {
+    return this.updateMany(
+      { companyId: this._toObjectId(companyId), isDefault: true },
+      { isDefault: false },
+    );
+  }
+}
+
+module.exports = { EmailTemplateService };
@@ -11,17 +11,19 @@ class MonitoredContributorService extends BaseService {
     super(COLLECTIONS.MONITORED_CONTRIBUTORS);
   }
 
-  /** Create a new monitoring slot. */
+  /** Create a new monitoring slot (organization coverage: repositoryId null, optional repositoryIds). */
   async createMonitoring({
-    companyId, contributorId, repositoryId,
+    companyId, contributorId, repositoryId, coverage = 'repository', repositoryIds = [],
     githubUsername, repoFullName,
     monitoringType = 'ghost', schedule, fetchConfig, emailConfig,
-    addedBy = null,
+    aiConfig = null, promptTemplateId = null, emailTemplateId = null, addedBy = null,
   }) {
     return this.create({
       companyId: this._toObjectId(companyId),
       contributorId: this._toObjectId(contributorId),
-      repositoryId: this._toObjectId(repositoryId),
+      repositoryId: repositoryId ? this._toObjectId(repositoryId) : null,
+      coverage,
+      repositoryIds: repositoryIds.map((id) => this._toObjectId(id)),
       githubUsername,
       repoFullName,
       monitoringType,
@@ -40,7 +42,11 @@ class MonitoredContributorService extends BaseService {
       },
       fetchConfig: fetchConfig || { windowType: 'since_last_run', dateRange: null },
       emailConfig: emailConfig || { recipients: [] },
+      aiConfig,
+      promptTemplateId: promptTemplateId ? this._toObjectId(promptTemplateId) : null,
+      emailTemplateId: emailTemplateId ? this._toObjectId(emailTemplateId) : null,
       contributorNote: null,
+      contributorTemplateId: null,
       addedBy: addedBy || null,
     });
   }
@@ -97,6 +103,21 @@ class MonitoredContributorService extends BaseService {
     return this.updateById(monitoringId, { contributorNote: note });
   }
 
+  /** Select one of the contributor's saved templates for this slot (null clears it). */
+  async selectContributorTemplate(monitoringId, templateId) {
+    return this.updateById(monitoringId, {
+      contributorTemplateId: templateId ? this._toObjectId(templateId) : null,
+    });
+  }
+
+  /** Unselect a saved template everywhere after the contributor deletes it. */
+  async clearContributorTemplate(contributorId, templateId) {
+    return this.updateMany(
+      { contributorId: this._toObjectId(contributorId), contributorTemplateId: this._toObjectId(templateId) },
+      { contributorTemplateId: null },
+    );
+  }
+
   /** Update invite status after an invite is sent or accepted. */
   async updateInviteStatus(monitoringId, inviteStatus, inviteEmail = undefined) {
     const update = { inviteStatus };
@@ -0,0 +1,59 @@
+/**
+ * Prompt Template Service
+ * Operations for the `prompt_templates` collection.
+ */
+
+const { COLLECTIONS } = require('../collections');
+const { BaseService } = require('./BaseService');
+
+class PromptTemplateService extends BaseService {
+  constructor() {
+    super(COLLECTIONS.PROMPT_TEMPLATES);
+  }
+
+  /** Create a new prompt template. */
+  async createTemplate({
+    companyId, name, description = null, instructions,
+    tone = null, length = null, sections = [], language = null, audience = null,
+    isDefault = false, createdBy,
+  }) {
+    return this.create({
+      companyId: this._toObjectId(companyId),
+      name,
+      description,
+      instructions,
+      tone,
+      length,
+      sections,
+      language,
+      audience,
+      isDefault,
+      createdBy,
+    });
+  }
+
+  /** Find all templates for a company. */
+  async findByCompany(companyId) {
+    return this.find({ companyId: this._toObjectId(companyId) }, { sort: { name: 1 } });
+  }
+
+  /** Find a template by name within a company. */
+  async findByName(companyId, name) {
+    return this.findOne({ companyId: this._toObjectId(companyId), name });
+  }
+
+  /** Find the company's default template (used when a monitoring slot has none). */
+  async findDefault(companyId) {
+    return this.findOne({ companyId: this._toObjectId(companyId), isDefault: true });
+  }
+
+  /** Unset the default flag on every template of a company. */
+  async clearDefault(companyId) {
+    return this.updateMany(
+      { companyId: this._toObjectId(companyId), isDefault: true },
+      { isDefault: false },
+    );
+  }
+}
+
+module.exports = { PromptTemplateService };
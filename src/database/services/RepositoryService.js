@@ -3,31 +3,51 @@
  * Operations for the `repositories` collection.
  */
 
+const crypto = require('crypto');
 const { COLLECTIONS } = require('../collections');
 const { BaseService } = require('./BaseService');
-const { Int32 } = require('mongodb');
+const { Int32, Long } = require('mongodb');
+
+/** Random secret for a repository's GitHub webhook. */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
 
 class RepositoryService extends BaseService {
   constructor() {
     super(COLLECTIONS.REPOSITORIES);
   }
 
-  /** Onboard a new repository for a company. */
-  async onboardRepo({ companyId, githubRepoId, owner, name, fullName, isPrivate, encryptedAccessToken, tokenAddedBy }) {
+  /** Onboard a new repository for a company, authenticated by an access token or a GitHub App installation. */
+  async onboardRepo({ companyId, provider = 'github', baseUrl = null, githubRepoId, owner, name, fullName, isPrivate, encryptedAccessToken = null, installationId = null, tokenAddedBy }) {
     return this.create({
       companyId: this._toObjectId(companyId),
-      githubRepoId: new Int32(githubRepoId),
+      provider,
+      baseUrl,
+      githubRepoId: this._toRepoId(githubRepoId),
       owner,
       name,
       fullName,
       isPrivate,
+      authType: installationId ? 'github_app' : 'pat',
       encryptedAccessToken,
+      installationId: installationId ? Long.fromNumber(installationId) : null,
       tokenAddedBy: tokenAddedBy || null,
       status: 'active',
       lastSyncedAt: null,
+      pullsEtag: null,
+      webhookSecret: provider === 'github' ? generateWebhookSecret() : null,
+      webhookSince: null,
+      webhookLastDeliveryAt: null,
     });
   }
 
+  /** Store numeric host IDs as int/long; Bitbucket UUIDs stay strings. */
+  _toRepoId(repoId) {
+    if (typeof repoId !== 'number') return repoId;
+    return repoId > 2147483647 ? Long.fromNumber(repoId) : new Int32(repoId);
+  }
+
   /** Find all repositories for a company. */
   async findByCompany(companyId, activeOnly = true) {
     const query = { companyId: this._toObjectId(companyId) };
@@ -35,28 +55,102 @@ class RepositoryService extends BaseService {
     return this.find(query);
   }
 
-  /** Find a repo by company + full name. */
-  async findByFullName(companyId, fullName) {
-    return this.findOne({ companyId: this._toObjectId(companyId), fullName });
+  /** Find a repo by company + host + full name; the same name may exist on several hosts. */
+  async findByFullName(companyId, fullName, { provider = 'github', baseUrl = null } = {}) {
+    return this.findOne({
+      companyId: this._toObjectId(companyId),
+      // Older docs without a provider are GitHub repos
+      provider: provider === 'github' ? { $in: ['github', null] } : provider,
+      baseUrl,
+      fullName,
+    });
   }
 
-  /** Update the access token for a repo. */
+  /** Update the access token for a repo (switches it to PAT auth). */
   async updateToken(repoId, encryptedAccessToken, tokenAddedBy) {
     return this.updateById(repoId, {
+      authType: 'pat',
       encryptedAccessToken,
       tokenAddedBy: tokenAddedBy || null,
       status: 'active',
     });
   }
 
+  /** Find every onboarded (not removed) GitHub repo with this repository ID, across companies. */
+  async findByGithubRepoId(githubRepoId) {
+    return this.find({ provider: { $in: ['github', null] }, githubRepoId, status: { $ne: 'removed' } });
+  }
+
+  /**
+   * Record webhook activity: lastSyncedAt only moves forward and
+   * webhookLastDeliveryAt is the latest delivery. webhookSince is set by the
+   * first delivery, and again by one that follows a gap longer than
+   * `staleAfterMs` (events from the gap may be missing).
+   */
+  async recordWebhookActivity(repoId, occurredAt, staleAfterMs) {
+    const coll = await this._collection();
+    const _id = this._toObjectId(repoId);
+    const now = new Date();
+    await coll.updateOne(
+      {
+        _id,
+        $or: [
+          { webhookSince: null },
+          { webhookLastDeliveryAt: { $not: { $gte: new Date(now.getTime() - staleAfterMs) } } },
+        ],
+      },
+      { $set: { webhookSince: now } },
+    );
+    return coll.updateOne(
+      { _id },
+      { $max: { lastSyncedAt: occurredAt }, $set: { webhookLastDeliveryAt: now, updatedAt: now } },
+    );
+  }
+
+  /** Switch a company's repos (by GitHub repo ID) to GitHub App installation auth. */
+  async useInstallation(companyId, githubRepoIds, installationId) {
+    return this.updateMany(
+      {
+        companyId: this._toObjectId(companyId),
+        provider: { $in: ['github', null] },
+        githubRepoId: { $in: githubRepoIds },
+        status: { $ne: 'removed' },
+      },
+      { authType: 'github_app', installationId: Long.fromNumber(installationId), status: 'active' },
+    );
+  }
+
+  /** Mark every repo that relied on an installation as token_error once it is unlinked. */
+  async detachInstallation(companyId, installationId) {
+    return this.updateMany(
+      { companyId: this._toObjectId(companyId), authType: 'github_app', installationId: Long.fromNumber(installationId) },
+      { status: 'token_error' },
+    );
+  }
+
+  /** Replace a repo's webhook secret; deliveries signed with the old one are refused from now on. */
+  async rotateWebhookSecret(repoId) {
+    const webhookSecret = generateWebhookSecret();
+    await this.updateById(repoId, { webhookSecret });
+    return webhookSecret;
+  }
+
   /** Mark a repo's token as errored or revoked. */
   async setStatus(repoId, status) {
     return this.updateById(repoId, { status });
   }
 
-  /** Record the last time this repo's data was synced. */
-  async updateLastSynced(repoId) {
-    return this.updateById(repoId, { lastSyncedAt: new Date() });
+  /** Set the monitoring scope (path filters, bot and label exclusions); null clears it. */
+  async updateScope(repoId, scope) {
+    return this.updateById(repoId, { scope });
+  }
+
+  /** Record the last time this repo's data was synced, with the ETag for the next conditional request. */
+  async updateLastSynced(repoId, { syncedAt = new Date(), pullsEtag } = {}) {
+    return this.updateById(repoId, {
+      lastSyncedAt: syncedAt,
+      ...(pullsEtag !== undefined && { pullsEtag }),
+    });
   }
 }
 
@@ -31,14 +31,22 @@ class SummaryRunService extends BaseService {
       prStats: null,
       hasActivity: false,
       aiSummary: null,
+      structuredSummary: null,
       contributorNoteSnapshot: null,
+      redactionStats: null,
+      localizedSummaries: [],
+      aiCacheStats: null,
+      aiUsage: null,
       emailStatus: { status: 'pending', sentAt: null, recipients: [], failureReason: null },
       triggerType,
     });
   }
 
   /** Mark a run as completed with results. */
-  async completeRun(runId, { fetchWindow, prStats, hasActivity, aiSummary, contributorNoteSnapshot }) {
+  async completeRun(runId, {
+    fetchWindow, prStats, hasActivity, aiSummary, structuredSummary = null, structuredSummaryError = null, contributorNoteSnapshot,
+    redactionStats = null, localizedSummaries = [], aiCacheStats = null, aiUsage = null,
+  }) {
     const coll = await this._collection();
     return coll.updateOne(
       { _id: this._toObjectId(runId) },
@@ -49,7 +57,13 @@ class SummaryRunService extends BaseService {
           prStats,
           hasActivity,
           aiSummary,
+          structuredSummary,
+          structuredSummaryError,
           contributorNoteSnapshot,
+          redactionStats,
+          localizedSummaries,
+          aiCacheStats,
+          aiUsage,
         },
       },
     );
@@ -118,11 +132,13 @@ class SummaryRunService extends BaseService {
           totalPRs: { $sum: '$prStats.totalPRsFetched' },
           runsWithActivity: { $sum: { $cond: ['$hasActivity', 1, 0] } },
           emailsSent: { $sum: { $cond: [{ $eq: ['$emailStatus.status', 'sent'] }, 1, 0] } },
+          aiTokens: { $sum: '$aiUsage.totalTokens' },
+          aiCostUsd: { $sum: '$aiUsage.estimatedCostUsd' },
         },
       },
     ]).toArray();
 
-    return result[0] || { totalRuns: 0, totalPRs: 0, runsWithActivity: 0, emailsSent: 0 };
+    return result[0] || { totalRuns: 0, totalPRs: 0, runsWithActivity: 0, emailsSent: 0, aiTokens: 0, aiCostUsd: 0 };
   }
 }
 
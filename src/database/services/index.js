@@ -13,6 +13,11 @@ const { SummaryRunService } = require('./SummaryRunService');
 const { TeamService } = require('./TeamService');
 const { InviteService } = require('./InviteService');
 const { PlanService } = require('./PlanService');
+const { PromptTemplateService } = require('./PromptTemplateService');
+const { AISummaryCacheService } = require('./AISummaryCacheService');
+const { ActivityEventService } = require('./ActivityEventService');
+const { EmailOutboxService } = require('./EmailOutboxService');
+const { EmailTemplateService } = require('./EmailTemplateService');
 
 module.exports = {
   BaseService,
@@ -26,4 +31,9 @@ module.exports = {
   TeamService,
   InviteService,
   PlanService,
+  PromptTemplateService,
+  AISummaryCacheService,
+  ActivityEventService,
+  EmailOutboxService,
+  EmailTemplateService,
 };
@@ -0,0 +1,168 @@
+const addressparser = require('nodemailer/lib/addressparser');
+const RestClient = require('../sources/restClient');
+
+const MAILGUN_BASE_URLS = {
+  us: 'https://api.mailgun.net',
+  eu: 'https://api.eu.mailgun.net',
+};
+
+/**
+ * Flatten a nodemailer address field (string, object or a list of either).
+ * @param {*} value
+ * @returns {Array<{address: string, name: string}>}
+ */
+function toAddressList(value) {
+  return [].concat(value || [])
+    .flatMap(item => (typeof item === 'string' ? addressparser(item, { flatten: true }) : [item]))
+    .filter(item => item && item.address);
+}
+
+/**
+ * Base for nodemailer custom transports that deliver over an HTTP API.
+ * Subclasses implement deliver(mail) and verify().
+ */
+class HttpTransport {
+  constructor(name) {
+    this.name = name;
+    this.version = '1.0.0';
+  }
+
+  /**
+   * nodemailer transport entry point.
+   * @param {object} mail - nodemailer mail object ({ data, message })
+   * @param {Function} callback
+   */
+  send(mail, callback) {
+    this.deliver(mail).then(info => callback(null, info), callback);
+  }
+}
+
+/**
+ * SendGrid v3 Web API transport. Sends the plain-text and HTML bodies;
+ * attachments are not forwarded.
+ */
+class SendGridTransport extends HttpTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - API key with the "Mail Send" permission
+   */
+  constructor({ apiKey }) {
+    super('SendGrid');
+    this.client = new RestClient({
+      name: 'SendGrid',
+      baseUrl: 'https://api.sendgrid.com/v3',
+      headers: { Authorization: `Bearer ${apiKey}`, Accept: 'application/json' },
+    });
+  }
+
+  async deliver(mail) {
+    const { data } = mail;
+    const toSendGrid = ({ address, name }) => (name ? { email: address, name } : { email: address });
+    const recipients = field => {
+      const list = toAddressList(data[field]).map(toSendGrid);
+      return list.length > 0 ? list : undefined;
+    };
+
+    const [from] = toAddressList(data.from);
+    const [replyTo] = toAddressList(data.replyTo);
+    const content = [
+      data.text && { type: 'text/plain', value: data.text },
+      data.html && { type: 'text/html', value: data.html },
+    ].filter(Boolean);
+
+    const { headers } = await this.client.request('POST', '/mail/send', {
+      body: {
+        personalizations: [{ to: recipients('to'), cc: recipients('cc'), bcc: recipients('bcc') }],
+        from: toSendGrid(from),
+        reply_to: replyTo ? toSendGrid(replyTo) : undefined,
+        subject: data.subject,
+        content,
+      },
+      text: true,
+    });
+
+    const envelope = mail.message.getEnvelope();
+    return {
+      envelope,
+      messageId: headers.get('x-message-id') || mail.message.messageId(),
+      accepted: envelope.to,
+      rejected: [],
+    };
+  }
+
+  /**
+   * Check the API key by listing its permissions.
+   * @returns {Promise<boolean>}
+   */
+  async verify() {
+    await this.client.get('/scopes');
+    return true;
+  }
+}
+
+/**
+ * Mailgun HTTP API transport. Uploads the MIME message built by nodemailer,
+ * so every header and body part is kept as-is.
+ */
+class MailgunTransport extends HttpTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - Private API key
+   * @param {string} options.domain - Sending domain, e.g. mg.example.com
+   * @param {string} [options.region] - "us" or "eu"
+   */
+  constructor({ apiKey, domain, region = 'us' }) {
+    super('Mailgun');
+    this.domain = domain;
+    this.baseUrl = MAILGUN_BASE_URLS[region] || MAILGUN_BASE_URLS.us;
+    this.authorization = `Basic ${Buffer.from(`api:${apiKey}`).toString('base64')}`;
+    this.client = new RestClient({
+      name: 'Mailgun',
+      baseUrl: `${this.baseUrl}/v3`,
+      headers: { Authorization: this.authorization, Accept: 'application/json' },
+    });
+  }
+
+  async deliver(mail) {
+    const envelope = mail.message.getEnvelope();
+    const raw = await mail.message.build();
+
+    const form = new FormData();
+    form.append('to', envelope.to.join(','));
+    form.append('message', new Blob([raw], { type: 'message/rfc822' }), 'message.mime');
+
+    const response = await fetch(`${this.baseUrl}/v3/${encodeURIComponent(this.domain)}/messages.mime`, {
+      method: 'POST',
+      headers: { Authorization: this.authorization },
+      body: form,
+    });
+    if (!response.ok) {
+      const responseBody = await response.text();
+      const error = new Error(`Mailgun API error ${response.status}: ${responseBody.substring(0, 300)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const result = await response.json();
+    return {
+      envelope,
+      messageId: result.id || mail.message.messageId(),
+      accepted: envelope.to,
+      rejected: [],
+    };
+  }
+
+  /**
+   * Check the API key and sending domain.
+   * @returns {Promise<boolean>}
+   */
+  async verify() {
+    await this.client.get(`/domains/${encodeURIComponent(this.domain)}`);
+    return true;
+  }
+}
+
+module.exports = {
+  SendGridTransport,
+  MailgunTransport,
+};
@@ -0,0 +1,148 @@
+/**
+ * Email transport registry.
+ *
+ * Maps a provider id to a nodemailer transport, and resolves which provider
+ * and credentials a send should use from (most specific first):
+ *   company `settings.emailConfig` → environment.
+ *
+ * Use EMAIL_SERVICE=file in development to write messages to a local maildir
+ * (EMAIL_FILE_PATH) instead of sending them.
+ */
+
+const nodemailer = require('nodemailer');
+const { SendGridTransport, MailgunTransport } = require('./httpTransports');
+const MaildirTransport = require('./maildirTransport');
+
+/**
+ * Per-provider defaults. SMTP providers may fix the host, while `smtp`
+ * leaves it to the configuration.
+ */
+const TRANSPORT_DEFAULTS = {
+  gmail: { host: 'smtp.gmail.com', port: 465, secure: true },
+  zoho: { host: 'smtp.zoho.com', port: 465, secure: true },
+  smtp: { host: null, port: 587, secure: false },
+  // Amazon SES through its SMTP interface (SMTP credentials, not IAM access keys)
+  ses: { host: null, port: 587, secure: false, region: 'us-east-1' },
+  sendgrid: {},
+  mailgun: { region: 'us' },
+  file: { path: 'tmp/mail' },
+};
+
+/** Environment variables used when no company configuration names a provider. */
+const ENV_VARS = {
+  from: 'EMAIL_FROM',
+  fromName: 'EMAIL_FROM_NAME',
+  user: 'EMAIL_USER',
+  password: 'EMAIL_APP_PASSWORD',
+  host: 'EMAIL_SMTP_HOST',
+  port: 'EMAIL_SMTP_PORT',
+  secure: 'EMAIL_SMTP_SECURE',
+  apiKey: 'EMAIL_API_KEY',
+  domain: 'EMAIL_MAILGUN_DOMAIN',
+  region: 'EMAIL_REGION',
+  path: 'EMAIL_FILE_PATH',
+};
+
+const SUPPORTED_EMAIL_PROVIDERS = Object.keys(TRANSPORT_DEFAULTS);
+
+/** Providers that authenticate with an API key rather than a mailbox password. */
+const API_KEY_PROVIDERS = ['sendgrid', 'mailgun'];
+
+/**
+ * Whether the server runs with the development maildir (EMAIL_SERVICE=file).
+ * Only then may company or contributor configurations use the `file` provider.
+ * @returns {boolean}
+ */
+function isFileProviderEnabled() {
+  return (process.env.EMAIL_SERVICE || '').toLowerCase() === 'file';
+}
+
+/**
+ * Resolve the effective email configuration.
+ * The first layer that names a provider wins as a whole – credentials are
+ * never mixed across layers, so a company's SMTP host is never paired with
+ * the platform's password. The environment only applies when no layer does.
+ *
+ * @param {...(object|null|undefined)} layers - emailConfig objects, most specific first
+ * @returns {{provider: string, from: string|null, fromName: string|null, user: string|null, password: string|null, host: string|null, port: number|null, secure: boolean, apiKey: string|null, domain: string|null, region: string|null, path: string|null}}
+ */
+function resolveEmailConfig(...layers) {
+  const layer = layers.find(candidate => candidate && candidate.provider);
+  const chosen = layer || Object.fromEntries(
+    Object.entries(ENV_VARS).map(([key, name]) => [key, process.env[name]]),
+  );
+  const provider = (layer ? layer.provider : process.env.EMAIL_SERVICE || 'gmail').toLowerCase();
+
+  const defaults = TRANSPORT_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unsupported email service: ${provider}. Supported services: ${SUPPORTED_EMAIL_PROVIDERS.join(', ')}`);
+  }
+  // Configurations stored before the provider was restricted may still name it
+  if (layer && provider === 'file' && !isFileProviderEnabled()) {
+    throw new Error('The file email provider is only available when EMAIL_SERVICE=file');
+  }
+
+  const user = chosen.user || null;
+  const secure = chosen.secure ?? defaults.secure ?? false;
+  return {
+    provider,
+    from: chosen.from || user,
+    fromName: chosen.fromName || null,
+    user,
+    password: chosen.encryptedPassword || chosen.password || null,
+    host: chosen.host || defaults.host || null,
+    port: chosen.port ? Number(chosen.port) : defaults.port || null,
+    secure: typeof secure === 'string' ? secure === 'true' : secure,
+    apiKey: chosen.encryptedApiKey || chosen.apiKey || null,
+    domain: chosen.domain || null,
+    region: chosen.region || defaults.region || null,
+    // The maildir root is server configuration, never taken from a stored layer
+    path: provider === 'file' ? process.env.EMAIL_FILE_PATH || defaults.path : null,
+  };
+}
+
+/**
+ * Create a nodemailer transporter from a resolved email configuration.
+ * @param {object} emailConfig - Output of resolveEmailConfig()
+ * @returns {import('nodemailer').Transporter}
+ */
+function createEmailTransport(emailConfig) {
+  const { provider, user, password, port, secure, apiKey, domain, region, path } = emailConfig;
+
+  if (API_KEY_PROVIDERS.includes(provider) && !apiKey) {
+    throw new Error(`No API key configured for email service "${provider}"`);
+  }
+
+  switch (provider) {
+    case 'sendgrid':
+      return nodemailer.createTransport(new SendGridTransport({ apiKey }));
+    case 'mailgun':
+      if (!domain) {
+        throw new Error('Mailgun requires a sending domain');
+      }
+      return nodemailer.createTransport(new MailgunTransport({ apiKey, domain, region }));
+    case 'file':
+      return nodemailer.createTransport(new MaildirTransport({ path }));
+    default: {
+      const host = provider === 'ses' ? `email-smtp.${region}.amazonaws.com` : emailConfig.host;
+      if (!host) {
+        throw new Error(`No SMTP host configured for email service "${provider}"`);
+      }
+      return nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined,
+      });
+    }
+  }
+}
+
+module.exports = {
+  SUPPORTED_EMAIL_PROVIDERS,
+  API_KEY_PROVIDERS,
+  TRANSPORT_DEFAULTS,
+  isFileProviderEnabled,
+  resolveEmailConfig,
+  createEmailTransport,
+};
@@ -0,0 +1,219 @@
+/**
+ * Branded layout for status emails.
+ *
+ * A single-column, table-based layout that mail clients render consistently:
+ * a header with the company logo (`companies.logoUrl`) or name, an optional
+ * Markdown header block, the Markdown body, one card per pull request linking
+ * to it, and a footer. Styles are
+ * inline; the only <style> block holds the media query that makes the layout
+ * full-width on small screens, which clients without support simply ignore.
+ *
+ * Every email gets a matching plain-text alternative.
+ */
+
+const { renderMarkdown, markdownToText, FONT_FAMILY } = require('./markdown');
+const { sectionLabels, DEFAULT_LOCALE } = require('../llm/locale');
+
+const CONTENT_WIDTH = 600;
+const PREHEADER_LENGTH = 120;
+
+/** Accent colour of a pull request card, by PR state. */
+const STATE_COLORS = {
+  merged: '#8250df',
+  open: '#1a7f37',
+  draft: '#6e7781',
+  closed: '#cf222e',
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function isWebUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+/**
+ * Header row: the company logo when there is one, else its name, then the title.
+ */
+function renderHeader(title, company) {
+  const brand = isWebUrl(company?.logoUrl)
+    ? `<img src="${escapeHtml(company.logoUrl)}" alt="${escapeHtml(company.name || '')}" height="40" style="display: block; height: 40px; width: auto; max-width: 240px; border: 0; outline: none;">`
+    : company?.name
+      ? `<div style="font-size: 16px; font-weight: bold; color: #52606d;">${escapeHtml(company.name)}</div>`
+      : '';
+  return `
+          <tr>
+            <td class="content" style="padding: 28px 32px 16px; border-bottom: 1px solid #e4e7eb;">
+              ${brand}
+              <h1 style="margin: ${brand ? '16px' : '0'} 0 0; font-size: 20px; line-height: 1.3; color: #1f2933;">${escapeHtml(title)}</h1>
+            </td>
+          </tr>`;
+}
+
+/**
+ * A template's header block, set off from the summary below it.
+ */
+function renderHeaderBlock(header) {
+  return `
+          <tr>
+            <td class="content" style="padding: 20px 32px 0;">
+              <div style="padding: 12px 16px; background-color: #f5f7fa; border-radius: 6px;">
+                ${renderMarkdown(header, { p: 'margin: 0 0 6px; font-size: 14px; line-height: 1.5; color: #3e4c59;' })}
+              </div>
+            </td>
+          </tr>`;
+}
+
+/**
+ * One card per pull request; the title links to the PR when it has a URL.
+ */
+function renderPullRequestCards(pullRequests, heading) {
+  if (pullRequests.length === 0) return '';
+  const showRepository = new Set(pullRequests.map(pr => pr.repository).filter(Boolean)).size > 1;
+
+  const cards = pullRequests.map(pr => {
+    const color = STATE_COLORS[pr.state] || STATE_COLORS.draft;
+    const label = escapeHtml(`${pr.number ? `#${pr.number} ` : ''}${pr.title}`);
+    const title = isWebUrl(pr.url)
+      ? `<a href="${escapeHtml(pr.url)}" style="color: #0b69d4; text-decoration: none; font-weight: bold;">${label}</a>`
+      : `<span style="color: #1f2933; font-weight: bold;">${label}</span>`;
+    const state = pr.state
+      ? ` <span style="display: inline-block; margin-left: 6px; padding: 1px 8px; border-radius: 10px; background-color: ${color}; color: #ffffff; font-size: 12px; line-height: 18px;">${escapeHtml(pr.state)}</span>`
+      : '';
+    const repository = showRepository && pr.repository
+      ? `<div style="margin-top: 4px; font-size: 13px; color: #616e7c;">${escapeHtml(pr.repository)}</div>`
+      : '';
+    return `
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin: 0 0 10px; border: 1px solid #e4e7eb; border-left: 4px solid ${color}; border-radius: 6px;">
+                <tr>
+                  <td style="padding: 10px 14px; font-size: 15px; line-height: 1.4;">${title}${state}${repository}</td>
+                </tr>
+              </table>`;
+  }).join('');
+
+  return `
+          <tr>
+            <td class="content" style="padding: 0 32px 16px;">
+              <h2 style="margin: 8px 0 12px; font-size: 18px; line-height: 1.3; color: #1f2933;">${escapeHtml(heading)}</h2>${cards}
+            </td>
+          </tr>`;
+}
+
+/** Footer text is small and muted, links included. */
+const FOOTER_STYLES = {
+  p: 'margin: 0 0 6px; font-size: 12px; line-height: 1.5; color: #7b8794;',
+  a: 'color: #7b8794; text-decoration: underline;',
+};
+
+function renderFooter(footerMarkdown) {
+  return `
+          <tr>
+            <td class="content" style="padding: 16px 32px 24px; border-top: 1px solid #e4e7eb;">
+              ${renderMarkdown(footerMarkdown, FOOTER_STYLES)}
+            </td>
+          </tr>`;
+}
+
+/**
+ * Plain-text version of the pull request cards.
+ */
+function pullRequestsText(pullRequests, heading) {
+  if (pullRequests.length === 0) return '';
+  const lines = pullRequests.map(pr => {
+    const state = pr.state ? ` (${pr.state})` : '';
+    const repository = pr.repository ? ` – ${pr.repository}` : '';
+    const url = isWebUrl(pr.url) ? `\n  ${pr.url}` : '';
+    return `- ${pr.number ? `#${pr.number} ` : ''}${pr.title}${state}${repository}${url}`;
+  });
+  return `${heading}\n${'-'.repeat(heading.length)}\n${lines.join('\n')}`;
+}
+
+/**
+ * The fields of normalized pull requests (src/sources/pullRequest.js) that
+ * the cards show; open drafts show as `draft`.
+ * @param {Array<object>} pullRequests
+ * @returns {Array<{number: number, repository: string, title: string, state: string, url: string|null}>}
+ */
+function pullRequestLinks(pullRequests) {
+  return pullRequests.map(pr => ({
+    number: pr.number,
+    repository: pr.repository,
+    title: pr.title,
+    state: pr.draft && pr.state === 'open' ? 'draft' : pr.state,
+    url: pr.url || null,
+  }));
+}
+
+/**
+ * Render a status email in the branded layout.
+ * @param {object} options
+ * @param {string} options.markdown - Email body (AI output)
+ * @param {string} options.title - Heading under the logo, usually the subject
+ * @param {string} [options.locale] - Locale of the body, for headings and the lang attribute
+ * @param {{name: string, logoUrl: string|null}|null} [options.company] - Branding
+ * @param {Array<object>} [options.pullRequests] - PRs shown as link cards below the body (see pullRequestLinks())
+ * @param {string|null} [options.header] - Markdown shown above the body
+ * @param {string|null} [options.footer] - Markdown for the footer (defaults to a note naming the company)
+ * @returns {{html: string, text: string}}
+ */
+function renderStatusEmail({
+  markdown, title, locale = DEFAULT_LOCALE, company = null, pullRequests = [], header = null, footer = null,
+}) {
+  const heading = sectionLabels(locale).pullRequests;
+  const footerMarkdown = footer || [
+    company?.name ? `Sent on behalf of ${company.name}.` : null,
+    'This status update was generated automatically from pull request activity.',
+  ].filter(Boolean).join(' ');
+
+  const bodyText = markdownToText(markdown);
+  const footerText = markdownToText(footerMarkdown);
+  const text = [
+    `${title}\n${'='.repeat(Math.min(title.length, 60))}`,
+    header ? markdownToText(header) : null,
+    bodyText,
+    pullRequestsText(pullRequests, heading),
+    `--\n${footerText}`,
+  ].filter(Boolean).join('\n\n');
+
+  // Shown by inbox list views next to the subject
+  const preheader = bodyText.replace(/\s+/g, ' ').substring(0, PREHEADER_LENGTH);
+
+  const html = `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="x-apple-disable-message-reformatting">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @media only screen and (max-width: ${CONTENT_WIDTH + 20}px) {
+      .container { width: 100% !important; border-radius: 0 !important; }
+      .content { padding-left: 16px !important; padding-right: 16px !important; }
+    }
+  </style>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f5f7fa; font-family: ${FONT_FAMILY};">
+  <div style="display: none; max-height: 0; overflow: hidden; opacity: 0;">${escapeHtml(preheader)}</div>
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f7fa;">
+    <tr>
+      <td align="center" style="padding: 24px 10px;">
+        <table role="presentation" class="container" width="${CONTENT_WIDTH}" cellpadding="0" cellspacing="0" style="width: ${CONTENT_WIDTH}px; max-width: 100%; background-color: #ffffff; border-radius: 8px; font-family: ${FONT_FAMILY};">${renderHeader(title, company)}${header ? renderHeaderBlock(header) : ''}
+          <tr>
+            <td class="content" style="padding: 20px 32px 8px;">
+              ${renderMarkdown(markdown)}
+            </td>
+          </tr>${renderPullRequestCards(pullRequests, heading)}${renderFooter(footerMarkdown)}
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+  return { html, text };
+}
+
+module.exports = { pullRequestLinks, renderStatusEmail };
@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const os = require('os');
+const nodePath = require('path');
+
+let deliveryCounter = 0;
+
+/**
+ * Development transport that writes each message to a local maildir
+ * (`<path>/new/<unique>.eml`) instead of sending it. Point a mail client
+ * such as mutt at the directory, or open the .eml files directly.
+ */
+class MaildirTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.path - Maildir root; relative paths resolve from the working directory
+   */
+  constructor({ path }) {
+    this.name = 'Maildir';
+    this.version = '1.0.0';
+    this.root = nodePath.resolve(path);
+  }
+
+  /**
+   * Create the maildir folders when missing.
+   * @returns {Promise<void>}
+   */
+  async ensureFolders() {
+    await Promise.all(['tmp', 'new', 'cur'].map(folder => fs.mkdir(nodePath.join(this.root, folder), { recursive: true })));
+  }
+
+  /**
+   * nodemailer transport entry point.
+   * @param {object} mail - nodemailer mail object ({ data, message })
+   * @param {Function} callback
+   */
+  send(mail, callback) {
+    this.deliver(mail).then(info => callback(null, info), callback);
+  }
+
+  async deliver(mail) {
+    await this.ensureFolders();
+
+    // Maildir delivery: write under tmp/, then move into new/ so readers never see partial files
+    const raw = await mail.message.build();
+    const fileName = `${Date.now()}.${process.pid}_${++deliveryCounter}.${os.hostname()}.eml`;
+    const tmpPath = nodePath.join(this.root, 'tmp', fileName);
+    const newPath = nodePath.join(this.root, 'new', fileName);
+    await fs.writeFile(tmpPath, raw);
+    await fs.rename(tmpPath, newPath);
+
+    const envelope = mail.message.getEnvelope();
+    console.log(`Email written to ${newPath}`);
+    return {
+      envelope,
+      messageId: mail.message.messageId(),
+      accepted: envelope.to,
+      rejected: [],
+      path: newPath,
+    };
+  }
+
+  /**
+   * Check the maildir can be created.
+   * @returns {Promise<boolean>}
+   */
+  async verify() {
+    await this.ensureFolders();
+    return true;
+  }
+}
+
+module.exports = MaildirTransport;
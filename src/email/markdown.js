@@ -0,0 +1,175 @@
+/**
+ * Markdown rendering for status emails.
+ *
+ * AI output is Markdown, so email bodies are rendered with a real Markdown
+ * parser (GFM, single line breaks kept) and then sanitized: only formatting
+ * tags survive, links must be http(s) or mailto, and raw HTML from the model
+ * is dropped. Many mail clients ignore <style> blocks, so every element gets
+ * its styles inlined while sanitizing.
+ *
+ * The plain-text alternative is rendered from the same Markdown tokens.
+ */
+
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const marked = new Marked({ gfm: true, breaks: true });
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, \'Segoe UI\', Helvetica, Arial, sans-serif';
+const MONO_FONT_FAMILY = 'SFMono-Regular, Consolas, \'Liberation Mono\', Menlo, monospace';
+
+/** Styles inlined on each element of a rendered Markdown body. */
+const INLINE_STYLES = {
+  h1: 'margin: 24px 0 12px; font-size: 22px; line-height: 1.3; color: #1f2933;',
+  h2: 'margin: 24px 0 10px; font-size: 18px; line-height: 1.3; color: #1f2933; border-bottom: 1px solid #e4e7eb; padding-bottom: 6px;',
+  h3: 'margin: 20px 0 8px; font-size: 16px; line-height: 1.3; color: #1f2933;',
+  h4: 'margin: 16px 0 8px; font-size: 15px; line-height: 1.3; color: #3e4c59;',
+  h5: 'margin: 16px 0 8px; font-size: 14px; line-height: 1.3; color: #3e4c59;',
+  h6: 'margin: 16px 0 8px; font-size: 13px; line-height: 1.3; color: #52606d;',
+  p: 'margin: 0 0 12px; font-size: 15px; line-height: 1.6; color: #323f4b;',
+  ul: 'margin: 0 0 12px; padding-left: 24px;',
+  ol: 'margin: 0 0 12px; padding-left: 24px;',
+  li: 'margin: 0 0 6px; font-size: 15px; line-height: 1.6; color: #323f4b;',
+  a: 'color: #0b69d4; text-decoration: underline;',
+  strong: 'font-weight: bold;',
+  em: 'font-style: italic;',
+  del: 'text-decoration: line-through;',
+  code: `font-family: ${MONO_FONT_FAMILY}; font-size: 13px; background-color: #f0f2f5; border-radius: 3px; padding: 1px 4px;`,
+  pre: `margin: 0 0 12px; padding: 12px; background-color: #f0f2f5; border-radius: 6px; overflow-x: auto; font-family: ${MONO_FONT_FAMILY}; font-size: 13px; line-height: 1.5; white-space: pre-wrap;`,
+  blockquote: 'margin: 0 0 12px; padding: 4px 12px; border-left: 4px solid #cbd2d9; color: #52606d;',
+  hr: 'border: 0; border-top: 1px solid #e4e7eb; margin: 20px 0;',
+  table: 'border-collapse: collapse; margin: 0 0 12px; width: 100%;',
+  th: 'border: 1px solid #e4e7eb; padding: 6px 10px; text-align: left; background-color: #f5f7fa; font-size: 14px;',
+  td: 'border: 1px solid #e4e7eb; padding: 6px 10px; font-size: 14px;',
+};
+
+const SAFE_LINK_PATTERN = /^(https?:|mailto:)/i;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'del', 's',
+    'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    '*': ['style'],
+    a: ['href', 'title'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+};
+
+/**
+ * Render Markdown as sanitized HTML with inline styles.
+ * @param {string} markdown
+ * @param {object} [styles] - Per-tag styles replacing the defaults, e.g. smaller text in a footer
+ * @returns {string} HTML fragment
+ */
+function renderMarkdown(markdown, styles = {}) {
+  const inlineStyles = { ...INLINE_STYLES, ...styles };
+  const html = sanitizeHtml(marked.parse(markdown || ''), {
+    ...SANITIZE_OPTIONS,
+    transformTags: {
+      // Replaces any style the input carried, so only our own styles reach the email
+      '*': (tagName, attribs) => ({ tagName, attribs: { ...attribs, style: inlineStyles[tagName] || '' } }),
+    },
+  });
+  // <code> inside <pre> must not carry the inline-code background
+  return html.replace(/(<pre[^>]*>)<code style="[^"]*">/g, '$1<code>');
+}
+
+/**
+ * Plain text of inline tokens: emphasis is dropped, links keep their URL.
+ */
+function inlineText(tokens = []) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'link': {
+        const label = inlineText(token.tokens);
+        // Same rule as the HTML: links the sanitizer drops lose their URL
+        if (!SAFE_LINK_PATTERN.test(token.href)) return label;
+        const href = token.href.replace(/^mailto:/, '');
+        return label === href ? label : `${label} (${href})`;
+      }
+      case 'br':
+        return '\n';
+      case 'html':
+        return token.text.replace(/<[^>]*>/g, '');
+      case 'image':
+        return token.text;
+      case 'strong':
+      case 'em':
+      case 'del':
+        return inlineText(token.tokens);
+      case 'text':
+        return token.tokens ? inlineText(token.tokens) : token.text;
+      default:
+        return token.text || '';
+    }
+  }).join('');
+}
+
+/**
+ * Indent every line after the first by `width` spaces (list item continuations).
+ */
+function hangingIndent(text, width) {
+  return text.split('\n').join(`\n${' '.repeat(width)}`);
+}
+
+/**
+ * Plain text of block tokens, blocks separated by a blank line.
+ */
+function blockText(tokens = []) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'heading': {
+        const text = inlineText(token.tokens);
+        if (token.depth > 2) return text;
+        return `${text}\n${(token.depth === 1 ? '=' : '-').repeat(Math.min(text.length, 60))}`;
+      }
+      case 'paragraph':
+        return inlineText(token.tokens);
+      case 'text':
+        return token.tokens ? inlineText(token.tokens) : token.text;
+      case 'list': {
+        const start = Number.isInteger(token.start) ? token.start : 1;
+        return token.items.map((item, i) => {
+          const marker = token.ordered ? `${start + i}. ` : '- ';
+          const body = item.tokens.map(child => blockText([child])).filter(Boolean).join(item.loose ? '\n\n' : '\n');
+          return `${marker}${hangingIndent(body, marker.length)}`;
+        }).join(token.loose ? '\n\n' : '\n');
+      }
+      case 'blockquote':
+        return blockText(token.tokens).split('\n').map(line => `> ${line}`).join('\n');
+      case 'code':
+        return token.text.split('\n').map(line => `    ${line}`).join('\n');
+      case 'table': {
+        const row = cells => cells.map(cell => inlineText(cell.tokens)).join(' | ');
+        return [row(token.header), ...token.rows.map(row)].join('\n');
+      }
+      case 'hr':
+        return '---';
+      case 'html':
+        return token.text.replace(/<[^>]*>/g, '').trim();
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Render Markdown as plain text for the text/plain alternative.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToText(markdown) {
+  return blockText(marked.lexer(markdown || '')).replace(/[ \t]+$/gm, '');
+}
+
+module.exports = {
+  FONT_FAMILY,
+  renderMarkdown,
+  markdownToText,
+};
@@ -0,0 +1,66 @@
+/**
+ * Sender identities for status emails, in the order they are tried:
+ *   contributor's connected mailbox (open monitoring only) → company sender.
+ *
+ * The company sender is the company's `settings.emailConfig`, or the
+ * platform's EMAIL_* environment when the company has none. Each stored
+ * sender keeps a `health` record (consecutive failures, last success and
+ * failure); a contributor mailbox that keeps failing is skipped until it is
+ * reconnected or passes a connection test.
+ */
+
+/** Consecutive failures after which a contributor mailbox is skipped. */
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+/**
+ * Whether a sender has failed too often in a row to be tried.
+ * @param {object|null} health - `{ consecutiveFailures, lastFailureAt, lastFailureReason, lastSuccessAt }`
+ * @returns {boolean}
+ */
+function isSenderSuspended(health) {
+  return (health?.consecutiveFailures || 0) >= MAX_CONSECUTIVE_FAILURES;
+}
+
+/**
+ * Map a contributor's stored `mailConfig` onto the emailConfig shape
+ * understood by resolveEmailConfig().
+ * @param {object} mailConfig - `contributorAccounts.mailConfig`
+ * @returns {object}
+ */
+function mailboxToEmailConfig(mailConfig) {
+  return {
+    ...mailConfig,
+    from: mailConfig.email,
+    // Accounts connected before `user` was stored log in with their address
+    user: mailConfig.user === undefined ? mailConfig.email : mailConfig.user,
+    // Older accounts stored the password as `appPassword`
+    encryptedPassword: mailConfig.encryptedAppPassword || mailConfig.appPassword || null,
+  };
+}
+
+/**
+ * List the senders to try for a monitored contributor, most preferred first.
+ * @param {object} options
+ * @param {string} options.monitoringType - "open" or "ghost"
+ * @param {object|null} options.mailConfig - Contributor's connected mailbox
+ * @param {object|null} options.companyEmailConfig - Company `settings.emailConfig`
+ * @returns {Array<{type: string, emailConfig: object, health: object|null}>}
+ */
+function resolveSenders({ monitoringType, mailConfig, companyEmailConfig }) {
+  const senders = [];
+  // Ghost monitoring is invisible to the contributor, so never send as them
+  if (monitoringType === 'open' && mailConfig?.provider) {
+    senders.push({ type: 'contributor', emailConfig: mailboxToEmailConfig(mailConfig), health: mailConfig.health || null });
+  }
+  senders.push(companyEmailConfig?.provider
+    ? { type: 'company', emailConfig: companyEmailConfig, health: companyEmailConfig.health || null }
+    : { type: 'platform', emailConfig: {}, health: null });
+  return senders;
+}
+
+module.exports = {
+  MAX_CONSECUTIVE_FAILURES,
+  isSenderSuspended,
+  mailboxToEmailConfig,
+  resolveSenders,
+};
@@ -0,0 +1,32 @@
+/**
+ * Company email templates.
+ *
+ * A template sets the subject line and optional Markdown header and footer
+ * blocks of status emails. All three may reference the same {{variables}} as
+ * prompt templates (see src/llm/promptTemplate.js). Templates are attached to
+ * monitored contributors, with the company default and then the built-in
+ * subject as fallbacks.
+ */
+
+const { interpolate } = require('../llm/promptTemplate');
+
+/** Subject used when neither the monitoring slot nor the company sets a template. */
+const DEFAULT_SUBJECT = 'Status Update: {{contributor}} – {{repo}}';
+
+/**
+ * Render an email template for a run.
+ * @param {object|null} template - email_templates document (null → DEFAULT_SUBJECT, default footer)
+ * @param {object} variables - Output of buildTemplateVariables()
+ * @returns {{subject: string, header: string|null, footer: string|null}}
+ */
+function renderEmailTemplate(template, variables) {
+  const block = text => (text ? interpolate(text, variables).trim() || null : null);
+  return {
+    // Line breaks in a subject would let a variable inject mail headers
+    subject: interpolate(template?.subject || DEFAULT_SUBJECT, variables).replace(/[\r\n]+/g, ' ').trim(),
+    header: block(template?.header),
+    footer: block(template?.footer),
+  };
+}
+
+module.exports = { DEFAULT_SUBJECT, renderEmailTemplate };
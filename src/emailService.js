@@ -1,51 +1,46 @@
-const nodemailer = require('nodemailer');
+const { resolveEmailConfig, createEmailTransport } = require('./email');
+const { renderStatusEmail } = require('./email/layout');
 
 class EmailService {
-  constructor(config) {
-    this.config = config;
+  /**
+   * @param {object} config - Email configuration ({ provider, from, user, password, host, port,
+   *   secure, apiKey, domain, region, path }); the legacy { service, user, appPassword } shape
+   *   is still accepted. See src/email/index.js for the supported providers.
+   */
+  constructor(config = {}) {
+    this.config = resolveEmailConfig({
+      ...config,
+      provider: config.provider || config.service,
+      password: config.password || config.appPassword
+    });
     this.transporter = null;
   }
 
   /**
-   * Initialize email transporter based on service type
+   * Initialize email transporter for the configured provider
    */
   initializeTransporter() {
-    const { service, user, appPassword } = this.config;
-
-    // Configuration for different email services
-    const serviceConfig = {
-      gmail: {
-        service: 'gmail',
-        auth: {
-          user: user,
-          pass: appPassword
-        }
-      },
-      zoho: {
-        host: 'smtp.zoho.com',
-        port: 465,
-        secure: true,
-        auth: {
-          user: user,
-          pass: appPassword
-        }
-      }
-    };
+    this.transporter = createEmailTransport(this.config);
+    console.log(`Email transporter initialized for ${this.config.provider}`);
+  }
 
-    const config = serviceConfig[service.toLowerCase()];
-    if (!config) {
-      throw new Error(`Unsupported email service: ${service}. Supported services: gmail, zoho`);
+  /**
+   * Check that the transport accepts the configured credentials, without sending anything
+   * @returns {Promise<boolean>} Resolves true, rejects with the provider's error
+   */
+  async verifyConnection() {
+    if (!this.transporter) {
+      this.initializeTransporter();
     }
-
-    this.transporter = nodemailer.createTransport(config);
-    console.log(`Email transporter initialized for ${service}`);
+    return this.transporter.verify();
   }
 
   /**
    * Send email with the generated content
    * @param {string} to - Recipient email addresses (comma-separated)
    * @param {string} subject - Email subject
-   * @param {string} content - Email body content
+   * @param {string|{text: string, html: string}} content - Markdown body, rendered in the
+   *   default layout, or an email already rendered with renderStatusEmail()
    * @returns {Promise<object>} Send result
    */
   async sendEmail(to, subject, content) {
@@ -58,12 +53,14 @@ class EmailService {
       await this.transporter.verify();
       console.log('Email server connection verified');
 
+      const { from, fromName } = this.config;
+      const { text, html } = typeof content === 'string' ? this.formatEmail(subject, content) : content;
       const mailOptions = {
-        from: this.config.user,
+        from: fromName ? { name: fromName, address: from } : from,
         to: to,
         subject: subject,
-        text: content,
-        html: this.formatAsHTML(content)
+        text: text,
+        html: html
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -76,96 +73,13 @@ class EmailService {
   }
 
   /**
-   * Escape HTML special characters to prevent XSS
-   * @param {string} text - Text to escape
-   * @returns {string} Escaped text
-   */
-  escapeHtml(text) {
-    const htmlEscapes = {
-      '&': '&amp;',
-      '<': '&lt;',
-      '>': '&gt;',
-      '"': '&quot;',
-      "'": '&#39;'
-    };
-    return text.replace(/[&<>"']/g, char => htmlEscapes[char]);
-  }
-
-  /**
-   * Convert plain text to basic HTML format
-   * @param {string} text - Plain text content
-   * @returns {string} HTML formatted content
+   * Render a Markdown body in the default email layout
+   * @param {string} subject - Email subject, used as the heading
+   * @param {string} markdown - Email body
+   * @returns {{text: string, html: string}} Plain-text and HTML versions
    */
-  formatAsHTML(text) {
-    const lines = text.split('\n');
-    const htmlLines = [];
-    let inList = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmedLine = line.trim();
-
-      if (trimmedLine === '') {
-        if (inList) {
-          htmlLines.push('</ul>');
-          inList = false;
-        }
-        htmlLines.push('<br>');
-        continue;
-      }
-
-      const isListItem = trimmedLine.startsWith('-') || trimmedLine.startsWith('*');
-
-      if (isListItem) {
-        if (!inList) {
-          htmlLines.push('<ul>');
-          inList = true;
-        }
-        const content = this.escapeHtml(line.replace(/^[\s-*]+/, ''));
-        htmlLines.push(`<li>${content}</li>`);
-      } else {
-        if (inList) {
-          htmlLines.push('</ul>');
-          inList = false;
-        }
-
-        if (trimmedLine.startsWith('##')) {
-          const content = this.escapeHtml(line.replace(/^##\s*/, ''));
-          htmlLines.push(`<h2>${content}</h2>`);
-        } else if (trimmedLine.startsWith('#')) {
-          const content = this.escapeHtml(line.replace(/^#\s*/, ''));
-          htmlLines.push(`<h1>${content}</h1>`);
-        } else {
-          const content = this.escapeHtml(line);
-          htmlLines.push(`<p>${content}</p>`);
-        }
-      }
-    }
-
-    // Close any open list
-    if (inList) {
-      htmlLines.push('</ul>');
-    }
-
-    const htmlContent = htmlLines.join('\n');
-
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-    h1, h2 { color: #2c3e50; }
-    p { margin: 10px 0; }
-    ul { margin: 10px 0; padding-left: 20px; }
-    li { margin: 5px 0; }
-  </style>
-</head>
-<body>
-  ${htmlContent}
-</body>
-</html>
-    `.trim();
+  formatEmail(subject, markdown) {
+    return renderStatusEmail({ markdown, title: subject });
   }
 }
 
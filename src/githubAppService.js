@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { Octokit } = require('@octokit/rest');
+
+const PER_PAGE = 100;
+// Installation tokens live one hour; mint a new one this long before expiry
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// How long an install `state` issued to a company stays valid
+const INSTALL_STATE_TTL_MS = 60 * 60 * 1000;
+
+// Installation tokens shared by every instance in this process, keyed by installation ID
+const tokenCache = new Map();
+
+/**
+ * GitHub App authentication: signs app JWTs with the app's private key,
+ * exchanges them for short-lived installation tokens and lists the
+ * repositories an installation can access.
+ */
+class GitHubAppService {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.appId] - GitHub App ID (default GITHUB_APP_ID)
+   * @param {string} [options.privateKey] - PEM private key (default GITHUB_APP_PRIVATE_KEY)
+   * @param {string} [options.slug] - App slug used for the install URL (default GITHUB_APP_SLUG)
+   * @param {string} [options.stateSecret] - Key signing install `state` values (default GITHUB_APP_STATE_SECRET,
+   *   else derived from the private key)
+   * @param {string} [options.clientId] - App OAuth client ID (default GITHUB_APP_CLIENT_ID)
+   * @param {string} [options.clientSecret] - App OAuth client secret (default GITHUB_APP_CLIENT_SECRET)
+   */
+  constructor({
+    appId = process.env.GITHUB_APP_ID,
+    privateKey = process.env.GITHUB_APP_PRIVATE_KEY,
+    slug = process.env.GITHUB_APP_SLUG,
+    stateSecret = process.env.GITHUB_APP_STATE_SECRET,
+    clientId = process.env.GITHUB_APP_CLIENT_ID,
+    clientSecret = process.env.GITHUB_APP_CLIENT_SECRET
+  } = {}) {
+    this.appId = appId || null;
+    // .env files usually hold the PEM on one line with literal "\n" sequences
+    this.privateKey = privateKey ? privateKey.replace(/\\n/g, '\n') : null;
+    this.slug = slug || null;
+    this.stateSecret = stateSecret
+      || (this.privateKey && crypto.createHash('sha256').update(`install-state:${this.privateKey}`).digest('hex'))
+      || null;
+    this.clientId = clientId || null;
+    this.clientSecret = clientSecret || null;
+  }
+
+  /**
+   * Whether an app ID and private key are available
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.appId && this.privateKey);
+  }
+
+  /**
+   * Whether the app's OAuth credentials are available to check who installed it
+   * @returns {boolean}
+   */
+  canVerifyInstallers() {
+    return !!(this.clientId && this.clientSecret);
+  }
+
+  /**
+   * URL where a company admin installs the app on their organization.
+   * GitHub passes `state` back to the setup URL along with the installation ID.
+   * @param {string} [state] - Value from createInstallState()
+   * @returns {string|null}
+   */
+  installUrl(state) {
+    if (!this.slug) return null;
+    const url = `https://github.com/apps/${this.slug}/installations/new`;
+    return state ? `${url}?state=${encodeURIComponent(state)}` : url;
+  }
+
+  _signInstallState(payload) {
+    return crypto.createHmac('sha256', this.stateSecret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Create a signed, expiring `state` for the install URL that ties the
+   * resulting installation to the company that started the install
+   * @param {string} companyId
+   * @param {number} [now] - Current time in ms
+   * @returns {string|null} null when the app is not configured
+   */
+  createInstallState(companyId, now = Date.now()) {
+    if (!this.stateSecret) return null;
+    const payload = `${companyId}.${Math.floor((now + INSTALL_STATE_TTL_MS) / 1000)}`;
+    return `${payload}.${this._signInstallState(payload)}`;
+  }
+
+  /**
+   * Check that an install `state` was issued to this company and has not expired
+   * @param {string} state
+   * @param {string} companyId
+   * @param {number} [now] - Current time in ms
+   * @returns {boolean}
+   */
+  verifyInstallState(state, companyId, now = Date.now()) {
+    if (!this.stateSecret || typeof state !== 'string') return false;
+    const [stateCompanyId, expiresAt, signature, ...rest] = state.split('.');
+    if (rest.length > 0 || !signature) return false;
+
+    const expected = Buffer.from(this._signInstallState(`${stateCompanyId}.${expiresAt}`));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false;
+    return stateCompanyId === companyId && Number(expiresAt) * 1000 > now;
+  }
+
+  /**
+   * Create an RS256-signed JWT identifying the app (valid for 9 minutes)
+   * @param {number} [now] - Current time in ms
+   * @returns {string}
+   */
+  createAppJwt(now = Date.now()) {
+    if (!this.isConfigured()) {
+      throw new Error('GitHub App is not configured (set GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY)');
+    }
+
+    // Backdate iat to tolerate clock drift; GitHub rejects tokens valid for more than 10 minutes
+    const iat = Math.floor(now / 1000) - 60;
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ iat, exp: iat + 9 * 60, iss: String(this.appId) })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey, 'base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  /**
+   * Octokit client authenticated as the app itself
+   * @returns {Octokit}
+   */
+  appOctokit() {
+    return new Octokit({ auth: this.createAppJwt() });
+  }
+
+  /**
+   * Look up an installation of this app
+   * @param {number} installationId
+   * @returns {Promise<object>} Installation (account, repository_selection, ...)
+   */
+  async getInstallation(installationId) {
+    const { data } = await this.appOctokit().rest.apps.getInstallation({ installation_id: installationId });
+    return data;
+  }
+
+  /**
+   * Exchange the `code` GitHub passes to the setup URL (with "Request user
+   * authorization during installation" enabled) for a user-to-server token
+   * @param {string} code
+   * @returns {Promise<string>}
+   */
+  async exchangeUserCode(code) {
+    const response = await fetch('https://github.com/login/oauth/access_token', {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: this.clientId, client_secret: this.clientSecret, code })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw new Error(`GitHub did not accept the authorization code: ${data.error || response.status}`);
+    }
+    return data.access_token;
+  }
+
+  /**
+   * Whether the user behind a user-to-server token can access an installation,
+   * i.e. is an admin of the account the app was installed on
+   * @param {string} userToken - From exchangeUserCode()
+   * @param {number} installationId
+   * @returns {Promise<boolean>}
+   */
+  async userHasInstallation(userToken, installationId) {
+    const octokit = new Octokit({ auth: userToken });
+    for (let page = 1; ; page++) {
+      const { data } = await octokit.rest.apps.listInstallationsForAuthenticatedUser({ per_page: PER_PAGE, page });
+      if (data.installations.some(installation => installation.id === installationId)) return true;
+      if (data.installations.length < PER_PAGE) return false;
+    }
+  }
+
+  /**
+   * Get an installation access token, reusing a cached one until shortly before it expires
+   * @param {number} installationId
+   * @returns {Promise<string>}
+   */
+  async getInstallationToken(installationId) {
+    const key = String(installationId);
+    const cached = tokenCache.get(key);
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+
+    const { data } = await this.appOctokit().rest.apps.createInstallationAccessToken({ installation_id: installationId });
+    tokenCache.set(key, { token: data.token, expiresAt: new Date(data.expires_at).getTime() });
+    return data.token;
+  }
+
+  /**
+   * Forget the cached token of an installation (e.g. after it was removed)
+   * @param {number} installationId
+   */
+  clearInstallationToken(installationId) {
+    tokenCache.delete(String(installationId));
+  }
+
+  /**
+   * List every repository the installation can access
+   * @param {number} installationId
+   * @returns {Promise<Array>} GitHub repository objects
+   */
+  async listInstallationRepos(installationId) {
+    const octokit = new Octokit({ auth: await this.getInstallationToken(installationId) });
+    const repos = [];
+    for (let page = 1; ; page++) {
+      const { data } = await octokit.rest.apps.listReposAccessibleToInstallation({ per_page: PER_PAGE, page });
+      repos.push(...data.repositories);
+      if (data.repositories.length < PER_PAGE) break;
+    }
+    return repos;
+  }
+
+  /**
+   * Resolve the token used to call GitHub for an onboarded repository:
+   * an installation token for GitHub App repos, the stored PAT otherwise
+   * @param {object} repo - Document from the repositories collection
+   * @returns {Promise<string|null>}
+   */
+  async getRepoAccessToken(repo) {
+    if (repo.authType === 'github_app') {
+      if (!repo.installationId) {
+        throw new Error(`Repository ${repo.fullName} has no GitHub App installation`);
+      }
+      return this.getInstallationToken(repo.installationId);
+    }
+    return repo.encryptedAccessToken || null;
+  }
+}
+
+module.exports = GitHubAppService;
@@ -1,17 +1,377 @@
 const { Octokit } = require('@octokit/rest');
+const { normalizePullRequest, isInWindow, withLifecycle } = require('./sources/pullRequest');
+const { enrichWithTickets } = require('./tickets');
+
+const PER_PAGE = 100;
+// The search API returns at most 1000 results per query
+const MAX_SEARCH_RESULTS = 1000;
+
+// Pull requests per batched GraphQL details query
+const GRAPHQL_BATCH_SIZE = 10;
+
+// GraphQL changeType → REST file status
+const FILE_STATUS = {
+  ADDED: 'added',
+  DELETED: 'removed',
+  RENAMED: 'renamed',
+  COPIED: 'copied',
+  MODIFIED: 'modified',
+  CHANGED: 'changed'
+};
+
+// Check run conclusions that count as failed
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure'];
+
+// "Fixes #12"-style closing keywords, for linked issues when GraphQL is unavailable
+const CLOSING_KEYWORD_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s+#(\d+)/gi;
+
+/** Activity types gathered besides authored pull requests. */
+const ACTIVITY_TYPES = ['commit', 'review', 'review_comment', 'issue_opened', 'issue_closed'];
 
 class GitHubService {
-  constructor(token, username, repos = [], maxCharsPerFile = 500) {
+  /**
+   * @param {string} token - GitHub token
+   * @param {string} username - GitHub login whose PRs are fetched
+   * @param {string[]} [repos] - "owner/repo" list; empty uses the search API
+   * @param {number} [maxCharsPerFile] - Patch characters kept per file
+   * @param {number} [maxFilesPerPR] - Files fetched per PR
+   * @param {object} [options]
+   * @param {number} [options.maxRetries] - Retries after rate-limit / server errors
+   * @param {number} [options.maxRateLimitWaitMs] - Longest wait for a rate-limit reset before giving up
+   */
+  constructor(token, username, repos = [], maxCharsPerFile = 500, maxFilesPerPR = 100, { maxRetries = 3, maxRateLimitWaitMs = 60000 } = {}) {
+    this.name = 'github';
     this.octokit = new Octokit({
       auth: token
     });
     this.username = username;
     this.repos = repos;
     this.maxCharsPerFile = maxCharsPerFile;
+    this.maxFilesPerPR = maxFilesPerPR;
+    this.maxRetries = maxRetries;
+    this.maxRateLimitWaitMs = maxRateLimitWaitMs;
+
+    // Every request goes through the rate-limit aware retry loop
+    this.octokit.hook.wrap('request', (request, options) => this.requestWithBackoff(request, options));
+  }
+
+  /**
+   * Sleep for a specified duration
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * How long to wait before retrying a failed request, based on GitHub's
+   * rate-limit headers (`retry-after`, `x-ratelimit-remaining/reset`).
+   * @param {Error} error - Octokit RequestError
+   * @param {number} attempt - Retry attempt (0-based)
+   * @returns {number|null} Milliseconds to wait, or null when the error is not retryable
+   */
+  retryDelay(error, attempt) {
+    const headers = error.response?.headers || {};
+    if (error.status === 403 || error.status === 429) {
+      if (headers['retry-after']) {
+        return parseInt(headers['retry-after'], 10) * 1000;
+      }
+      if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        return Math.max(parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now(), 0) + 1000;
+      }
+      // Secondary rate limits without headers: back off exponentially from a minute
+      if (/rate limit/i.test(error.message)) {
+        return Math.pow(2, attempt) * 60000;
+      }
+      return null;
+    }
+    if (error.status >= 500 && error.status < 600) {
+      return Math.pow(2, attempt) * 1000;
+    }
+    return null;
+  }
+
+  /**
+   * Run a request, retrying on rate-limit and server errors with backoff
+   * @param {Function} request - Octokit request function
+   * @param {object} options - Request options
+   * @returns {Promise<object>} Octokit response
+   */
+  async requestWithBackoff(request, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request(options);
+      } catch (error) {
+        const delay = this.retryDelay(error, attempt);
+        if (delay === null || attempt >= this.maxRetries) {
+          throw error;
+        }
+        if (delay > this.maxRateLimitWaitMs) {
+          const resetAt = new Date(Date.now() + delay).toISOString();
+          throw new Error(`GitHub rate limit exceeded; resets at ${resetAt}`);
+        }
+        console.warn(`GitHub ${error.status} on ${options.method} ${options.url}. Retrying in ${(delay / 1000).toFixed(1)} seconds... (Attempt ${attempt + 1}/${this.maxRetries})`);
+        await this.sleep(delay);
+      }
+    }
   }
 
   /**
-   * Fetch files changed in a PR with code snippets
+   * Fetch a repository's PRs updated within a window, newest first.
+   * Pages through pulls.list sorted by update time and stops at the first PR
+   * updated before the window. With the ETag from the previous sync, page 1 is
+   * a conditional request: a 304 means no PR changed since `lastSyncedAt`, so a
+   * window starting after that has nothing to fetch.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} options
+   * @param {Date} options.startDate - Window start
+   * @param {Date} options.endDate - Window end
+   * @param {string} [options.author] - Only PRs opened by this login
+   * @param {string|null} [options.etag] - ETag stored by the previous sync
+   * @param {Date|null} [options.lastSyncedAt] - When that ETag was stored
+   * @returns {Promise<{pullRequests: Array, etag: string|null, syncedAt: Date, notModified: boolean}>}
+   *   Raw GitHub PR objects plus the sync state to persist
+   */
+  async fetchUpdatedPullRequests(owner, repo, { startDate, endDate, author, etag = null, lastSyncedAt = null }) {
+    const syncedAt = new Date();
+    const conditional = !!etag && !!lastSyncedAt && startDate >= new Date(lastSyncedAt);
+    const pullRequests = [];
+    let latestEtag = null;
+
+    for (let page = 1; ; page++) {
+      let response;
+      try {
+        response = await this.octokit.rest.pulls.list({
+          owner,
+          repo,
+          state: 'all',
+          sort: 'updated',
+          direction: 'desc',
+          per_page: PER_PAGE,
+          page,
+          ...(page === 1 && conditional && { headers: { 'if-none-match': etag } })
+        });
+      } catch (error) {
+        if (error.status === 304) {
+          console.log(`  ${owner}/${repo}: no pull request changes since ${new Date(lastSyncedAt).toISOString()}`);
+          return { pullRequests: [], etag, syncedAt, notModified: true };
+        }
+        throw error;
+      }
+
+      if (page === 1) latestEtag = response.headers.etag || null;
+
+      let reachedOlder = false;
+      for (const pr of response.data) {
+        const updatedAt = new Date(pr.updated_at);
+        if (updatedAt < startDate) {
+          reachedOlder = true;
+          break;
+        }
+        const authorMatch = !author || pr.user?.login?.toLowerCase() === author.toLowerCase();
+        if (authorMatch && updatedAt <= endDate) pullRequests.push(pr);
+      }
+
+      if (reachedOlder || response.data.length < PER_PAGE) break;
+    }
+
+    return { pullRequests, etag: latestEtag, syncedAt, notModified: false };
+  }
+
+  /**
+   * Look up a repository (validates access for onboarding).
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<{id: number, fullName: string, isPrivate: boolean, defaultBranch: string|null, webUrl: string}>}
+   */
+  async getRepository(owner, repo) {
+    const { data } = await this.octokit.rest.repos.get({ owner, repo });
+    return {
+      id: data.id,
+      fullName: data.full_name,
+      isPrivate: data.private,
+      defaultBranch: data.default_branch || null,
+      webUrl: data.html_url
+    };
+  }
+
+  /**
+   * List a repository's contributors, most contributions first.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array<{login: string, id: number, avatarUrl: string|null, contributions: number}>>}
+   */
+  async listContributors(owner, repo) {
+    const { data } = await this.octokit.rest.repos.listContributors({ owner, repo, per_page: PER_PAGE });
+    return data.map(contributor => ({
+      login: contributor.login,
+      id: contributor.id,
+      avatarUrl: contributor.avatar_url || null,
+      contributions: contributor.contributions
+    }));
+  }
+
+  /**
+   * Fetch every page of a list endpoint.
+   * @param {Function} method - Octokit REST method, e.g. this.octokit.rest.repos.listCommits
+   * @param {object} params - Request parameters (per_page/page are set here)
+   * @param {Function} [shouldStop] - Called with each page's items and all items so far; return true to stop early
+   * @returns {Promise<Array>} All items
+   */
+  async listAllPages(method, params, shouldStop = () => false) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const response = await method({ ...params, per_page: PER_PAGE, page });
+      const data = Array.isArray(response.data) ? response.data : response.data.items;
+      items.push(...data);
+      if (data.length < PER_PAGE || shouldStop(data, items)) break;
+    }
+    return items;
+  }
+
+  /**
+   * Gather a contributor's non-PR activity in a repository within a window:
+   * authored commits, reviews submitted and review comments on others' PRs,
+   * and issues opened or closed. Each category is fetched independently, so
+   * a failing endpoint only drops that category.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} options
+   * @param {Date} options.startDate - Window start
+   * @param {Date} options.endDate - Window end
+   * @param {string} options.author - GitHub login
+   * @param {string[]} [options.branches] - Branches to scan for commits (default branch when empty)
+   * @param {string[]} [options.types] - Activity types to fetch (default all ACTIVITY_TYPES)
+   * @returns {Promise<Array<{type: string}>>} Activity items; `type` is one of ACTIVITY_TYPES
+   */
+  async fetchContributorActivity(owner, repo, { startDate, endDate, author, branches = [], types = ACTIVITY_TYPES }) {
+    const login = author.toLowerCase();
+    const isAuthor = user => user?.login?.toLowerCase() === login;
+    const inWindow = date => !!date && new Date(date) >= startDate && new Date(date) <= endDate;
+    const activity = [];
+
+    const collect = async (label, covers, fetcher) => {
+      if (!covers.some(type => types.includes(type))) return;
+      try {
+        activity.push(...(await fetcher()).filter(item => types.includes(item.type)));
+      } catch (error) {
+        console.warn(`  Warning: Could not fetch ${label} for ${owner}/${repo}: ${error.message}`);
+      }
+    };
+
+    await collect('commits', ['commit'], async () => {
+      const seen = new Set();
+      const items = [];
+      for (const branch of branches.length > 0 ? branches : [undefined]) {
+        const commits = await this.listAllPages(this.octokit.rest.repos.listCommits, {
+          owner,
+          repo,
+          author,
+          since: startDate.toISOString(),
+          until: endDate.toISOString(),
+          ...(branch && { sha: branch })
+        });
+        for (const commit of commits) {
+          // Merge commits carry no work of their own
+          if (seen.has(commit.sha) || (commit.parents || []).length > 1) continue;
+          seen.add(commit.sha);
+          items.push({
+            type: 'commit',
+            sha: commit.sha,
+            message: commit.commit.message,
+            branch: branch || null,
+            url: commit.html_url,
+            date: commit.commit.author?.date || commit.commit.committer?.date
+          });
+        }
+      }
+      return items;
+    });
+
+    await collect('reviews', ['review'], async () => {
+      const since = startDate.toISOString().split('T')[0];
+      const reviewedPRs = await this.listAllPages(this.octokit.rest.search.issuesAndPullRequests, {
+        q: `repo:${owner}/${repo} is:pr reviewed-by:${author} -author:${author} updated:>=${since}`,
+        sort: 'updated',
+        order: 'desc'
+      }, (page, all) => all.length >= MAX_SEARCH_RESULTS);
+      const items = [];
+      for (const pr of reviewedPRs) {
+        const reviews = await this.listAllPages(this.octokit.rest.pulls.listReviews, {
+          owner,
+          repo,
+          pull_number: pr.number
+        });
+        for (const review of reviews) {
+          if (!isAuthor(review.user) || !inWindow(review.submitted_at)) continue;
+          items.push({
+            type: 'review',
+            prNumber: pr.number,
+            prTitle: pr.title,
+            prAuthor: pr.user?.login || null,
+            state: review.state,
+            body: review.body || '',
+            url: review.html_url,
+            date: review.submitted_at
+          });
+        }
+      }
+      return items;
+    });
+
+    await collect('review comments', ['review_comment'], async () => {
+      const comments = await this.listAllPages(this.octokit.rest.pulls.listReviewCommentsForRepo, {
+        owner,
+        repo,
+        sort: 'created',
+        direction: 'desc',
+        since: startDate.toISOString()
+      }, page => page.some(comment => new Date(comment.created_at) < startDate));
+      return comments
+        .filter(comment => isAuthor(comment.user) && inWindow(comment.created_at))
+        .map(comment => ({
+          type: 'review_comment',
+          prNumber: parseInt(comment.pull_request_url.split('/').pop(), 10),
+          path: comment.path,
+          body: comment.body || '',
+          url: comment.html_url,
+          date: comment.created_at
+        }));
+    });
+
+    await collect('issues', ['issue_opened', 'issue_closed'], async () => {
+      const issues = await this.listAllPages(this.octokit.rest.issues.listForRepo, {
+        owner,
+        repo,
+        state: 'all',
+        sort: 'updated',
+        direction: 'desc',
+        since: startDate.toISOString()
+      });
+      const items = [];
+      for (const issue of issues) {
+        if (issue.pull_request) continue; // the issues API also lists PRs
+        const base = { number: issue.number, title: issue.title, state: issue.state, url: issue.html_url };
+        if (isAuthor(issue.user) && inWindow(issue.created_at)) {
+          items.push({ type: 'issue_opened', ...base, body: issue.body || '', date: issue.created_at });
+        }
+        const involved = isAuthor(issue.user) || (issue.assignees || []).some(isAuthor);
+        if (involved && inWindow(issue.closed_at)) {
+          items.push({ type: 'issue_closed', ...base, body: '', date: issue.closed_at });
+        }
+      }
+      return items;
+    });
+
+    return activity;
+  }
+
+  /**
+   * Fetch files changed in a PR with code snippets.
+   * Pages through the file list up to maxFilesPerPR; prompt size is handled
+   * later by AIService's token budget.
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {number} prNumber - Pull request number
@@ -19,14 +379,25 @@ class GitHubService {
    */
   async fetchPRFiles(owner, repo, prNumber) {
     try {
-      const response = await this.octokit.rest.pulls.listFiles({
-        owner,
-        repo,
-        pull_number: prNumber,
-        per_page: 10 // Limit to first 10 files to avoid overwhelming the AI
-      });
+      const perPage = 100;
+      const files = [];
+      for (let page = 1; files.length < this.maxFilesPerPR; page++) {
+        const response = await this.octokit.rest.pulls.listFiles({
+          owner,
+          repo,
+          pull_number: prNumber,
+          per_page: perPage,
+          page
+        });
+        files.push(...response.data);
+        if (response.data.length < perPage) break;
+      }
+
+      if (files.length > this.maxFilesPerPR) {
+        console.warn(`PR #${prNumber} changes more than ${this.maxFilesPerPR} files; only the first ${this.maxFilesPerPR} are included`);
+      }
 
-      return response.data.map(file => {
+      return files.slice(0, this.maxFilesPerPR).map(file => {
         let codeSnippet = '';
         if (file.patch) {
           // Truncate patch to configured maxCharsPerFile
@@ -51,13 +422,263 @@ class GitHubService {
   }
 
   /**
-   * Fetch pull requests created by the user within a date range.
+   * GraphQL selection for one pull request's details.
+   * @param {string} alias - Field alias, e.g. "pr12"
+   * @param {number} number - Pull request number
+   * @param {boolean} withFiles - Whether to select changed files
+   * @returns {string}
+   */
+  pullRequestDetailsSelection(alias, number, withFiles) {
+    return `
+      ${alias}: pullRequest(number: ${number}) {
+        number
+        reviewDecision
+        ${withFiles ? `files(first: ${Math.min(this.maxFilesPerPR, 100)}) { totalCount nodes { path additions deletions changeType } }` : ''}
+        reviews(last: 50) { nodes { author { login } state submittedAt } }
+        commits(last: 1) {
+          nodes {
+            commit {
+              statusCheckRollup {
+                state
+                contexts(first: 100) {
+                  totalCount
+                  nodes {
+                    __typename
+                    ... on CheckRun { name status conclusion }
+                    ... on StatusContext { context state }
+                  }
+                }
+              }
+            }
+          }
+        }
+        closingIssuesReferences(first: 10) { nodes { number title url state } }
+        timelineItems(last: 20, itemTypes: [READY_FOR_REVIEW_EVENT, REOPENED_EVENT]) {
+          nodes {
+            __typename
+            ... on ReadyForReviewEvent { createdAt actor { login } }
+            ... on ReopenedEvent { createdAt actor { login } }
+          }
+        }
+      }`;
+  }
+
+  /**
+   * Convert a GraphQL pull request node to the details shape.
+   * @param {object} node
+   * @param {boolean} withFiles
+   * @returns {object}
+   */
+  toPullRequestDetails(node, withFiles) {
+    const rollup = node.commits?.nodes?.[0]?.commit?.statusCheckRollup;
+    const contexts = rollup?.contexts?.nodes || [];
+    const details = {
+      reviewDecision: node.reviewDecision || null,
+      reviews: (node.reviews?.nodes || []).map(review => ({
+        reviewer: review.author?.login || null,
+        state: review.state,
+        submittedAt: review.submittedAt
+      })),
+      checks: rollup
+        ? {
+          state: rollup.state.toLowerCase(),
+          total: rollup.contexts.totalCount,
+          failed: contexts
+            .filter(c => c.__typename === 'CheckRun'
+              ? FAILED_CONCLUSIONS.includes((c.conclusion || '').toLowerCase())
+              : ['FAILURE', 'ERROR'].includes(c.state))
+            .map(c => c.name || c.context),
+          pending: contexts.filter(c => c.__typename === 'CheckRun' ? c.status !== 'COMPLETED' : ['PENDING', 'EXPECTED'].includes(c.state)).length
+        }
+        : null,
+      linkedIssues: (node.closingIssuesReferences?.nodes || []).map(issue => ({
+        number: issue.number,
+        title: issue.title,
+        url: issue.url,
+        state: issue.state.toLowerCase()
+      })),
+      timeline: (node.timelineItems?.nodes || []).map(event => ({
+        type: event.__typename === 'ReadyForReviewEvent' ? 'ready_for_review' : 'reopened',
+        at: event.createdAt,
+        actor: event.actor?.login || null
+      }))
+    };
+    if (withFiles) {
+      details.files = (node.files?.nodes || []).map(file => ({
+        filename: file.path,
+        status: FILE_STATUS[file.changeType] || 'modified',
+        additions: file.additions,
+        deletions: file.deletions,
+        changes: file.additions + file.deletions,
+        patch: '' // GraphQL exposes no patch text
+      }));
+    }
+    return details;
+  }
+
+  /**
+   * Fetch review states, CI check results, linked issues, ready-for-review /
+   * reopened timeline events and (optionally) changed files for several PRs
+   * of one repository in batched GraphQL queries – one request per
+   * GRAPHQL_BATCH_SIZE PRs instead of several REST requests per PR. Falls back to REST when GraphQL is unavailable (e.g. a
+   * token without GraphQL access or an older GitHub Enterprise Server).
+   * GraphQL has no patch text, so files fetched here carry empty patches;
+   * use fetchPRFiles() when code snippets are needed.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<{number: number, headSha?: string, body?: string, description?: string}>} pullRequests
+   * @param {object} [options]
+   * @param {boolean} [options.files] - Also fetch changed files (without patches)
+   * @returns {Promise<Map<number, {reviewDecision: string|null, reviews: Array, checks: object|null, linkedIssues: Array, timeline: Array, files?: Array}>>}
+   */
+  async fetchPullRequestDetails(owner, repo, pullRequests, { files = false } = {}) {
+    const details = new Map();
+    if (pullRequests.length === 0) return details;
+
+    try {
+      for (let i = 0; i < pullRequests.length; i += GRAPHQL_BATCH_SIZE) {
+        const batch = pullRequests.slice(i, i + GRAPHQL_BATCH_SIZE);
+        const query = `
+          query ($owner: String!, $repo: String!) {
+            repository(owner: $owner, name: $repo) {
+              ${batch.map(pr => this.pullRequestDetailsSelection(`pr${pr.number}`, pr.number, files)).join('\n')}
+            }
+          }`;
+        const { repository } = await this.octokit.graphql(query, { owner, repo });
+        for (const pr of batch) {
+          const node = repository[`pr${pr.number}`];
+          if (node) details.set(pr.number, this.toPullRequestDetails(node, files));
+        }
+      }
+      return details;
+    } catch (error) {
+      console.warn(`  GraphQL unavailable for ${owner}/${repo} (${error.message}); fetching PR details over REST`);
+    }
+
+    for (const pr of pullRequests) {
+      details.set(pr.number, await this.fetchPullRequestDetailsRest(owner, repo, pr, { files }));
+    }
+    return details;
+  }
+
+  /**
+   * REST fallback for fetchPullRequestDetails(): reviews, check runs and
+   * commit statuses of the head commit, timeline events, and issues
+   * referenced with closing keywords in the PR description.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {{number: number, headSha?: string, body?: string, description?: string}} pr
+   * @param {object} [options]
+   * @param {boolean} [options.files] - Also fetch changed files
+   * @returns {Promise<object>} Same shape as a fetchPullRequestDetails() entry
+   */
+  async fetchPullRequestDetailsRest(owner, repo, pr, { files = false } = {}) {
+    const details = { reviewDecision: null, reviews: [], checks: null, linkedIssues: [], timeline: [] };
+
+    try {
+      const reviews = await this.listAllPages(this.octokit.rest.pulls.listReviews, { owner, repo, pull_number: pr.number });
+      details.reviews = reviews.slice(-50).map(review => ({
+        reviewer: review.user?.login || null,
+        state: review.state,
+        submittedAt: review.submitted_at
+      }));
+      // Approximate GitHub's review decision from each reviewer's latest approving / blocking review
+      const latest = new Map();
+      for (const review of reviews) {
+        if (['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state)) latest.set(review.user?.login, review.state);
+      }
+      const states = [...latest.values()];
+      details.reviewDecision = states.includes('CHANGES_REQUESTED') ? 'CHANGES_REQUESTED' : states.includes('APPROVED') ? 'APPROVED' : null;
+    } catch (error) {
+      console.warn(`  Warning: Could not fetch reviews for PR #${pr.number}: ${error.message}`);
+    }
+
+    if (pr.headSha) {
+      try {
+        const [{ data: checkRuns }, { data: status }] = await Promise.all([
+          this.octokit.rest.checks.listForRef({ owner, repo, ref: pr.headSha, per_page: PER_PAGE }),
+          this.octokit.rest.repos.getCombinedStatusForRef({ owner, repo, ref: pr.headSha, per_page: PER_PAGE })
+        ]);
+        const failed = [
+          ...checkRuns.check_runs.filter(run => FAILED_CONCLUSIONS.includes(run.conclusion)).map(run => run.name),
+          ...status.statuses.filter(s => s.state === 'failure' || s.state === 'error').map(s => s.context)
+        ];
+        const pending = checkRuns.check_runs.filter(run => run.status !== 'completed').length +
+          status.statuses.filter(s => s.state === 'pending').length;
+        const total = checkRuns.total_count + status.statuses.length;
+        if (total > 0) {
+          details.checks = { state: failed.length > 0 ? 'failure' : pending > 0 ? 'pending' : 'success', total, failed, pending };
+        }
+      } catch (error) {
+        console.warn(`  Warning: Could not fetch checks for PR #${pr.number}: ${error.message}`);
+      }
+    }
+
+    try {
+      const events = await this.listAllPages(this.octokit.rest.issues.listEvents, { owner, repo, issue_number: pr.number });
+      details.timeline = events
+        .filter(event => event.event === 'ready_for_review' || event.event === 'reopened')
+        .map(event => ({ type: event.event, at: event.created_at, actor: event.actor?.login || null }));
+    } catch (error) {
+      console.warn(`  Warning: Could not fetch timeline for PR #${pr.number}: ${error.message}`);
+    }
+
+    const body = pr.body || pr.description || '';
+    const issueNumbers = [...new Set([...body.matchAll(CLOSING_KEYWORD_PATTERN)].map(match => parseInt(match[1], 10)))];
+    details.linkedIssues = issueNumbers.slice(0, 10).map(number => ({
+      number,
+      title: null,
+      url: `https://github.com/${owner}/${repo}/issues/${number}`,
+      state: null
+    }));
+
+    if (files) {
+      details.files = await this.fetchPRFiles(owner, repo, pr.number);
+    }
+
+    return details;
+  }
+
+  /**
+   * Look up issues by number as tickets (see tickets/index.js); references
+   * that turn out to be pull requests or do not exist are skipped.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number[]} numbers - Issue numbers
+   * @returns {Promise<Array<{source: string, key: string, title: string, status: string, type: null, url: string, epic: object|null}>>}
+   *   The milestone stands in for the epic
+   */
+  async fetchIssues(owner, repo, numbers) {
+    const issues = [];
+    for (const number of numbers) {
+      try {
+        const { data } = await this.octokit.rest.issues.get({ owner, repo, issue_number: number });
+        if (data.pull_request) continue;
+        issues.push({
+          source: 'github',
+          key: `#${data.number}`,
+          title: data.title,
+          status: data.state,
+          type: null,
+          url: data.html_url,
+          epic: data.milestone ? { key: null, title: data.milestone.title } : null
+        });
+      } catch (error) {
+        if (error.status !== 404) console.warn(`  Warning: Could not fetch issue #${number}: ${error.message}`);
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Fetch the user's pull requests updated within a date range, normalized
+   * with their lifecycle events in the window (see sources/pullRequest.js).
    * Uses per-repo pulls.list() when repos are specified (works with private repos),
    * otherwise falls back to the search API.
    * @param {Date} startDate - Start date for PR search
    * @param {Date} endDate - End date for PR search
    * @param {boolean} includeCode - Whether to fetch code changes (default: true)
-   * @returns {Promise<Array>} Array of PR objects
+   * @returns {Promise<Array>} Array of normalized PR objects
    */
   async fetchPullRequests(startDate, endDate, includeCode = true) {
     try {
@@ -68,13 +689,29 @@ class GitHubService {
         pullRequests = await this.fetchFromSearch(startDate, endDate);
       }
 
+      // Review, CI check, linked issue and timeline details, batched per repository
+      const byRepo = new Map();
+      for (const pr of pullRequests) {
+        byRepo.set(pr.repository, [...(byRepo.get(pr.repository) || []), pr]);
+      }
+      // plus the GitHub issues they reference (the CLI has no Jira / Linear integration)
+      const enriched = [];
+      for (const [repoFullName, repoPullRequests] of byRepo) {
+        const [owner, repo] = repoFullName.split('/');
+        const details = await this.fetchPullRequestDetails(owner, repo, repoPullRequests);
+        for (const pr of repoPullRequests) {
+          Object.assign(pr, details.get(pr.number) || {});
+        }
+        enriched.push(...await enrichWithTickets(repoPullRequests, { github: this, owner, repo }));
+      }
+      pullRequests = enriched.map(pr => withLifecycle(pr, startDate, endDate));
+
       // Fetch code changes for each PR if requested
       if (includeCode) {
         console.log(`Fetching code changes for PRs (max ${this.maxCharsPerFile} chars per file)...`);
         for (const pr of pullRequests) {
           const [owner, repo] = pr.repository.split('/');
-          const prNumber = pr.url.split('/').pop();
-          pr.files = await this.fetchPRFiles(owner, repo, parseInt(prNumber));
+          pr.files = await this.fetchPRFiles(owner, repo, pr.number);
         }
       }
 
@@ -90,7 +727,7 @@ class GitHubService {
    * This works reliably with private repos the token has access to.
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
-   * @returns {Promise<Array>} Array of PR objects
+   * @returns {Promise<Array>} Array of normalized PR objects
    */
   async fetchFromRepos(startDate, endDate) {
     const allPullRequests = [];
@@ -105,45 +742,16 @@ class GitHubService {
       console.log(`  Checking ${repoFullName}...`);
 
       try {
-        // Fetch both open and closed PRs to cover all states
-        for (const state of ['open', 'closed']) {
-          const response = await this.octokit.rest.pulls.list({
-            owner,
-            repo,
-            state,
-            sort: 'created',
-            direction: 'desc',
-            per_page: 100
-          });
-
-          const filtered = response.data.filter(pr => {
-            const isAuthor = pr.user.login.toLowerCase() === this.username.toLowerCase();
-            const createdAt = new Date(pr.created_at);
-            return isAuthor && createdAt >= startDate && createdAt <= endDate;
-          });
-
-          for (const pr of filtered) {
-            allPullRequests.push({
-              title: pr.title,
-              url: pr.html_url,
-              state: pr.state,
-              repository: `${owner}/${repo}`,
-              createdAt: pr.created_at,
-              updatedAt: pr.updated_at,
-              body: pr.body || 'No description provided',
-              labels: pr.labels.map(label => label.name),
-              draft: pr.draft || false,
-              number: pr.number
-            });
-          }
-        }
+        // Same window rule as scheduled runs: PRs updated in the window, newest first
+        const { pullRequests } = await this.fetchUpdatedPullRequests(owner, repo, { startDate, endDate, author: this.username });
+        allPullRequests.push(...pullRequests.map(pr => normalizePullRequest(pr, `${owner}/${repo}`)));
       } catch (error) {
         console.warn(`  Warning: Could not fetch PRs from ${repoFullName}: ${error.message}. Skipping...`);
       }
     }
 
-    // Sort by created date descending
-    allPullRequests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    // Sort by updated date descending
+    allPullRequests.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
 
     console.log(`Found ${allPullRequests.length} pull request(s)`);
     return allPullRequests;
@@ -153,39 +761,41 @@ class GitHubService {
    * Fetch PRs using the GitHub search API (works for public repos and repos owned by the user).
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
-   * @returns {Promise<Array>} Array of PR objects
+   * @returns {Promise<Array>} Array of normalized PR objects
    */
   async fetchFromSearch(startDate, endDate) {
     const startDateStr = startDate.toISOString().split('T')[0];
     const endDateStr = endDate.toISOString().split('T')[0];
 
-    // Search for PRs created by the user in the date range
-    const query = `author:${this.username} is:pr created:${startDateStr}..${endDateStr}`;
-    
-    const response = await this.octokit.rest.search.issuesAndPullRequests({
-      q: query,
-      sort: 'created',
-      order: 'desc',
-      per_page: 100
-    });
+    // Search for PRs by the user updated in the date range (whole days; trimmed to the window below)
+    const query = `author:${this.username} is:pr updated:${startDateStr}..${endDateStr}`;
 
-    // Extract relevant PR information
-    const pullRequests = response.data.items.map(pr => ({
-      title: pr.title,
-      url: pr.html_url,
-      state: pr.state,
-      repository: pr.repository_url.split('/').slice(-2).join('/'),
-      createdAt: pr.created_at,
-      updatedAt: pr.updated_at,
-      body: pr.body || 'No description provided',
-      labels: pr.labels.map(label => label.name),
-      draft: pr.draft || false,
-      number: pr.number
-    }));
+    const items = [];
+    for (let page = 1; items.length < MAX_SEARCH_RESULTS; page++) {
+      const response = await this.octokit.rest.search.issuesAndPullRequests({
+        q: query,
+        sort: 'updated',
+        order: 'desc',
+        per_page: PER_PAGE,
+        page
+      });
+      items.push(...response.data.items);
+      if (response.data.items.length < PER_PAGE || items.length >= response.data.total_count) break;
+    }
+
+    if (items.length >= MAX_SEARCH_RESULTS) {
+      console.warn(`Search returned the maximum of ${MAX_SEARCH_RESULTS} results; narrow the date range or configure GITHUB_REPOS to see everything`);
+    }
+
+    const pullRequests = items
+      .map(pr => normalizePullRequest(pr, pr.repository_url.split('/').slice(-2).join('/')))
+      .filter(pr => isInWindow(pr, startDate, endDate));
 
     console.log(`Found ${pullRequests.length} pull request(s)`);
     return pullRequests;
   }
 }
 
+GitHubService.ACTIVITY_TYPES = ACTIVITY_TYPES;
+
 module.exports = GitHubService;
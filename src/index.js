@@ -2,6 +2,8 @@ const { loadConfig, parseDateRange } = require('./config');
 const GitHubService = require('./githubService');
 const AIService = require('./aiService');
 const EmailService = require('./emailService');
+const RedactionService = require('./redactionService');
+const { pullRequestLinks, renderStatusEmail } = require('./email/layout');
 
 /**
  * Main application entry point
@@ -21,9 +23,12 @@ async function main() {
 
     // Initialize services
     console.log('Initializing services...');
-    const githubService = new GitHubService(config.github.token, config.github.username, config.github.repos, config.maxCharsPerFile);
-    const aiService = new AIService(config.ai.apiKey, config.ai.model);
+    const githubService = new GitHubService(config.github.token, config.github.username, config.github.repos, config.maxCharsPerFile, config.maxFilesPerPR);
+    const aiService = new AIService(config.ai);
     const emailService = new EmailService(config.email);
+    const redactionService = new RedactionService(config.redaction);
+    const recordMode = config.ai.recording ? `, ${config.ai.recording.mode} mode` : '';
+    console.log(`AI provider: ${aiService.provider.name} (${aiService.model}${recordMode})`);
     console.log('Services initialized\n');
 
     // Fetch pull requests
@@ -44,13 +49,18 @@ async function main() {
     });
     console.log();
 
+    // Remove secrets and PII before sending PR data to the AI provider
+    const { pullRequests: redactedPRs } = redactionService.redactPullRequests(pullRequests);
+
     // Generate email content using AI
     console.log('Generating email content with AI...');
     const emailContent = await aiService.generateEmailContent(
-      pullRequests,
+      redactedPRs,
       config.userInstructions
     );
-    console.log('Email content generated\n');
+    const usage = aiService.getUsageSummary();
+    const cost = usage.estimatedCostUsd !== null ? `, ~$${usage.estimatedCostUsd.toFixed(4)}` : '';
+    console.log(`Email content generated (${usage.totalTokens} tokens${cost})\n`);
 
     console.log('--- Generated Email Preview ---');
     console.log(`To: ${config.email.to}`);
@@ -64,7 +74,11 @@ async function main() {
     await emailService.sendEmail(
       config.email.to,
       config.email.subject,
-      emailContent
+      renderStatusEmail({
+        markdown: emailContent,
+        title: config.email.subject,
+        pullRequests: pullRequestLinks(pullRequests)
+      })
     );
     console.log('\n✓ Email sent successfully!');
     console.log(`✓ Recipients: ${config.email.to}`);
@@ -0,0 +1,80 @@
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * LLM provider for the Anthropic Messages API.
+ * Uses fetch directly so no extra SDK is required.
+ */
+class AnthropicProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} options.model - Model name
+   * @param {string} [options.baseUrl] - API base URL override
+   * @param {number} [options.maxTokens] - Max tokens to generate per request
+   */
+  constructor({ apiKey, model, baseUrl, maxTokens = 4096 }) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.maxTokens = maxTokens;
+  }
+
+  /**
+   * Run a chat completion.
+   * System messages are lifted into Anthropic's top-level `system` field.
+   * @param {object} request
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+   * @returns {Promise<{content: string, model: string, usage: object|null}>}
+   */
+  async complete({ messages }) {
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        ...(system && { system }),
+        messages: messages.filter(m => m.role !== 'system'),
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      // Carry the HTTP status so AIService's retry logic can act on 429 / 5xx
+      const error = new Error(`Anthropic API error ${response.status}: ${body.substring(0, 500)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      model: data.model || this.model,
+      usage: data.usage
+        ? {
+            promptTokens: data.usage.input_tokens || 0,
+            completionTokens: data.usage.output_tokens || 0,
+            totalTokens: (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0),
+          }
+        : null,
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,177 @@
+/**
+ * LLM provider registry.
+ *
+ * Maps a provider id to a factory, and resolves which provider/model/key
+ * a run should use from (most specific first):
+ *   monitored contributor `aiConfig` → company `settings.aiConfig` → environment.
+ *
+ * Set AI_RECORD_MODE=record|replay (fixtures in AI_FIXTURES_DIR) to capture real
+ * responses and play them back offline, or AI_PROVIDER=mock for a fully
+ * deterministic provider that needs no key and no network.
+ */
+
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+const RecordingProvider = require('./recordingProvider');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/openai/';
+
+/**
+ * Per-provider defaults and the environment variables used as fallbacks
+ * when a company or monitored contributor does not supply a value.
+ */
+const PROVIDER_DEFAULTS = {
+  gemini: {
+    model: 'gemini-2.5-flash',
+    baseUrl: GEMINI_BASE_URL,
+    env: { apiKey: 'GEMINI_API_KEY', model: 'GEMINI_MODEL' },
+  },
+  openai: {
+    model: 'gpt-4o-mini',
+    baseUrl: null,
+    env: { apiKey: 'OPENAI_API_KEY', model: 'OPENAI_MODEL', baseUrl: 'OPENAI_BASE_URL' },
+  },
+  azure_openai: {
+    model: null,
+    baseUrl: null,
+    apiVersion: '2024-10-21',
+    env: {
+      apiKey: 'AZURE_OPENAI_API_KEY',
+      model: 'AZURE_OPENAI_DEPLOYMENT',
+      baseUrl: 'AZURE_OPENAI_ENDPOINT',
+      apiVersion: 'AZURE_OPENAI_API_VERSION',
+    },
+  },
+  anthropic: {
+    model: 'claude-sonnet-4-5',
+    baseUrl: null,
+    env: { apiKey: 'ANTHROPIC_API_KEY', model: 'ANTHROPIC_MODEL', baseUrl: 'ANTHROPIC_BASE_URL' },
+  },
+  local: {
+    model: 'llama3.1',
+    baseUrl: 'http://localhost:11434/v1',
+    env: { apiKey: 'LOCAL_LLM_API_KEY', model: 'LOCAL_LLM_MODEL', baseUrl: 'LOCAL_LLM_BASE_URL' },
+  },
+  mock: {
+    model: 'mock-summary-v1',
+    baseUrl: null,
+    env: {},
+  },
+};
+
+const DEFAULT_FIXTURES_DIR = 'fixtures/llm';
+
+const SUPPORTED_PROVIDERS = Object.keys(PROVIDER_DEFAULTS);
+
+/** Providers that can run without an API key. */
+const KEYLESS_PROVIDERS = ['local', 'mock'];
+
+/**
+ * Resolve the effective AI configuration.
+ * The first layer that names a provider wins as a whole – keys and models are
+ * never mixed across providers. Missing values are filled from the environment
+ * and then from the provider defaults. The platform's key is only sent to the
+ * platform's endpoint: a layer with its own `baseUrl` must bring its own key.
+ *
+ * @param {...(object|null|undefined)} layers - aiConfig objects, most specific first
+ * @returns {{provider: string, model: string, apiKey: string|null, baseUrl: string|null, apiVersion: string|null, recording: object|null}}
+ */
+function resolveAIConfig(...layers) {
+  const chosen = layers.find(layer => layer && layer.provider) || {};
+  const provider = chosen.provider || process.env.AI_PROVIDER || 'gemini';
+
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unsupported AI provider: ${provider}. Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+
+  const fromEnv = (key) => (defaults.env[key] ? process.env[defaults.env[key]] : undefined);
+
+  const platformBaseUrl = fromEnv('baseUrl') || defaults.baseUrl || null;
+  const sameUrl = (a, b) => !!a && !!b && a.replace(/\/+$/, '') === b.replace(/\/+$/, '');
+  const platformEndpoint = !chosen.baseUrl
+    || sameUrl(chosen.baseUrl, platformBaseUrl)
+    || sameUrl(chosen.baseUrl, defaults.baseUrl);
+
+  return {
+    provider,
+    model: chosen.model || fromEnv('model') || defaults.model,
+    apiKey: chosen.encryptedApiKey || chosen.apiKey || (platformEndpoint ? fromEnv('apiKey') : null) || null,
+    baseUrl: chosen.baseUrl || platformBaseUrl,
+    apiVersion: chosen.apiVersion || fromEnv('apiVersion') || defaults.apiVersion || null,
+    recording: process.env.AI_RECORD_MODE
+      ? { mode: process.env.AI_RECORD_MODE, fixturesDir: process.env.AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR }
+      : null,
+  };
+}
+
+/**
+ * Create a provider instance from a resolved AI configuration.
+ * @param {object} aiConfig - Output of resolveAIConfig()
+ * @returns {{name: string, model: string, complete: Function}}
+ */
+function createLLMProvider(aiConfig) {
+  const { provider, model, recording } = aiConfig;
+
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    throw new Error(`Unsupported AI provider: ${provider}. Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+
+  // Replay never calls the real provider, so it needs no key; record builds it lazily
+  if (recording && provider !== 'mock') {
+    return new RecordingProvider({
+      mode: recording.mode,
+      fixturesDir: recording.fixturesDir,
+      name: provider,
+      model,
+      createInner: () => createLLMProvider({ ...aiConfig, recording: null }),
+    });
+  }
+
+  return createDirectProvider(aiConfig);
+}
+
+/**
+ * Create the underlying provider for an AI configuration (no recording wrapper).
+ * @param {object} aiConfig - Output of resolveAIConfig()
+ * @returns {{name: string, model: string, complete: Function}}
+ */
+function createDirectProvider(aiConfig) {
+  const { provider, model, apiKey, baseUrl, apiVersion } = aiConfig;
+
+  if (!apiKey && !KEYLESS_PROVIDERS.includes(provider)) {
+    throw new Error(`No API key configured for AI provider "${provider}"`);
+  }
+  if (!model) {
+    throw new Error(`No model configured for AI provider "${provider}"`);
+  }
+
+  switch (provider) {
+    case 'mock':
+      return new MockProvider({ model });
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey, model, baseUrl });
+    case 'azure_openai':
+      if (!baseUrl) {
+        throw new Error('Azure OpenAI requires an endpoint (baseUrl)');
+      }
+      return new OpenAICompatibleProvider({ name: provider, apiKey, model, baseUrl, apiVersion });
+    default:
+      return new OpenAICompatibleProvider({
+        name: provider,
+        // Local OpenAI-compatible servers ignore the key, but the SDK requires one
+        apiKey: apiKey || 'not-needed',
+        model,
+        baseUrl,
+      });
+  }
+}
+
+module.exports = {
+  SUPPORTED_PROVIDERS,
+  KEYLESS_PROVIDERS,
+  PROVIDER_DEFAULTS,
+  resolveAIConfig,
+  createLLMProvider,
+};
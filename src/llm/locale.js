@@ -0,0 +1,59 @@
+/**
+ * Locale helpers for multi-language status updates.
+ * Locales are BCP 47 tags ("en", "de-DE", "pt-BR").
+ */
+
+/** Locale used when neither the recipient nor the company sets one. */
+const DEFAULT_LOCALE = 'en';
+
+/** Section headings of the rendered email, keyed by primary language subtag. */
+const SECTION_LABELS = {
+  en: { highlights: 'Highlights', risks: 'Risks', nextSteps: 'Next Steps', blockers: 'Blockers', pullRequests: 'Pull Requests' },
+  de: { highlights: 'Highlights', risks: 'Risiken', nextSteps: 'Nächste Schritte', blockers: 'Blocker', pullRequests: 'Pull Requests' },
+  fr: { highlights: 'Points clés', risks: 'Risques', nextSteps: 'Prochaines étapes', blockers: 'Blocages', pullRequests: 'Pull requests' },
+  es: { highlights: 'Aspectos destacados', risks: 'Riesgos', nextSteps: 'Próximos pasos', blockers: 'Bloqueos', pullRequests: 'Pull requests' },
+  pt: { highlights: 'Destaques', risks: 'Riscos', nextSteps: 'Próximos passos', blockers: 'Bloqueios', pullRequests: 'Pull requests' },
+  it: { highlights: 'In evidenza', risks: 'Rischi', nextSteps: 'Prossimi passi', blockers: 'Blocchi', pullRequests: 'Pull request' },
+  nl: { highlights: 'Hoogtepunten', risks: 'Risico\'s', nextSteps: 'Volgende stappen', blockers: 'Blokkades', pullRequests: 'Pull requests' },
+  ja: { highlights: 'ハイライト', risks: 'リスク', nextSteps: '次のステップ', blockers: 'ブロッカー', pullRequests: 'プルリクエスト' },
+  zh: { highlights: '要点', risks: '风险', nextSteps: '后续步骤', blockers: '阻碍', pullRequests: '拉取请求' },
+  hi: { highlights: 'मुख्य बातें', risks: 'जोखिम', nextSteps: 'अगले कदम', blockers: 'रुकावटें', pullRequests: 'पुल रिक्वेस्ट' },
+};
+
+/**
+ * Canonicalise a locale tag.
+ * @param {string} locale
+ * @returns {string} Canonical tag, e.g. "de-DE"
+ * @throws {RangeError} When the tag is not valid BCP 47
+ */
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string' || !locale.trim()) {
+    throw new RangeError('Locale must be a non-empty string');
+  }
+  return Intl.getCanonicalLocales(locale.trim())[0];
+}
+
+/**
+ * English name of a locale's language, for prompts ("German (Germany)").
+ * @param {string} locale
+ * @returns {string}
+ */
+function languageName(locale) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale) || locale;
+  } catch {
+    return locale;
+  }
+}
+
+/**
+ * Email section headings for a locale (English when the language is not covered).
+ * @param {string} [locale]
+ * @returns {{highlights: string, risks: string, nextSteps: string, blockers: string}}
+ */
+function sectionLabels(locale = DEFAULT_LOCALE) {
+  const language = String(locale).split('-')[0].toLowerCase();
+  return SECTION_LABELS[language] || SECTION_LABELS[DEFAULT_LOCALE];
+}
+
+module.exports = { DEFAULT_LOCALE, normalizeLocale, languageName, sectionLabels };
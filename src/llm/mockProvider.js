@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+/**
+ * Offline LLM provider for tests, CI and demos.
+ * Produces a deterministic, structured Markdown summary from the PR list
+ * without any network access. Output depends only on its input.
+ */
+class MockProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.model] - Reported model name
+   */
+  constructor({ model } = {}) {
+    this.name = 'mock';
+    this.model = model || 'mock-summary-v1';
+  }
+
+  /**
+   * Rough token estimate (≈4 characters per token).
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Describe a PR's state the same way for every call site.
+   * @param {object} pr
+   * @returns {string}
+   */
+  describeState(pr) {
+    if (pr.merged) return 'merged';
+    if (pr.draft) return `${pr.state} (draft)`;
+    return pr.state || 'unknown';
+  }
+
+  /**
+   * Build the summary from structured PR data.
+   * @param {Array} pullRequests
+   * @returns {string}
+   */
+  summarizePullRequests(pullRequests) {
+    const counts = {};
+    const repos = new Set();
+    for (const pr of pullRequests) {
+      const state = pr.merged ? 'merged' : (pr.state || 'unknown');
+      counts[state] = (counts[state] || 0) + 1;
+      if (pr.repository) repos.add(pr.repository);
+    }
+
+    const breakdown = Object.keys(counts)
+      .sort()
+      .map(state => `${counts[state]} ${state}`)
+      .join(', ');
+
+    const lines = [
+      '## Summary',
+      `${pullRequests.length} pull request(s) across ${repos.size} repositor${repos.size === 1 ? 'y' : 'ies'}: ${breakdown}.`,
+      '',
+      '## Pull Requests',
+    ];
+
+    for (const pr of pullRequests) {
+      const files = pr.files || [];
+      const additions = files.reduce((sum, f) => sum + (f.additions || 0), 0);
+      const deletions = files.reduce((sum, f) => sum + (f.deletions || 0), 0);
+      const ref = pr.number ? `#${pr.number} ` : '';
+      lines.push(
+        `- **${ref}${pr.title}** (${pr.repository || 'unknown repo'}) — ${this.describeState(pr)}; ` +
+        `${files.length} file(s) changed, +${additions} / -${deletions}`,
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One sentence counting non-PR activity by type, or '' when there is none.
+   * @param {Array<{type: string}>} activity
+   * @returns {string}
+   */
+  describeActivity(activity) {
+    const counts = {};
+    for (const item of activity) {
+      counts[item.type] = (counts[item.type] || 0) + 1;
+    }
+    const parts = Object.keys(counts).sort().map(type => `${counts[type]} ${type.replace(/_/g, ' ')}(s)`);
+    return parts.length > 0 ? `Other activity: ${parts.join(', ')}.` : '';
+  }
+
+  /**
+   * Build the structured (JSON) summary from PR data.
+   * @param {Array} pullRequests
+   * @param {Array} [activity] - Non-PR activity items
+   * @returns {object}
+   */
+  structurePullRequests(pullRequests, activity = []) {
+    const [overview] = pullRequests.length > 0
+      ? this.summarizePullRequests(pullRequests).split('\n').slice(1, 2)
+      : [];
+    const open = pullRequests.filter(pr => !pr.merged && pr.state === 'open');
+
+    return {
+      overallSummary: [overview, this.describeActivity(activity)].filter(Boolean).join(' '),
+      pullRequests: pullRequests.map(pr => {
+        const files = pr.files || [];
+        // Epic first, else the first ticket – what the real prompt asks the model to group by
+        const tickets = pr.tickets || [];
+        const ticket = tickets.find(item => item.epic) || tickets[0];
+        const group = ticket?.epic
+          ? [ticket.epic.key, ticket.epic.title].filter(Boolean).join(' ')
+          : ticket ? `${ticket.key} ${ticket.title}` : null;
+        return {
+          number: pr.number || null,
+          repository: pr.repository || null,
+          title: pr.title,
+          status: this.describeState(pr),
+          group,
+          summary: `${files.length} file(s) changed in ${pr.repository || 'unknown repo'}`,
+        };
+      }),
+      risks: [],
+      nextSteps: open.map(pr => `Get ${pr.number ? `#${pr.number}` : `"${pr.title}"`} reviewed and merged`),
+      blockers: [],
+    };
+  }
+
+  /**
+   * Run a chat completion.
+   * When AIService passes `context.pullRequests` the summary is built from it;
+   * otherwise a stable digest of the prompt is returned.
+   * @param {object} request
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+   * @param {'text'|'json'} [request.responseFormat] - 'json' returns the structured summary
+   * @param {object} [request.context] - Structured data behind the prompt
+   * @returns {Promise<{content: string, model: string, usage: object}>}
+   */
+  async complete({ messages, responseFormat = 'text', context = {} }) {
+    const prompt = messages.map(m => m.content).join('\n');
+
+    let content;
+    if (context.locale && context.structuredSummary && responseFormat === 'json') {
+      // Translation: tag translated prose with the locale so output stays deterministic
+      const tag = text => `[${context.locale}] ${text}`;
+      const summary = context.structuredSummary;
+      content = JSON.stringify({
+        ...summary,
+        overallSummary: tag(summary.overallSummary),
+        pullRequests: summary.pullRequests.map(pr => ({ ...pr, summary: tag(pr.summary) })),
+        risks: summary.risks.map(tag),
+        nextSteps: summary.nextSteps.map(tag),
+        blockers: summary.blockers.map(tag),
+      }, null, 2);
+    } else if (context.locale && typeof context.text === 'string') {
+      content = `[${context.locale}] ${context.text}`;
+    } else if (Array.isArray(context.pullRequests) && responseFormat === 'json') {
+      content = JSON.stringify(this.structurePullRequests(context.pullRequests, context.activity), null, 2);
+    } else if (Array.isArray(context.pullRequests)) {
+      content = this.summarizePullRequests(context.pullRequests);
+    } else {
+      const digest = crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 12);
+      content = `Mock response (${prompt.length} prompt characters, digest ${digest}).`;
+    }
+
+    const promptTokens = this.estimateTokens(prompt);
+    const completionTokens = this.estimateTokens(content);
+
+    return {
+      content,
+      model: this.model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,64 @@
+const { OpenAI, AzureOpenAI } = require('openai');
+
+/**
+ * LLM provider for any backend that speaks the OpenAI chat-completions API:
+ * Gemini (via its OpenAI-compatible endpoint), OpenAI, Azure OpenAI and
+ * local servers such as Ollama or llama.cpp.
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Provider id (e.g. 'gemini', 'openai', 'azure_openai', 'local')
+   * @param {string} options.apiKey - API key (local servers accept any non-empty value)
+   * @param {string} options.model - Model name, or deployment name for Azure
+   * @param {string} [options.baseUrl] - API base URL (endpoint URL for Azure)
+   * @param {string} [options.apiVersion] - Azure OpenAI API version
+   */
+  constructor({ name, apiKey, model, baseUrl, apiVersion }) {
+    this.name = name;
+    this.model = model;
+
+    if (name === 'azure_openai') {
+      this.client = new AzureOpenAI({
+        apiKey,
+        endpoint: baseUrl,
+        apiVersion,
+        deployment: model,
+      });
+    } else {
+      this.client = new OpenAI({
+        apiKey,
+        ...(baseUrl && { baseURL: baseUrl }),
+      });
+    }
+  }
+
+  /**
+   * Run a chat completion.
+   * @param {object} request
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+   * @param {'text'|'json'} [request.responseFormat] - 'json' enables JSON mode
+   * @returns {Promise<{content: string, model: string, usage: object|null}>}
+   */
+  async complete({ messages, responseFormat = 'text' }) {
+    const result = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      ...(responseFormat === 'json' && { response_format: { type: 'json_object' } }),
+    });
+
+    return {
+      content: result.choices[0].message.content,
+      model: result.model || this.model,
+      usage: result.usage
+        ? {
+            promptTokens: result.usage.prompt_tokens || 0,
+            completionTokens: result.usage.completion_tokens || 0,
+            totalTokens: result.usage.total_tokens || 0,
+          }
+        : null,
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
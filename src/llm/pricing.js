@@ -0,0 +1,75 @@
+/**
+ * Estimated LLM cost per request, from list prices in USD per million tokens.
+ * Models are matched by the longest known name prefix, so dated variants
+ * ("gpt-4o-mini-2024-07-18") resolve to their family. Unknown models (e.g.
+ * Azure deployment names) get no estimate unless priced via AI_PRICING.
+ */
+
+const MODEL_PRICING = {
+  'gemini-2.5-pro': { input: 1.25, output: 10.0 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gpt-4o': { input: 2.5, output: 10.0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2.0, output: 8.0 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'claude-opus-4': { input: 15.0, output: 75.0 },
+  'claude-sonnet-4': { input: 3.0, output: 15.0 },
+  'claude-haiku-4-5': { input: 1.0, output: 5.0 },
+  'claude-3-5-haiku': { input: 0.8, output: 4.0 },
+};
+
+/** Providers that run on your own hardware or not at all. */
+const FREE_PROVIDERS = ['local', 'mock'];
+
+/**
+ * Price table merged with AI_PRICING overrides
+ * (JSON: `{"my-deployment": {"input": 2.5, "output": 10}}`).
+ * @returns {object}
+ */
+function pricingTable() {
+  if (!process.env.AI_PRICING) return MODEL_PRICING;
+  try {
+    return { ...MODEL_PRICING, ...JSON.parse(process.env.AI_PRICING) };
+  } catch {
+    console.warn('AI_PRICING is not valid JSON – using built-in prices only');
+    return MODEL_PRICING;
+  }
+}
+
+/**
+ * Find the price entry for a model.
+ * @param {string} model
+ * @returns {{input: number, output: number}|null}
+ */
+function findModelPricing(model) {
+  if (!model) return null;
+  const table = pricingTable();
+  const name = model.toLowerCase();
+  const match = Object.keys(table)
+    .filter(prefix => name.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+/**
+ * Estimate the USD cost of token usage.
+ * @param {object} usage
+ * @param {string} usage.provider
+ * @param {string} usage.model
+ * @param {number} usage.promptTokens
+ * @param {number} usage.completionTokens
+ * @returns {number|null} Cost in USD (6 decimals), or null when the model has no known price
+ */
+function estimateCost({ provider, model, promptTokens = 0, completionTokens = 0 }) {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+  const pricing = findModelPricing(model);
+  if (!pricing) return null;
+  const cost = (promptTokens * pricing.input + completionTokens * pricing.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+module.exports = { MODEL_PRICING, estimateCost };
@@ -0,0 +1,119 @@
+/**
+ * Company prompt templates.
+ *
+ * A template's `instructions` may reference {{variables}}; tone, length,
+ * audience, sections and language are turned into extra guidance lines.
+ * The rendered text becomes the "User Instructions" of the AI prompt.
+ */
+
+/** Variables available inside template instructions. */
+const TEMPLATE_VARIABLES = ['contributor', 'repo', 'company', 'window', 'windowFrom', 'windowTo', 'prCount'];
+
+/** Instructions used when neither the monitoring slot nor the company sets a template. */
+const DEFAULT_INSTRUCTIONS = 'Generate a concise status update for {{contributor}} on {{repo}}.';
+
+const TONE_GUIDANCE = {
+  professional: 'Use a professional, neutral tone.',
+  friendly: 'Use a warm, friendly tone.',
+  formal: 'Use a formal tone.',
+  casual: 'Use a relaxed, conversational tone.',
+  technical: 'Use a precise, technical tone.',
+};
+
+const LENGTH_GUIDANCE = {
+  brief: 'Keep it brief: a few sentences covering only the most important highlights.',
+  standard: 'Keep it to a short, scannable update.',
+  detailed: 'Be thorough: cover every pull request with relevant detail.',
+};
+
+const AUDIENCE_GUIDANCE = {
+  exec: 'The audience is executives: focus on outcomes, progress and risks, and avoid low-level code detail.',
+  engineering: 'The audience is engineers: include relevant technical detail from the code changes.',
+  product: 'The audience is product managers: focus on features, user impact and delivery status.',
+  client: 'The audience is an external client: avoid internal jargon and repository internals.',
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * List variables referenced in a template that are not supported.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function findUnknownVariables(text) {
+  const unknown = new Set();
+  for (const [, name] of (text || '').matchAll(VARIABLE_PATTERN)) {
+    if (!TEMPLATE_VARIABLES.includes(name)) unknown.add(name);
+  }
+  return [...unknown];
+}
+
+/**
+ * Substitute {{variables}}; unknown variables are left as-is.
+ * @param {string} text
+ * @param {object} variables
+ * @returns {string}
+ */
+function interpolate(text, variables) {
+  return text.replace(VARIABLE_PATTERN, (match, name) => (
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match
+  ));
+}
+
+/**
+ * Build template variables for a run.
+ * @param {object} params
+ * @param {string} params.githubUsername
+ * @param {string} params.repoFullName
+ * @param {string} [params.companyName]
+ * @param {Date} params.from - Fetch window start
+ * @param {Date} params.to - Fetch window end
+ * @param {number} params.prCount
+ * @returns {object}
+ */
+function buildTemplateVariables({ githubUsername, repoFullName, companyName = null, from, to, prCount }) {
+  const windowFrom = from.toISOString().substring(0, 10);
+  const windowTo = to.toISOString().substring(0, 10);
+  return {
+    contributor: githubUsername,
+    repo: repoFullName,
+    company: companyName,
+    window: windowFrom === windowTo ? windowFrom : `${windowFrom} to ${windowTo}`,
+    windowFrom,
+    windowTo,
+    prCount,
+  };
+}
+
+/**
+ * Render a prompt template into AI instructions.
+ * @param {object|null} template - prompt_templates document (null → DEFAULT_INSTRUCTIONS)
+ * @param {object} variables - Output of buildTemplateVariables()
+ * @returns {string}
+ */
+function renderPromptTemplate(template, variables) {
+  if (!template) return interpolate(DEFAULT_INSTRUCTIONS, variables);
+
+  const lines = [interpolate(template.instructions, variables).trim()];
+  if (template.tone) lines.push(TONE_GUIDANCE[template.tone]);
+  if (template.length) lines.push(LENGTH_GUIDANCE[template.length]);
+  if (template.audience) lines.push(AUDIENCE_GUIDANCE[template.audience]);
+  if (template.sections && template.sections.length > 0) {
+    lines.push(`Cover these sections: ${template.sections.join(', ')}.`);
+  }
+  if (template.language) lines.push(`Write the update in ${template.language}.`);
+
+  return lines.filter(Boolean).join('\n');
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  DEFAULT_INSTRUCTIONS,
+  TONE_OPTIONS: Object.keys(TONE_GUIDANCE),
+  LENGTH_OPTIONS: Object.keys(LENGTH_GUIDANCE),
+  AUDIENCE_OPTIONS: Object.keys(AUDIENCE_GUIDANCE),
+  findUnknownVariables,
+  interpolate,
+  buildTemplateVariables,
+  renderPromptTemplate,
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Record / replay wrapper around another LLM provider.
+ *
+ * - `record`: forwards each request to the real provider and stores the
+ *   response as a JSON fixture keyed by a hash of provider, model and messages.
+ * - `replay`: serves responses from those fixtures and never touches the
+ *   network; a missing fixture is an error.
+ */
+class RecordingProvider {
+  /**
+   * @param {object} options
+   * @param {'record'|'replay'} options.mode - Recording mode
+   * @param {string} options.fixturesDir - Directory holding fixture files
+   * @param {string} options.name - Name of the wrapped provider
+   * @param {string} options.model - Model of the wrapped provider
+   * @param {Function} options.createInner - Lazily builds the real provider (record mode only)
+   */
+  constructor({ mode, fixturesDir, name, model, createInner }) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unsupported AI record mode: ${mode}. Supported modes: record, replay`);
+    }
+    this.mode = mode;
+    this.fixturesDir = fixturesDir;
+    this.name = name;
+    this.model = model;
+    this.createInner = createInner;
+    this.inner = null;
+  }
+
+  /**
+   * Fixture file path for a request.
+   * @param {Array} messages
+   * @returns {string}
+   */
+  fixturePath(messages) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ provider: this.name, model: this.model, messages }))
+      .digest('hex')
+      .substring(0, 24);
+    return path.join(this.fixturesDir, `${this.name}-${hash}.json`);
+  }
+
+  /**
+   * Run a chat completion, recording or replaying as configured.
+   * @param {object} request - Same shape as the wrapped provider's complete()
+   * @returns {Promise<{content: string, model: string, usage: object|null}>}
+   */
+  async complete(request) {
+    const file = this.fixturePath(request.messages);
+
+    if (this.mode === 'replay') {
+      let raw;
+      try {
+        raw = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`No recorded AI fixture for this request (expected ${file}). Re-run with AI_RECORD_MODE=record.`);
+        }
+        throw error;
+      }
+      console.log(`Replaying AI response from ${file}`);
+      return JSON.parse(raw).response;
+    }
+
+    if (!this.inner) {
+      this.inner = this.createInner();
+    }
+    const response = await this.inner.complete(request);
+
+    await fs.mkdir(this.fixturesDir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      provider: this.name,
+      model: this.model,
+      recordedAt: new Date().toISOString(),
+      messages: request.messages,
+      response,
+    }, null, 2));
+    console.log(`Recorded AI response to ${file}`);
+
+    return response;
+  }
+}
+
+module.exports = RecordingProvider;
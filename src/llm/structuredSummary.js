@@ -0,0 +1,225 @@
+/**
+ * Structured status-update summary.
+ *
+ * The model is asked for a JSON object with this shape:
+ *   {
+ *     "overallSummary": string,
+ *     "pullRequests": [{ "number": number|null, "repository": string|null, "title": string, "status": string, "group": string|null, "summary": string }],
+ *     "risks": string[],
+ *     "nextSteps": string[],
+ *     "blockers": string[]
+ *   }
+ *
+ * This module parses (tolerating code fences and surrounding prose),
+ * validates, and renders that object into the Markdown email body.
+ */
+
+const { sectionLabels } = require('./locale');
+
+/** Human-readable schema embedded in prompts. */
+const STRUCTURED_SUMMARY_SCHEMA = `{
+  "overallSummary": "2-4 sentence overview of the period",
+  "pullRequests": [
+    { "number": 123, "repository": "owner/repo", "title": "PR title", "status": "merged | open | closed | draft", "group": "epic or ticket, e.g. \"ABC-12 Checkout redesign\", or null", "summary": "one-line highlight" }
+  ],
+  "risks": ["risk or concern worth flagging"],
+  "nextSteps": ["planned or expected follow-up work"],
+  "blockers": ["anything blocking progress"]
+}`;
+
+const LIST_FIELDS = ['risks', 'nextSteps', 'blockers'];
+
+/**
+ * Extract a JSON object from model output.
+ * Handles raw JSON, ```json fenced blocks and JSON surrounded by prose.
+ * @param {string} text - Raw model output
+ * @returns {object|null} Parsed object, or null when nothing parses
+ */
+function parseStructuredSummary(text) {
+  if (!text) return null;
+
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  const first = text.indexOf('{');
+  const last = text.lastIndexOf('}');
+  if (first !== -1 && last > first) candidates.push(text.substring(first, last + 1));
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed summary against the expected shape.
+ * @param {object} summary
+ * @returns {string[]} List of problems (empty when valid)
+ */
+function validateStructuredSummary(summary) {
+  const errors = [];
+  if (!summary || typeof summary !== 'object') {
+    return ['result must be a JSON object'];
+  }
+
+  if (typeof summary.overallSummary !== 'string' || !summary.overallSummary.trim()) {
+    errors.push('"overallSummary" must be a non-empty string');
+  }
+
+  if (!Array.isArray(summary.pullRequests)) {
+    errors.push('"pullRequests" must be an array');
+  } else {
+    summary.pullRequests.forEach((pr, i) => {
+      if (!pr || typeof pr !== 'object') {
+        errors.push(`"pullRequests[${i}]" must be an object`);
+        return;
+      }
+      if (typeof pr.title !== 'string') errors.push(`"pullRequests[${i}].title" must be a string`);
+      if (typeof pr.summary !== 'string') errors.push(`"pullRequests[${i}].summary" must be a string`);
+      if (pr.number !== undefined && pr.number !== null && !Number.isInteger(pr.number)) {
+        errors.push(`"pullRequests[${i}].number" must be an integer or null`);
+      }
+      if (pr.repository !== undefined && pr.repository !== null && typeof pr.repository !== 'string') {
+        errors.push(`"pullRequests[${i}].repository" must be a string or null`);
+      }
+      if (pr.group !== undefined && pr.group !== null && typeof pr.group !== 'string') {
+        errors.push(`"pullRequests[${i}].group" must be a string or null`);
+      }
+    });
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = summary[field];
+    if (value === undefined) continue; // Optional – normalised to []
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      errors.push(`"${field}" must be an array of strings`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Normalise a valid summary: trim strings, default optional lists, drop unknown keys.
+ * @param {object} summary - Output that passed validateStructuredSummary()
+ * @returns {object}
+ */
+function normalizeStructuredSummary(summary) {
+  const cleanList = list => (list || []).map(item => item.trim()).filter(Boolean);
+
+  return {
+    overallSummary: summary.overallSummary.trim(),
+    pullRequests: summary.pullRequests.map(pr => ({
+      number: Number.isInteger(pr.number) ? pr.number : null,
+      repository: typeof pr.repository === 'string' && pr.repository.trim() ? pr.repository.trim() : null,
+      title: pr.title.trim(),
+      status: typeof pr.status === 'string' ? pr.status.trim() : null,
+      group: typeof pr.group === 'string' && pr.group.trim() ? pr.group.trim() : null,
+      summary: pr.summary.trim(),
+    })),
+    risks: cleanList(summary.risks),
+    nextSteps: cleanList(summary.nextSteps),
+    blockers: cleanList(summary.blockers),
+  };
+}
+
+/**
+ * Set each highlight's `repository` from the PRs it was written about,
+ * matched by PR number where that number is unique among them; otherwise the
+ * model's value stays.
+ * @param {object} summary - Normalised summary
+ * @param {Array<{number: number, repository: string}>} pullRequests - Source PRs (or another summary's entries)
+ * @returns {object} The same summary
+ */
+function attachRepositories(summary, pullRequests) {
+  const byNumber = new Map();
+  for (const pr of pullRequests) {
+    if (!pr.repository) continue;
+    byNumber.set(pr.number, byNumber.has(pr.number) ? null : pr.repository);
+  }
+  for (const pr of summary.pullRequests) {
+    if (byNumber.get(pr.number)) pr.repository = byNumber.get(pr.number);
+  }
+  return summary;
+}
+
+/**
+ * Render a structured summary as the Markdown email body.
+ * Empty sections are omitted. Highlights with a `group` (epic or ticket) are
+ * listed under one subheading per group, after the ungrouped ones. When the
+ * highlights span several repositories, each repository gets its own
+ * subheading and the groups move one level down.
+ * @param {object} summary - Normalised summary
+ * @param {string} [locale] - Locale for section headings
+ * @returns {string}
+ */
+function renderStructuredSummary(summary, locale) {
+  const labels = sectionLabels(locale);
+  const sections = [summary.overallSummary];
+
+  if (summary.pullRequests.length > 0) {
+    const line = pr => {
+      const ref = pr.number ? `#${pr.number} ` : '';
+      const status = pr.status ? ` (${pr.status})` : '';
+      return `- **${ref}${pr.title}**${status}: ${pr.summary}`;
+    };
+    const bucket = (items, key) => {
+      const buckets = new Map();
+      for (const item of items) {
+        const value = item[key] || null;
+        if (!buckets.has(value)) buckets.set(value, []);
+        buckets.get(value).push(item);
+      }
+      // Entries without a value come first, without a subheading
+      return [...buckets].sort(([a], [b]) => (a === null ? -1 : b === null ? 1 : 0));
+    };
+    const renderGroups = (items, level) => bucket(items, 'group')
+      .map(([group, entries]) => {
+        const lines = entries.map(line).join('\n');
+        return group ? `${level} ${group}\n${lines}` : lines;
+      })
+      .join('\n\n');
+
+    const repositories = new Set(summary.pullRequests.map(pr => pr.repository).filter(Boolean));
+    const parts = repositories.size > 1
+      ? bucket(summary.pullRequests, 'repository')
+        .map(([repository, entries]) => {
+          const body = renderGroups(entries, '####');
+          return repository ? `### ${repository}\n${body}` : body;
+        })
+        .join('\n\n')
+      : renderGroups(summary.pullRequests, '###');
+    sections.push(`## ${labels.highlights}\n${parts}`);
+  }
+
+  const listSections = [
+    [labels.risks, summary.risks],
+    [labels.nextSteps, summary.nextSteps],
+    [labels.blockers, summary.blockers],
+  ];
+  for (const [heading, items] of listSections) {
+    if (items.length > 0) {
+      sections.push(`## ${heading}\n${items.map(item => `- ${item}`).join('\n')}`);
+    }
+  }
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  STRUCTURED_SUMMARY_SCHEMA,
+  parseStructuredSummary,
+  validateStructuredSummary,
+  normalizeStructuredSummary,
+  attachRepositories,
+  renderStructuredSummary,
+};
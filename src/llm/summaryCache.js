@@ -0,0 +1,47 @@
+/**
+ * Content-addressed cache keys for AI summaries.
+ * A key changes whenever anything that shapes the model output changes
+ * (PR head commit and state, rendered instructions, model), so stale entries
+ * are never reused.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash the parts that identify a cached summary.
+ * @param {Array} parts - JSON-serialisable values
+ * @returns {string} SHA-256 hex digest
+ */
+function hashCacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Identity of a PR's content: repository, number and head commit.
+ * Falls back to updatedAt when the head SHA is unknown. State, draft flag,
+ * merge / close times and the lifecycle events in the window are part of it,
+ * since a PR can be merged, closed or reviewed without a new commit; so are
+ * review decision and CI state when known, and resolved ticket statuses.
+ * @param {object} pr
+ * @returns {Array|null} null when the PR cannot be identified reliably
+ */
+function prFingerprint(pr) {
+  const revision = pr.headSha || pr.updatedAt;
+  if (pr.number === undefined || pr.number === null || !revision) return null;
+  const fingerprint = [
+    pr.repository || null,
+    pr.number,
+    revision,
+    `${pr.state || ''}|${pr.merged ? 'merged' : ''}|${pr.draft ? 'draft' : ''}|${pr.mergedAt || ''}|${pr.closedAt || ''}`,
+    (pr.lifecycle || []).map(event => `${event.type}:${event.at}:${event.actor || ''}`).join(','),
+  ];
+  if (pr.reviewDecision !== undefined || pr.checks !== undefined) {
+    fingerprint.push(`${pr.reviewDecision || ''}|${pr.checks?.state || ''}`);
+  }
+  if (pr.tickets && pr.tickets.length > 0) {
+    fingerprint.push(pr.tickets.map(ticket => `${ticket.key}:${ticket.status || ''}`).sort().join(','));
+  }
+  return fingerprint;
+}
+
+module.exports = { hashCacheKey, prFingerprint };
@@ -0,0 +1,362 @@
+/**
+ * Email outbox worker.
+ *
+ * Runs enqueue one rendered email (HTML plus plain text) per recipient locale in the `email_outbox`
+ * collection and make the first delivery attempt right away. Failed
+ * attempts are retried by this worker with exponential backoff; after
+ * EMAIL_OUTBOX_MAX_ATTEMPTS attempts the email is dead-lettered. Every
+ * attempt is mirrored onto the run's `emailStatus.deliveries`.
+ *
+ * Started alongside the Express server in server.js.
+ */
+
+const EmailService = require('./emailService');
+const { resolveSenders, isSenderSuspended, MAX_CONSECUTIVE_FAILURES } = require('./email/senders');
+const { renderStatusEmail } = require('./email/layout');
+const { renderEmailTemplate } = require('./email/template');
+const { buildTemplateVariables } = require('./llm/promptTemplate');
+const { EmailOutboxService } = require('./database/services/EmailOutboxService');
+const { SummaryRunService } = require('./database/services/SummaryRunService');
+const { MonitoredContributorService } = require('./database/services/MonitoredContributorService');
+const { CompanyService } = require('./database/services/CompanyService');
+const { ContributorAccountService } = require('./database/services/ContributorAccountService');
+const { EmailTemplateService } = require('./database/services/EmailTemplateService');
+
+const emailOutboxService = new EmailOutboxService();
+const summaryRunService = new SummaryRunService();
+const monitoredContributorService = new MonitoredContributorService();
+const companyService = new CompanyService();
+const contributorAccountService = new ContributorAccountService();
+const emailTemplateService = new EmailTemplateService();
+
+// How often to look for due retries (in ms)
+const POLL_INTERVAL_MS = 30_000;
+// How long a claimed email is reserved for one attempt before another worker may take it
+const LEASE_MS = 5 * 60_000;
+// Backoff between attempts: 1 min, 2 min, 4 min, … capped at 1 hour
+const BASE_RETRY_DELAY_MS = 60_000;
+const MAX_RETRY_DELAY_MS = 60 * 60_000;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS, 10) || 5;
+
+let intervalHandle = null;
+let polling = false;
+
+/**
+ * Delay before the next attempt after `attempts` failed ones.
+ * @param {number} attempts
+ * @returns {number} milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Email template of a monitoring slot: its own, else the company default.
+ * @param {*} companyId
+ * @param {*} [emailTemplateId] - Monitored contributor's `emailTemplateId`
+ * @returns {Promise<object|null>} null when neither is set (built-in subject and footer)
+ */
+async function findEmailTemplate(companyId, emailTemplateId = null) {
+  const template = emailTemplateId ? await emailTemplateService.findById(emailTemplateId.toString()) : null;
+  return template || emailTemplateService.findDefault(companyId.toString());
+}
+
+/**
+ * Template variables of a stored run, as they were when it ran.
+ * @param {object} run - Summary run
+ * @param {object|null} company - Company document
+ * @returns {object}
+ */
+function runTemplateVariables(run, company) {
+  return buildTemplateVariables({
+    githubUsername: run.githubUsername,
+    repoFullName: run.repoFullName,
+    companyName: company?.name,
+    from: new Date(run.fetchWindow?.from || run.startedAt),
+    to: new Date(run.fetchWindow?.to || run.startedAt),
+    prCount: run.prStats?.totalPRsFetched ?? 0,
+  });
+}
+
+/**
+ * A stored run's summary in a recipient locale: its translation, or the
+ * company-locale summary when there is none.
+ * @param {object} run - Summary run
+ * @param {string} locale
+ * @returns {string|null}
+ */
+function runSummaryForLocale(run, locale) {
+  const localized = (run.localizedSummaries || []).find((l) => l.locale === locale);
+  return localized?.aiSummary || run.aiSummary;
+}
+
+/**
+ * Render a run's status email for one recipient locale.
+ * @param {object} options
+ * @param {string} options.markdown - Summary in the recipient locale
+ * @param {string} options.locale
+ * @param {object|null} options.company - Company document, for branding
+ * @param {object|null} [options.template] - Email template (subject, header, footer)
+ * @param {object} options.variables - Template variables (buildTemplateVariables())
+ * @param {Array<object>} [options.pullRequests] - PR link cards (pullRequestLinks())
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderRunEmail({ markdown, locale, company, template = null, variables, pullRequests = [] }) {
+  const { subject, header, footer } = renderEmailTemplate(template, variables);
+  const { text, html } = renderStatusEmail({ markdown, title: subject, locale, company, pullRequests, header, footer });
+  return { subject, text, html };
+}
+
+/**
+ * Record a send outcome against the stored sender it went through.
+ * The platform sender lives in the environment and is not tracked.
+ */
+async function recordSenderResult({ contributorId, companyId }, sender, error) {
+  try {
+    if (sender.type === 'contributor') {
+      await contributorAccountService.recordMailResult(contributorId.toString(), error);
+    } else if (sender.type === 'company') {
+      await companyService.recordEmailSenderResult(companyId.toString(), error);
+    }
+  } catch (err) {
+    console.warn(`[outbox] could not record ${sender.type} sender result – ${err.message}`);
+  }
+}
+
+/**
+ * Send one email through the first sender that works, falling back down the list.
+ * Suspended senders are skipped, except the last one, which is always tried.
+ * @param {{contributorId: *, companyId: *}} owner - Whose sender health to update
+ * @returns {Promise<{sender: object, fallbackReason: string|null}>} Identity the email went out as
+ * @throws {Error} The last sender's error, with `sender` and `fallbackReason` attached
+ */
+async function sendWithFallback(owner, senders, { to, subject, content }, label) {
+  const reasons = [];
+  for (let i = 0; i < senders.length; i++) {
+    const sender = senders[i];
+    const isLast = i === senders.length - 1;
+    if (!isLast && isSenderSuspended(sender.health)) {
+      reasons.push(`${sender.type} sender skipped after ${MAX_CONSECUTIVE_FAILURES} consecutive failures`);
+      continue;
+    }
+
+    let identity = { type: sender.type, provider: sender.emailConfig.provider || null, address: null };
+    try {
+      const emailService = new EmailService(sender.emailConfig);
+      identity = { type: sender.type, provider: emailService.config.provider, address: emailService.config.from };
+      console.log(`${label}: [debug] Sending as ${identity.type} sender via ${identity.provider} – from=${identity.address}, to=${to}, subject="${subject}"`);
+      await emailService.sendEmail(to, subject, content);
+      await recordSenderResult(owner, sender, null);
+      return { sender: identity, fallbackReason: reasons.length > 0 ? reasons.join('; ') : null };
+    } catch (err) {
+      await recordSenderResult(owner, sender, err);
+      if (isLast) {
+        err.sender = identity;
+        err.fallbackReason = reasons.length > 0 ? reasons.join('; ') : null;
+        throw err;
+      }
+      reasons.push(`${sender.type} sender failed: ${err.message}`);
+      console.warn(`${label}: ${sender.type} sender failed, falling back – ${err.message}`);
+    }
+  }
+  throw new Error('No email sender available');
+}
+
+/**
+ * Roll per-locale deliveries up into the run's overall email status.
+ * A dead-lettered delivery fails the run; one still being retried keeps it pending.
+ */
+function summarizeDeliveries(recipients, deliveries) {
+  const failed = deliveries.filter((d) => d.status === 'failed' || d.status === 'dead');
+  const pending = deliveries.filter((d) => d.status === 'pending');
+  const sent = deliveries.filter((d) => d.status === 'sent');
+  const status = failed.length > 0 ? 'failed' : pending.length > 0 ? 'pending' : sent.length > 0 ? 'sent' : 'skipped';
+  const reasons = deliveries
+    .filter((d) => d.failureReason)
+    .map((d) => `${d.locale}: ${d.failureReason}`);
+  // The identity the email went out as – or, when nothing was sent, the last one tried
+  const attempted = deliveries.filter((d) => d.sender);
+  const senderDelivery = sent.length > 0 ? sent[sent.length - 1] : attempted[attempted.length - 1];
+  return {
+    status,
+    sentAt: sent.length > 0 ? sent[sent.length - 1].sentAt : null,
+    recipients,
+    failureReason: reasons.length > 0 ? reasons.join('; ') : null,
+    sender: senderDelivery?.sender || null,
+    deliveries,
+  };
+}
+
+/**
+ * The run delivery that tracks an outbox entry, before its first attempt.
+ * @param {object} entry - Outbox entry
+ * @returns {object}
+ */
+function pendingDelivery(entry) {
+  return {
+    locale: entry.locale,
+    recipients: entry.recipients,
+    status: 'pending',
+    sentAt: null,
+    failureReason: null,
+    outboxId: entry._id,
+    attempts: 0,
+    nextAttemptAt: null,
+  };
+}
+
+/**
+ * Apply an attempt's outcome to the matching delivery of the run and
+ * recompute the run's overall email status.
+ */
+async function updateRunDelivery(entry, changes) {
+  const run = await summaryRunService.findById(entry.summaryRunId.toString());
+  if (!run?.emailStatus?.deliveries) return;
+
+  const outboxId = entry._id.toString();
+  const deliveries = run.emailStatus.deliveries.map((d) => (
+    d.outboxId?.toString() === outboxId ? { ...d, ...changes } : d
+  ));
+  await summaryRunService.updateEmailStatus(run._id.toString(), summarizeDeliveries(run.emailStatus.recipients || [], deliveries));
+}
+
+/**
+ * Make one delivery attempt for a claimed outbox entry. Senders are resolved
+ * now rather than at enqueue time, so a reconnected mailbox applies to retries.
+ * @param {object} entry - Outbox entry, claimed by the caller
+ * @returns {Promise<'sent'|'pending'|'dead'>} Status after the attempt
+ */
+async function deliverOutboxEmail(entry) {
+  const label = `[outbox] ${entry._id} (run ${entry.summaryRunId}, ${entry.locale})`;
+  const attempts = entry.attempts + 1;
+
+  const [mc, companyDoc] = await Promise.all([
+    entry.monitoredContributorId ? monitoredContributorService.findById(entry.monitoredContributorId.toString()) : null,
+    companyService.findById(entry.companyId.toString()),
+  ]);
+  const account = mc?.monitoringType === 'open' && mc.contributorId
+    ? await contributorAccountService.findByContributorId(mc.contributorId.toString())
+    : null;
+  const senders = resolveSenders({
+    monitoringType: mc?.monitoringType,
+    mailConfig: account?.mailConfig,
+    companyEmailConfig: companyDoc?.settings?.emailConfig,
+  });
+
+  try {
+    const { sender, fallbackReason } = await sendWithFallback(
+      { contributorId: mc?.contributorId, companyId: entry.companyId },
+      senders,
+      {
+        to: entry.recipients.join(','),
+        subject: entry.subject,
+        // Entries queued before emails were rendered hold only the Markdown body
+        content: entry.html ? { text: entry.text, html: entry.html } : entry.text,
+      },
+      label,
+    );
+    await emailOutboxService.recordSent(entry._id.toString(), { attempts, sender, fallbackReason });
+    await companyService.incrementUsage(entry.companyId.toString(), 'emailsSentThisMonth');
+    await updateRunDelivery(entry, {
+      status: 'sent', sentAt: new Date(), failureReason: null, sender, fallbackReason, attempts, nextAttemptAt: null,
+    });
+    console.log(`${label}: sent to ${entry.recipients.join(', ')} as ${sender.address} (${sender.type}) on attempt ${attempts}`);
+    return 'sent';
+  } catch (err) {
+    const nextAttemptAt = attempts < entry.maxAttempts ? new Date(Date.now() + retryDelay(attempts)) : null;
+    await emailOutboxService.recordFailure(entry._id.toString(), {
+      attempts,
+      error: err.message,
+      sender: err.sender || null,
+      fallbackReason: err.fallbackReason || null,
+      nextAttemptAt,
+    });
+    await updateRunDelivery(entry, {
+      status: nextAttemptAt ? 'pending' : 'dead',
+      sentAt: null,
+      failureReason: err.message,
+      sender: err.sender || null,
+      fallbackReason: err.fallbackReason || null,
+      attempts,
+      nextAttemptAt,
+    });
+    if (nextAttemptAt) {
+      console.warn(`${label}: attempt ${attempts}/${entry.maxAttempts} failed, retrying at ${nextAttemptAt.toISOString()} – ${err.message}`);
+      return 'pending';
+    }
+    console.error(`${label}: dead-lettered after ${attempts} attempt(s) – ${err.message}`);
+    return 'dead';
+  }
+}
+
+/**
+ * Enqueue a run's email for one recipient locale. The entry comes back
+ * claimed, so pass it to deliverOutboxEmail() for the first attempt.
+ * @returns {Promise<{entry: object, delivery: object}>} The entry and the run delivery tracking it
+ */
+async function enqueueRunEmail({ run, monitoredContributorId = null, locale, recipients, subject, text, html }) {
+  const entry = await emailOutboxService.enqueue({
+    companyId: run.companyId.toString(),
+    summaryRunId: run._id.toString(),
+    monitoredContributorId: monitoredContributorId?.toString() || null,
+    locale,
+    recipients,
+    subject,
+    text,
+    html,
+    maxAttempts: MAX_ATTEMPTS,
+    leaseMs: LEASE_MS,
+  });
+  return { entry, delivery: pendingDelivery(entry) };
+}
+
+/**
+ * Deliver every outbox email that is due.
+ */
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    let entry;
+    while ((entry = await emailOutboxService.claimNextDue(LEASE_MS))) {
+      await deliverOutboxEmail(entry);
+    }
+  } catch (err) {
+    console.error('[outbox] Poll error:', err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the outbox worker loop.
+ */
+function startOutboxWorker() {
+  console.log(`[outbox] Started – polling every ${POLL_INTERVAL_MS / 1000}s, max ${MAX_ATTEMPTS} attempts per email`);
+  poll();
+  intervalHandle = setInterval(poll, POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop the outbox worker loop.
+ */
+function stopOutboxWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+    console.log('[outbox] Stopped');
+  }
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  findEmailTemplate,
+  runTemplateVariables,
+  runSummaryForLocale,
+  renderRunEmail,
+  summarizeDeliveries,
+  enqueueRunEmail,
+  deliverOutboxEmail,
+  startOutboxWorker,
+  stopOutboxWorker,
+};
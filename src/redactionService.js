@@ -0,0 +1,273 @@
+const { matchesAnyGlob } = require('./utils/glob');
+
+/**
+ * Files whose patches are never sent to the LLM (keys, env files, lockfiles).
+ */
+const DEFAULT_SKIP_GLOBS = [
+  '*.pem', '*.key', '*.p12', '*.pfx', '*.jks', '*.keystore',
+  'id_rsa*', 'id_dsa*', 'id_ecdsa*', 'id_ed25519*',
+  '.env*', '*.env', '.npmrc', '.pypirc', '.netrc',
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml',
+  '*.lock', 'go.sum',
+];
+
+/**
+ * Built-in secret detectors, in priority order: where matches overlap, the
+ * earlier pattern wins. When a pattern has a named `secret` group only that
+ * part is replaced, keeping the surrounding context (e.g. the scheme and
+ * host of a connection string) readable.
+ */
+const SECRET_PATTERNS = [
+  { type: 'private_key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { type: 'connection_string', regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"]+:(?<secret>[^\s@/'"]+)@/gi },
+  { type: 'aws_access_key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'github_token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { type: 'slack_token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { type: 'stripe_key', regex: /\b(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { type: 'google_api_key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'api_key', regex: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { type: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { type: 'bearer_token', regex: /\bBearer\s+(?<secret>[A-Za-z0-9._~+/-]{16,}=*)/g },
+  {
+    type: 'credential_assignment',
+    // The keyword must end the name (db_password, apiKey), so secretary or tokenizer do not match
+    regex: /\b[a-z0-9_-]*?(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|client[_-]?secret|private[_-]?key)["']?\s*[:=]\s*["']?(?!process\.env|os\.environ|\$\{)(?<secret>[^\s"'`,;()]{6,})(?=["'\s,;]|$)/gim,
+  },
+];
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+
+/** Placeholders left by an earlier redaction; never matched again. */
+const PLACEHOLDER_PATTERN = /\[REDACTED:[A-Za-z0-9_]+\]/g;
+
+/** Candidate tokens for entropy checks (no "/" so file paths aren't flagged). */
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+_=-]{20,}/g;
+
+const DEFAULT_ENTROPY_THRESHOLD = 4.0;
+
+/**
+ * Minimum share of adjacent characters that switch between upper/lower/digit.
+ * Random tokens switch often (~0.6); camelCase identifiers rarely (~0.25).
+ */
+const MIN_CLASS_SWITCH_RATIO = 0.4;
+
+/**
+ * Add missing flags to a regex flag string
+ * @param {string} flags
+ * @param {string} required
+ * @returns {string}
+ */
+function withFlags(flags, required) {
+  return flags + [...required].filter(flag => !flags.includes(flag)).join('');
+}
+
+/**
+ * Whether a regex can match an empty string; such patterns would redact nothing
+ * or everything between characters, so custom patterns must not.
+ * @param {string} pattern
+ * @param {string} [flags]
+ * @returns {boolean}
+ */
+function matchesEmptyString(pattern, flags = '') {
+  return new RegExp(pattern, flags.replace(/[gy]/g, '')).test('');
+}
+
+/**
+ * Replaces secrets and PII in PR data before it is sent to an LLM.
+ * Sits between GitHubService (raw PR data) and AIService (prompting).
+ */
+class RedactionService {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.enabled] - Set to false to pass data through untouched
+   * @param {boolean} [options.redactEmails] - Replace email addresses (default true)
+   * @param {number|null} [options.entropyThreshold] - Shannon entropy (bits/char) above which
+   *   long tokens are treated as secrets; null disables the check
+   * @param {Array<{name: string, pattern: string, flags?: string}>} [options.customPatterns] - Extra regexes
+   * @param {string[]} [options.skipGlobs] - Extra file globs whose patches are dropped
+   */
+  constructor({
+    enabled = true,
+    redactEmails = true,
+    entropyThreshold = DEFAULT_ENTROPY_THRESHOLD,
+    customPatterns = [],
+    skipGlobs = [],
+  } = {}) {
+    this.enabled = enabled;
+    this.redactEmails = redactEmails;
+    this.entropyThreshold = entropyThreshold;
+    this.skipGlobs = [...DEFAULT_SKIP_GLOBS, ...skipGlobs];
+    // `d` gives match indices, so a `secret` group is located exactly
+    this.patterns = [
+      ...SECRET_PATTERNS,
+      ...customPatterns.map(p => ({ type: p.name || 'custom', regex: new RegExp(p.pattern, p.flags || '') })),
+    ].map(({ type, regex }) => ({ type, regex: new RegExp(regex.source, withFlags(regex.flags, 'gd')) }));
+  }
+
+  /**
+   * Effective settings as a stable string, so cached summaries written under
+   * other redaction settings are not reused
+   * @returns {string}
+   */
+  settingsKey() {
+    return JSON.stringify({
+      enabled: this.enabled,
+      redactEmails: this.redactEmails,
+      entropyThreshold: this.entropyThreshold,
+      patterns: this.patterns.map(({ type, regex }) => `${type}:/${regex.source}/${regex.flags}`),
+      skipGlobs: this.skipGlobs,
+    });
+  }
+
+  /**
+   * Shannon entropy of a string in bits per character
+   * @param {string} value
+   * @returns {number}
+   */
+  shannonEntropy(value) {
+    const counts = {};
+    for (const char of value) counts[char] = (counts[char] || 0) + 1;
+    return Object.values(counts).reduce((sum, count) => {
+      const p = count / value.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  /**
+   * Share of adjacent character pairs that switch between upper case, lower case and digits
+   * @param {string} value
+   * @returns {number}
+   */
+  classSwitchRatio(value) {
+    const charClass = char => (/[A-Z]/.test(char) ? 'U' : /[a-z]/.test(char) ? 'L' : /\d/.test(char) ? 'D' : 'O');
+    let switches = 0;
+    for (let i = 1; i < value.length; i++) {
+      if (charClass(value[i]) !== charClass(value[i - 1])) switches++;
+    }
+    return switches / (value.length - 1);
+  }
+
+  /**
+   * Whether a token looks like a random secret rather than an identifier or hash
+   * @param {string} token
+   * @returns {boolean}
+   */
+  isHighEntropy(token) {
+    if (this.entropyThreshold === null || token.includes('REDACTED')) return false;
+
+    if (/^[0-9a-f]+$/i.test(token)) {
+      // Hex: git SHAs (40 chars) are not secrets; other long hex strings usually are keys
+      return token.length >= 32 && token.length !== 40 && this.shannonEntropy(token) >= this.entropyThreshold - 1;
+    }
+
+    // Require mixed case, digits and frequent switching so camelCase identifiers are left alone
+    const hasDigit = /\d/.test(token);
+    const hasUpper = /[A-Z]/.test(token);
+    const hasLower = /[a-z]/.test(token);
+    return hasDigit && hasUpper && hasLower
+      && this.classSwitchRatio(token) >= MIN_CLASS_SWITCH_RATIO
+      && this.shannonEntropy(token) >= this.entropyThreshold;
+  }
+
+  /**
+   * Redact a piece of text
+   * @param {string} text
+   * @param {object} byType - Counter object updated in place ({ type: count })
+   * @returns {string} Redacted text
+   */
+  redactText(text, byType) {
+    if (!text) return text;
+
+    // Every detector runs on the original text; a span is redacted once, by the first detector that
+    // claims it, so one secret is never counted twice and existing placeholders are left alone
+    const spans = [...text.matchAll(PLACEHOLDER_PATTERN)].map(m => ({ start: m.index, end: m.index + m[0].length, type: null }));
+    const claim = (start, end, type) => {
+      if (end <= start || spans.some(span => start < span.end && span.start < end)) return;
+      spans.push({ start, end, type });
+    };
+
+    for (const { type, regex } of this.patterns) {
+      for (const match of text.matchAll(regex)) {
+        const [start, end] = match.indices.groups?.secret || match.indices[0];
+        claim(start, end, type);
+      }
+    }
+    if (this.redactEmails) {
+      for (const match of text.matchAll(EMAIL_PATTERN)) claim(match.index, match.index + match[0].length, 'email');
+    }
+    for (const match of text.matchAll(ENTROPY_CANDIDATE)) {
+      if (this.isHighEntropy(match[0])) claim(match.index, match.index + match[0].length, 'high_entropy');
+    }
+
+    let result = '';
+    let position = 0;
+    for (const { start, end, type } of spans.filter(span => span.type).sort((a, b) => a.start - b.start)) {
+      byType[type] = (byType[type] || 0) + 1;
+      result += `${text.slice(position, start)}[REDACTED:${type}]`;
+      position = end;
+    }
+    return result + text.slice(position);
+  }
+
+  /**
+   * Redact PR titles, descriptions, linked issue titles and file patches, dropping patches of skipped files.
+   * Commit messages, review/issue bodies and titles of other activity are redacted too.
+   * @param {Array} pullRequests - PR objects from GitHubService / scheduler
+   * @param {Array} [activity] - Activity items from GitHubService.fetchContributorActivity()
+   * @returns {{pullRequests: Array, activity: Array, stats: {totalRedactions: number, skippedFiles: number, byType: object}}}
+   */
+  redactPullRequests(pullRequests, activity = []) {
+    const byType = {};
+    let skippedFiles = 0;
+
+    if (!this.enabled) {
+      return { pullRequests, activity, stats: { totalRedactions: 0, skippedFiles: 0, byType } };
+    }
+
+    const redacted = pullRequests.map(pr => ({
+      ...pr,
+      title: this.redactText(pr.title, byType),
+      ...(pr.body !== undefined && { body: this.redactText(pr.body, byType) }),
+      ...(pr.description !== undefined && { description: this.redactText(pr.description, byType) }),
+      ...(pr.linkedIssues && {
+        linkedIssues: pr.linkedIssues.map(issue => ({ ...issue, title: issue.title && this.redactText(issue.title, byType) })),
+      }),
+      ...(pr.tickets && {
+        tickets: pr.tickets.map(ticket => ({
+          ...ticket,
+          title: ticket.title && this.redactText(ticket.title, byType),
+          epic: ticket.epic && { ...ticket.epic, title: ticket.epic.title && this.redactText(ticket.epic.title, byType) },
+        })),
+      }),
+      ...(pr.files && {
+        files: pr.files.map(file => {
+          if (matchesAnyGlob(file.filename, this.skipGlobs)) {
+            if (file.patch) skippedFiles++;
+            return { ...file, patch: null, redacted: true };
+          }
+          return { ...file, patch: this.redactText(file.patch, byType) };
+        }),
+      }),
+    }));
+
+    const redactedActivity = activity.map(item => ({
+      ...item,
+      ...(item.message !== undefined && { message: this.redactText(item.message, byType) }),
+      ...(item.title !== undefined && { title: this.redactText(item.title, byType) }),
+      ...(item.prTitle !== undefined && { prTitle: this.redactText(item.prTitle, byType) }),
+      ...(item.body !== undefined && { body: this.redactText(item.body, byType) }),
+    }));
+
+    const totalRedactions = Object.values(byType).reduce((sum, count) => sum + count, 0);
+    if (totalRedactions > 0 || skippedFiles > 0) {
+      console.log(`Redacted ${totalRedactions} secret(s)/PII value(s) and skipped ${skippedFiles} sensitive file(s) before prompting`);
+    }
+
+    return { pullRequests: redacted, activity: redactedActivity, stats: { totalRedactions, skippedFiles, byType } };
+  }
+}
+
+RedactionService.DEFAULT_SKIP_GLOBS = DEFAULT_SKIP_GLOBS;
+RedactionService.matchesEmptyString = matchesEmptyString;
+
+module.exports = RedactionService;
@@ -1,30 +1,280 @@
 /**
  * In-process scheduler that polls for due monitored contributors
- * and executes the full pipeline:  fetch PRs → AI summary → send email.
+ * and executes the full pipeline:  fetch PRs → AI summary → send email
+ * (through the email outbox, see outboxWorker.js).
  *
  * Started alongside the Express server in server.js.
  */
 
-const { Octokit } = require('@octokit/rest');
-const GitHubService = require('./githubService');
+const GitHubAppService = require('./githubAppService');
 const AIService = require('./aiService');
-const EmailService = require('./emailService');
+const RedactionService = require('./redactionService');
+const { resolveAIConfig } = require('./llm');
+const {
+  findEmailTemplate, renderRunEmail, summarizeDeliveries, enqueueRunEmail, deliverOutboxEmail,
+} = require('./outboxWorker');
+const { pullRequestLinks } = require('./email/layout');
+const { createSourceProvider, splitRepoFullName } = require('./sources');
+const { normalizePullRequest, withLifecycle, summarizeLifecycle } = require('./sources/pullRequest');
+const { resolveScope, applyScope } = require('./sources/scope');
+const { webhookHealth, canUseWebhookEvents } = require('./sources/webhooks');
+const { createTicketTrackers, enrichWithTickets } = require('./tickets');
+const { buildTemplateVariables, renderPromptTemplate } = require('./llm/promptTemplate');
+const { DEFAULT_LOCALE } = require('./llm/locale');
 const { MonitoredContributorService } = require('./database/services/MonitoredContributorService');
 const { RepositoryService } = require('./database/services/RepositoryService');
 const { SummaryRunService } = require('./database/services/SummaryRunService');
 const { CompanyService } = require('./database/services/CompanyService');
+const { PromptTemplateService } = require('./database/services/PromptTemplateService');
+const { ContributorAccountService } = require('./database/services/ContributorAccountService');
+const { AISummaryCacheService } = require('./database/services/AISummaryCacheService');
+const { ActivityEventService } = require('./database/services/ActivityEventService');
 const { calculateNextRunAt } = require('./api/utils/scheduleUtils');
 
 const monitoredContributorService = new MonitoredContributorService();
 const repositoryService = new RepositoryService();
 const summaryRunService = new SummaryRunService();
 const companyService = new CompanyService();
+const promptTemplateService = new PromptTemplateService();
+const contributorAccountService = new ContributorAccountService();
+const aiSummaryCacheService = new AISummaryCacheService();
+const activityEventService = new ActivityEventService();
+const githubAppService = new GitHubAppService();
 
 // How often to check for due runs (in ms)
 const POLL_INTERVAL_MS = 60_000; // every 60 seconds
 
 let intervalHandle = null;
 
+/**
+ * Group email recipients by locale; recipients without one get the company locale.
+ * @returns {Array<{locale: string, recipients: string[]}>} base locale first
+ */
+function groupRecipientsByLocale(recipients, baseLocale) {
+  const groups = new Map([[baseLocale, []]]);
+  for (const r of recipients) {
+    const email = r.email || r;
+    if (!email || typeof email !== 'string') continue;
+    const locale = r.locale || baseLocale;
+    if (!groups.has(locale)) groups.set(locale, []);
+    groups.get(locale).push(email);
+  }
+  return [...groups.entries()]
+    .filter(([, emails]) => emails.length > 0)
+    .map(([locale, emails]) => ({ locale, recipients: emails }));
+}
+
+/**
+ * Rebuild a contributor's PRs, reviews and commits in the window from stored
+ * GitHub webhook events instead of querying the API.
+ * @returns {Promise<{pullRequests: Array, activity: Array}>}
+ */
+async function loadFromActivityEvents(repo, mc, startDate, endDate) {
+  const login = mc.githubUsername.toLowerCase();
+  const branches = mc.fetchConfig?.branches || [];
+  const events = await activityEventService.findInWindow(repo._id.toString(), startDate, endDate);
+
+  const latestPRs = new Map();
+  const timelines = new Map();
+  const activity = [];
+  const seenCommits = new Set();
+  for (const { eventType, action, actorLogin, occurredAt, data } of events) {
+    if (eventType === 'pull_request' && data.authorLogin?.toLowerCase() === login) {
+      latestPRs.set(data.number, data); // events are oldest first, so the last snapshot wins
+      if (action === 'ready_for_review' || action === 'reopened') {
+        timelines.set(data.number, [...(timelines.get(data.number) || []), { type: action, at: occurredAt, actor: actorLogin }]);
+      }
+    } else if (eventType === 'pull_request_review' && actorLogin === login && data.prAuthorLogin?.toLowerCase() !== login) {
+      activity.push({ type: 'review', prNumber: data.prNumber, prTitle: data.prTitle, prAuthor: data.prAuthorLogin || null, state: data.state, body: data.body, url: data.url, date: data.date });
+    } else if (eventType === 'push') {
+      const scanned = branches.length > 0 ? branches.includes(data.branch) : data.branch === data.defaultBranch;
+      if (!scanned) continue;
+      for (const commit of data.commits) {
+        const committedAt = new Date(commit.date);
+        if (commit.authorLogin?.toLowerCase() !== login || seenCommits.has(commit.sha)) continue;
+        if (committedAt < startDate || committedAt > endDate) continue;
+        seenCommits.add(commit.sha);
+        activity.push({ type: 'commit', sha: commit.sha, message: commit.message, branch: data.branch, url: commit.url, date: commit.date });
+      }
+    }
+  }
+
+  // Snapshots back to the REST shape so they normalize like API results
+  const pullRequests = [...latestPRs.values()].map((pr) => ({
+    ...normalizePullRequest({
+      number: pr.number,
+      title: pr.title,
+      body: pr.description,
+      state: pr.state,
+      // Snapshots stored before mergedAt was recorded only know the merge happened by their last update
+      merged_at: pr.mergedAt || (pr.merged ? pr.updatedAt : null),
+      closed_at: pr.closedAt || null,
+      draft: pr.draft,
+      html_url: pr.url,
+      created_at: pr.createdAt,
+      updated_at: pr.updatedAt,
+      head: { sha: pr.headSha, ref: pr.headRef || null },
+      user: { login: pr.authorLogin },
+      labels: pr.labels || [],
+    }, repo.fullName),
+    timeline: timelines.get(pr.number) || [],
+  }));
+  return { pullRequests, activity };
+}
+
+/**
+ * Repositories a run covers, with the name PRs are attributed to.
+ * Repository coverage uses the slot's repo (the environment token applies when
+ * it is missing); organization coverage uses every active company repo, or
+ * the selected `repositoryIds` among them.
+ * @returns {Promise<Array<{repo: object|null, fullName: string}>>}
+ */
+async function resolveRunRepositories(mc) {
+  if (mc.coverage !== 'organization') {
+    const repo = mc.repositoryId ? await repositoryService.findById(mc.repositoryId.toString()) : null;
+    return [{ repo, fullName: mc.repoFullName }];
+  }
+
+  const selected = new Set((mc.repositoryIds || []).map((id) => id.toString()));
+  const repos = await repositoryService.findByCompany(mc.companyId.toString());
+  return repos
+    .filter((repo) => selected.size === 0 || selected.has(repo._id.toString()))
+    .sort((a, b) => a.fullName.localeCompare(b.fullName))
+    .map((repo) => ({ repo, fullName: repo.fullName }));
+}
+
+/**
+ * Fetch one repo's share of a run: the contributor's PRs with details,
+ * lifecycle, files and tickets, plus other activity, within the monitoring scope.
+ * PR and activity fetch errors are thrown, so a revoked token or an outage is
+ * not mistaken for a quiet period; the caller decides whether the run fails.
+ * Patch and ticket lookup errors only leave that part empty.
+ * @returns {Promise<{pullRequests: Array, activity: Array, excluded: object}>}
+ */
+async function fetchRepoActivity(mc, repo, fullName, { startDate, endDate, companyDoc, label }) {
+  // Repo access token: GitHub App installation token, else the repo's PAT
+  let accessToken = process.env.GITHUB_TOKEN; // fallback
+  if (repo && (repo.provider || 'github') !== 'github') {
+    accessToken = repo.encryptedAccessToken;
+  } else if (repo) {
+    try {
+      accessToken = (await githubAppService.getRepoAccessToken(repo)) || accessToken;
+    } catch (tokenErr) {
+      console.warn(`${label}: GitHub App token error – ${tokenErr.message}`);
+      accessToken = repo.encryptedAccessToken || accessToken;
+    }
+  }
+
+  // PRs (merge requests on GitLab) from the repo's code host
+  const { owner, repo: repoName } = splitRepoFullName(fullName);
+  const provider = repo?.provider || 'github';
+  // Generous per-file patch limit – AIService trims patches to the plan's token budget
+  const source = createSourceProvider({
+    provider,
+    token: accessToken,
+    username: mc.githubUsername,
+    baseUrl: repo?.baseUrl,
+    maxCharsPerFile: 2000,
+  });
+
+  // Webhook events (GitHub only) cover the whole window once they were flowing before it started and still arrive
+  const useEvents = canUseWebhookEvents(repo, startDate);
+  const webhook = webhookHealth(repo);
+  if (provider === 'github' && webhook.status === 'stale') {
+    console.warn(`${label}: no GitHub webhook delivery since ${webhook.lastDeliveryAt?.toISOString() || 'it was set up'} – fetching from the GitHub API instead`);
+  }
+  let pullRequests = [];
+  let activity = [];
+  try {
+    if (useEvents) {
+      ({ pullRequests, activity } = await loadFromActivityEvents(repo, mc, startDate, endDate));
+      console.log(`${label}: [debug] Using stored webhook events (since ${new Date(repo.webhookSince).toISOString()})`);
+    } else {
+      // All pages of this contributor's PRs updated in the window; conditional on the repo's last ETag
+      const sync = await source.fetchUpdatedPullRequests(owner, repoName, {
+        startDate,
+        endDate,
+        author: mc.githubUsername,
+        etag: repo?.pullsEtag || null,
+        lastSyncedAt: repo?.lastSyncedAt || null,
+      });
+      if (repo) {
+        await repositoryService.updateLastSynced(repo._id.toString(), { syncedAt: sync.syncedAt, pullsEtag: sync.etag });
+      }
+
+      pullRequests = sync.pullRequests.map((pr) => normalizePullRequest(pr, fullName));
+    }
+
+    // Review states, CI checks and linked issues (GitHub: batched GraphQL queries).
+    // GraphQL has no patch text, so code snippets still need one files request per PR;
+    // with includeCode off the file list comes from the batched queries instead.
+    const includeCode = mc.fetchConfig?.includeCode !== false;
+    const withDetails = typeof source.fetchPullRequestDetails === 'function';
+    if (withDetails) {
+      const details = await source.fetchPullRequestDetails(owner, repoName, pullRequests, { files: !includeCode });
+      for (const pr of pullRequests) {
+        Object.assign(pr, details.get(pr.number) || {});
+      }
+    }
+    // Lifecycle events in the window (opened, reviewed, merged, …) – same rules as the CLI
+    pullRequests = pullRequests.map((pr) => withLifecycle(pr, startDate, endDate));
+
+    // Fetch file changes (with patches) for each PR
+    if (includeCode || !withDetails) {
+      for (const pr of pullRequests) {
+        try {
+          pr.files = await source.fetchPRFiles(owner, repoName, pr.number);
+        } catch {
+          pr.files = [];
+        }
+      }
+    }
+  } catch (err) {
+    // A revoked token or an outage must fail the run, not report "no activity"
+    throw new Error(`${provider} fetch error for ${fullName} – ${err.message}`);
+  }
+
+  // Reviews, commits and issue work count as activity too, not only authored PRs.
+  // Webhook events already supply reviews and commits; the rest still comes from the API.
+  try {
+    activity.push(...await source.fetchContributorActivity(owner, repoName, {
+      startDate,
+      endDate,
+      author: mc.githubUsername,
+      branches: mc.fetchConfig?.branches || [],
+      ...(useEvents && { types: ['review_comment', 'issue_opened', 'issue_closed'] }),
+    }));
+  } catch (err) {
+    throw new Error(`${provider} activity fetch error for ${fullName} – ${err.message}`);
+  }
+  // Attributed per repo so organization-wide summaries can group it
+  activity = activity.map((item) => ({ ...item, repository: fullName }));
+
+  // Monitoring scope: path filters (repo + contributor), bot authors and ignored labels
+  const scope = resolveScope(repo?.scope, mc.fetchConfig);
+  let excluded;
+  ({ pullRequests, activity, excluded } = applyScope(pullRequests, activity, scope));
+  if (excluded.bots + excluded.labels + excluded.paths > 0) {
+    console.log(`${label}: [debug] Out of scope: ${JSON.stringify(excluded)}`);
+  }
+
+  // Issues and Jira / Linear tickets the PRs reference, so the summary can be organized by ticket or epic
+  try {
+    pullRequests = await enrichWithTickets(pullRequests, {
+      github: provider === 'github' ? source : null,
+      owner,
+      repo: repoName,
+      trackers: createTicketTrackers(companyDoc?.settings?.integrations),
+    });
+    const ticketCount = new Set(pullRequests.flatMap((pr) => pr.tickets.map((ticket) => ticket.key))).size;
+    console.log(`${label}: [debug] Tickets resolved: ${ticketCount}`);
+  } catch (err) {
+    console.warn(`${label}: ticket lookup error – ${err.message}`);
+  }
+
+  return { pullRequests, activity, excluded };
+}
+
 /**
  * Execute a single monitored-contributor run.
  */
@@ -48,7 +298,7 @@ async function executeRun(mc) {
     monitoredContributorId: mc._id.toString(),
     companyId: mc.companyId.toString(),
     contributorId: mc.contributorId?.toString(),
-    repositoryId: mc.repositoryId?.toString(),
+    repositoryId: mc.repositoryId?.toString() || null,
     githubUsername: mc.githubUsername,
     repoFullName: mc.repoFullName,
     scheduledAt: mc.schedule?.nextRunAt || new Date(),
@@ -56,13 +306,12 @@ async function executeRun(mc) {
   });
 
   try {
-    // 2. Resolve the repo access token
-    let accessToken = process.env.GITHUB_TOKEN; // fallback
-    if (mc.repositoryId) {
-      const repo = await repositoryService.findById(mc.repositoryId.toString());
-      if (repo?.encryptedAccessToken) {
-        accessToken = repo.encryptedAccessToken;
-      }
+    // Company settings drive ticket lookups, AI provider selection and plan limits below
+    let companyDoc = null;
+    try {
+      companyDoc = await companyService.findById(mc.companyId.toString());
+    } catch (companyErr) {
+      console.warn(`${runLabel}: could not load company – ${companyErr.message}`);
     }
 
     // 3. Determine fetch window
@@ -81,78 +330,145 @@ async function executeRun(mc) {
       startDate = new Date(endDate.getTime() - 24 * 60 * 60 * 1000);
     }
 
-    // 4. Fetch PRs
-    const [owner, repoName] = mc.repoFullName.split('/');
-    const githubService = new GitHubService(accessToken, mc.githubUsername, [], 500);
-
-    // Use Octokit directly for per-user, per-repo PRs
-    const octokit = new Octokit({ auth: accessToken });
-    let pullRequests = [];
-    try {
-      const { data: prs } = await octokit.pulls.list({
-        owner,
-        repo: repoName,
-        state: 'all',
-        sort: 'updated',
-        direction: 'desc',
-        per_page: 100,
-      });
-
-      // Filter to this contributor's PRs within the date window
-      pullRequests = prs
-        .filter((pr) => {
-          const authorMatch = pr.user?.login?.toLowerCase() === mc.githubUsername.toLowerCase();
-          const updatedAt = new Date(pr.updated_at);
-          return authorMatch && updatedAt >= startDate && updatedAt <= endDate;
-        })
-        .map((pr) => ({
-          title: pr.title,
-          description: pr.body || '',
-          state: pr.state,
-          merged: !!pr.merged_at,
-          url: pr.html_url,
-          repository: mc.repoFullName,
-          createdAt: pr.created_at,
-          updatedAt: pr.updated_at,
-          number: pr.number,
-        }));
-
-      // Fetch file changes for each PR
-      for (const pr of pullRequests) {
-        try {
-          pr.files = await githubService.fetchPRFiles(owner, repoName, pr.number);
-        } catch {
-          pr.files = [];
-        }
+    // 4. Fetch from every repo the slot covers: one, or several with organization coverage
+    const targets = await resolveRunRepositories(mc);
+    const isOrganization = mc.coverage === 'organization';
+    console.log(`${runLabel}: [debug] Repositories: ${targets.map((target) => target.fullName).join(', ') || 'none'}`);
+    const pullRequests = [];
+    const activity = [];
+    const excluded = { bots: 0, labels: 0, paths: 0 };
+    const repositories = [];
+    const failedRepos = [];
+    for (const { repo, fullName } of targets) {
+      let fetched;
+      try {
+        fetched = await fetchRepoActivity(mc, repo, fullName, {
+          startDate,
+          endDate,
+          companyDoc,
+          label: isOrganization ? `${runLabel} [${fullName}]` : runLabel,
+        });
+      } catch (err) {
+        // One unreachable repo should not cost an organization-wide run the others
+        if (!isOrganization) throw err;
+        console.warn(`${runLabel}: skipping ${fullName} – ${err.message}`);
+        failedRepos.push(`${fullName} (${err.message})`);
+        continue;
       }
-    } catch (err) {
-      console.warn(`${runLabel}: GitHub fetch error – ${err.message}`);
+      pullRequests.push(...fetched.pullRequests);
+      activity.push(...fetched.activity);
+      for (const key of Object.keys(excluded)) excluded[key] += fetched.excluded[key];
+      repositories.push({
+        repoFullName: fullName,
+        totalPRsFetched: fetched.pullRequests.length,
+        prNumbers: fetched.pullRequests.map((pr) => pr.number),
+        activityCount: fetched.activity.length,
+      });
     }
-
-    const hasActivity = pullRequests.length > 0;
-    const prStats = { totalPRsFetched: pullRequests.length };
+    if (failedRepos.length > 0 && failedRepos.length === targets.length) {
+      throw new Error(`Could not fetch any covered repository: ${failedRepos.join('; ')}`);
+    }
+    const countActivity = (type) => activity.filter((item) => item.type === type).length;
+
+    const hasActivity = pullRequests.length > 0 || activity.length > 0;
+    const prStats = {
+      totalPRsFetched: pullRequests.length,
+      prNumbers: pullRequests.map((pr) => pr.number),
+      activity: {
+        commits: countActivity('commit'),
+        reviews: countActivity('review'),
+        reviewComments: countActivity('review_comment'),
+        issuesOpened: countActivity('issue_opened'),
+        issuesClosed: countActivity('issue_closed'),
+      },
+      lifecycle: summarizeLifecycle(pullRequests),
+      pullRequests: pullRequestLinks(pullRequests),
+      excluded,
+      repositories,
+    };
 
     console.log(`${runLabel}: [debug] PRs found: ${pullRequests.length}`);
+    console.log(`${runLabel}: [debug] PR lifecycle: ${JSON.stringify(prStats.lifecycle)}`);
+    console.log(`${runLabel}: [debug] Other activity: ${JSON.stringify(prStats.activity)}`);
     if (pullRequests.length > 0) {
       pullRequests.forEach((pr, i) => {
-        console.log(`${runLabel}: [debug]   PR${i + 1}: #${pr.number} "${pr.title}" (${pr.state}${pr.merged ? ', merged' : ''}) files=${pr.files?.length || 0}`);
+        console.log(`${runLabel}: [debug]   PR${i + 1}: ${isOrganization ? pr.repository : ''}#${pr.number} "${pr.title}" (${pr.state}${pr.draft ? ', draft' : ''}) files=${pr.files?.length || 0}`);
       });
     }
 
+    // Scrub secrets / PII from titles, descriptions and patches before anything reaches the LLM
+    const redactionService = new RedactionService(companyDoc?.settings?.redaction || {});
+    const {
+      pullRequests: redactedPRs,
+      activity: redactedActivity,
+      stats: redactionStats,
+    } = redactionService.redactPullRequests(pullRequests, activity);
+    console.log(`${runLabel}: [debug] Redaction: ${redactionStats.totalRedactions} value(s), ${redactionStats.skippedFiles} file(s) skipped`);
+
+    // The summary is written in the company locale; recipients with another locale get a translation
+    const companyLocale = companyDoc?.settings?.locale || null;
+    const baseLocale = companyLocale || DEFAULT_LOCALE;
+
+    // {{variables}} of the prompt template and the email template
+    const templateVariables = buildTemplateVariables({
+      githubUsername: mc.githubUsername,
+      repoFullName: mc.repoFullName,
+      companyName: companyDoc?.name,
+      from: startDate,
+      to: endDate,
+      prCount: pullRequests.length,
+    });
+
     // 5. Generate AI summary (only if there's activity)
     let aiSummary = null;
-    if (hasActivity) {
+    let structuredSummary = null;
+    let structuredSummaryError = null;
+    let aiService = null;
+    let aiCacheStats = null;
+    // ── Plan-limit guard: no new AI requests once the monthly token allowance is used up ──
+    const maxAiTokens = companyDoc?.subscription?.limits?.maxAiTokensPerMonth ?? null;
+    const aiTokensUsed = companyDoc?.subscription?.usage?.aiTokensThisMonth ?? 0;
+    const aiLimitReached = maxAiTokens !== null && aiTokensUsed >= maxAiTokens;
+    if (hasActivity && aiLimitReached) {
+      console.log(`${runLabel}: AI summary skipped – monthly AI token limit reached (${aiTokensUsed}/${maxAiTokens})`);
+    } else if (hasActivity) {
       try {
-        console.log(`${runLabel}: [debug] Generating AI summary with model=${process.env.GEMINI_MODEL || 'gemini-2.5-flash'}...`);
-        const aiService = new AIService(
-          process.env.GEMINI_API_KEY,
-          process.env.GEMINI_MODEL || 'gemini-2.5-flash',
-        );
-        aiSummary = await aiService.generateEmailContent(
-          pullRequests,
-          `Generate a concise status update for ${mc.githubUsername} on ${mc.repoFullName}.`,
-        );
-        console.log(`${runLabel}: [debug] AI summary generated – length=${aiSummary?.length || 0} chars`);
+        // Monitored-contributor override → company setting → environment default
+        const aiConfig = resolveAIConfig(mc.aiConfig, companyDoc?.settings?.aiConfig);
+        console.log(`${runLabel}: [debug] Generating AI summary with provider=${aiConfig.provider}, model=${aiConfig.model}...`);
+        aiService = new AIService({
+          ...aiConfig,
+          tokenBudget: companyDoc?.subscription?.limits?.aiPromptTokenBudget,
+          // Reuse summaries of unchanged PRs across manual triggers and overlapping windows
+          cache: aiSummaryCacheService,
+          cacheScope: mc.companyId.toString(),
+          redactionKey: redactionService.settingsKey(),
+        });
+        // Monitored-contributor template → company default template → built-in instructions
+        const template = mc.promptTemplateId
+          ? await promptTemplateService.findById(mc.promptTemplateId.toString())
+          : await promptTemplateService.findDefault(mc.companyId.toString());
+        const instructions = renderPromptTemplate(template, templateVariables);
+        console.log(`${runLabel}: [debug] Prompt template: ${template ? `"${template.name}"` : 'built-in default'}`);
+
+        // Contributor-written context: the slot's note and their selected saved template
+        const contributorTemplate = mc.contributorTemplateId && mc.contributorId
+          ? await contributorAccountService.findTemplate(mc.contributorId.toString(), mc.contributorTemplateId)
+          : null;
+        console.log(`${runLabel}: [debug] Contributor input: note=${!!mc.contributorNote}, template=${contributorTemplate ? `"${contributorTemplate.title}"` : 'none'}`);
+        const statusUpdate = await aiService.generateStatusUpdate(redactedPRs, instructions, {
+          note: mc.contributorNote,
+          template: contributorTemplate,
+        }, {
+          locale: companyLocale || undefined,
+          activity: redactedActivity,
+        });
+        structuredSummary = statusUpdate.structuredSummary;
+        aiSummary = statusUpdate.emailContent;
+        structuredSummaryError = statusUpdate.structuredSummaryError || null;
+        aiCacheStats = aiService.cacheStats;
+        console.log(`${runLabel}: [debug] AI cache: update ${aiCacheStats.hit ? 'hit' : 'miss'}, PR summaries ${aiCacheStats.prSummaryHits} hit(s) / ${aiCacheStats.prSummaryMisses} miss(es)`);
+        console.log(`${runLabel}: [debug] AI summary generated – length=${aiSummary?.length || 0} chars, structured=${!!structuredSummary}`);
         console.log(`${runLabel}: [debug] AI summary preview: ${(aiSummary || '').substring(0, 200)}...`);
       } catch (err) {
         console.warn(`${runLabel}: AI generation error – ${err.message}`);
@@ -162,84 +478,127 @@ async function executeRun(mc) {
       console.log(`${runLabel}: [debug] No activity – skipping AI summary`);
     }
 
-    // 6. Send email (if recipients configured and there's activity)
+    // 6. Send email (if recipients configured and there's activity) – one email per recipient locale
     let emailStatus = { status: 'skipped', sentAt: null, recipients: [], failureReason: null };
-    const recipients = (mc.emailConfig?.recipients || []).map((r) => r.email || r).filter(Boolean);
+    const outboxEntries = [];
+    const localizedSummaries = [];
+    const recipientGroups = groupRecipientsByLocale(mc.emailConfig?.recipients || [], baseLocale);
+    const recipients = recipientGroups.flatMap((group) => group.recipients);
 
-    console.log(`${runLabel}: [debug] Email decision: hasActivity=${hasActivity}, aiSummary=${!!aiSummary}, recipients=${JSON.stringify(recipients)}`);
+    console.log(`${runLabel}: [debug] Email decision: hasActivity=${hasActivity}, aiSummary=${!!aiSummary}, recipients=${JSON.stringify(recipients)}, locales=${recipientGroups.map((g) => g.locale).join(',')}`);
     console.log(`${runLabel}: [debug] Raw emailConfig: ${JSON.stringify(mc.emailConfig)}`);
-    console.log(`${runLabel}: [debug] EMAIL_USER=${process.env.EMAIL_USER}, EMAIL_SERVICE=${process.env.EMAIL_SERVICE || 'gmail'}`);
 
     if (hasActivity && aiSummary && recipients.length > 0) {
-      // ── Plan-limit guard: check email quota before sending ──
-      let emailLimitReached = false;
-      try {
-        const companyDoc = await companyService.findById(mc.companyId.toString());
-        if (companyDoc) {
-          const maxEmails = companyDoc.subscription?.limits?.maxEmailsPerMonth ?? 50;
-          const sentEmails = companyDoc.subscription?.usage?.emailsSentThisMonth ?? 0;
-          if (sentEmails >= maxEmails) {
-            emailLimitReached = true;
-            emailStatus = {
-              status: 'skipped',
-              sentAt: null,
-              recipients,
-              failureReason: `Monthly email limit reached (${maxEmails}). Upgrade your plan to send more.`,
-            };
-            console.log(`${runLabel}: email skipped – monthly limit reached (${sentEmails}/${maxEmails})`);
-          }
+      const maxEmails = companyDoc?.subscription?.limits?.maxEmailsPerMonth ?? 50;
+      let sentEmails = companyDoc?.subscription?.usage?.emailsSentThisMonth ?? 0;
+      const deliveries = [];
+      // Monitored-contributor template → company default template → built-in subject and footer
+      const emailTemplate = await findEmailTemplate(mc.companyId, mc.emailTemplateId);
+      console.log(`${runLabel}: [debug] Email template: ${emailTemplate ? `"${emailTemplate.name}"` : 'built-in default'}`);
+
+      for (const group of recipientGroups) {
+        // ── Plan-limit guard: every locale email counts against the monthly quota ──
+        if (companyDoc && sentEmails >= maxEmails) {
+          deliveries.push({
+            locale: group.locale,
+            recipients: group.recipients,
+            status: 'skipped',
+            sentAt: null,
+            failureReason: `Monthly email limit reached (${maxEmails}). Upgrade your plan to send more.`,
+          });
+          console.log(`${runLabel}: ${group.locale} email skipped – monthly limit reached (${sentEmails}/${maxEmails})`);
+          continue;
         }
-      } catch (limitErr) {
-        console.warn(`${runLabel}: could not check email limit – ${limitErr.message}`);
-      }
 
-      if (!emailLimitReached) {
-        try {
-          const emailService = new EmailService({
-            service: process.env.EMAIL_SERVICE || 'gmail',
-            user: process.env.EMAIL_USER,
-            appPassword: process.env.EMAIL_APP_PASSWORD,
-          });
-          const subject = `Status Update: ${mc.githubUsername} – ${mc.repoFullName}`;
-          console.log(`${runLabel}: [debug] Sending email – from=${process.env.EMAIL_USER}, to=${recipients.join(', ')}, subject="${subject}"`);
-          await emailService.sendEmail(recipients.join(','), subject, aiSummary);
-          emailStatus = { status: 'sent', sentAt: new Date(), recipients, failureReason: null };
-          console.log(`${runLabel}: email sent to ${recipients.join(', ')}`);
-
-          // Increment email usage counter
-          await companyService.incrementUsage(mc.companyId.toString(), 'emailsSentThisMonth');
-        } catch (err) {
-          emailStatus = { status: 'failed', sentAt: null, recipients, failureReason: err.message };
-          console.warn(`${runLabel}: email send error – ${err.message}`);
-          console.warn(`${runLabel}: [debug] email error stack: ${err.stack}`);
+        let content = aiSummary;
+        if (group.locale !== baseLocale) {
+          try {
+            const translated = await aiService.translateStatusUpdate({ structuredSummary, emailContent: aiSummary }, group.locale);
+            content = translated.emailContent;
+            localizedSummaries.push({
+              locale: group.locale,
+              aiSummary: translated.emailContent,
+              structuredSummary: translated.structuredSummary,
+            });
+          } catch (err) {
+            console.warn(`${runLabel}: translation to ${group.locale} failed, sending the ${baseLocale} version – ${err.message}`);
+          }
         }
+
+        // Delivered after the run is recorded; failures are retried by the outbox worker
+        const { subject, text, html } = renderRunEmail({
+          markdown: content,
+          locale: group.locale,
+          company: companyDoc,
+          template: emailTemplate,
+          variables: templateVariables,
+          pullRequests: prStats.pullRequests,
+        });
+        const { entry, delivery } = await enqueueRunEmail({
+          run,
+          monitoredContributorId: mc._id,
+          locale: group.locale,
+          recipients: group.recipients,
+          subject,
+          text,
+          html,
+        });
+        outboxEntries.push(entry);
+        deliveries.push(delivery);
+        sentEmails += 1;
       }
+
+      emailStatus = summarizeDeliveries(recipients, deliveries);
     } else {
       const reason = !hasActivity
         ? 'No activity'
-        : !aiSummary
-          ? 'AI summary generation failed'
-          : 'No recipients configured';
+        : aiLimitReached
+          ? `Monthly AI token limit reached (${maxAiTokens}). Upgrade your plan to generate more summaries.`
+          : !aiSummary
+            ? 'AI summary generation failed'
+            : 'No recipients configured';
       emailStatus = { status: 'skipped', sentAt: null, recipients, failureReason: reason };
       console.log(`${runLabel}: [debug] Email skipped – reason: ${reason}`);
     }
 
+    // Token usage and estimated cost of everything this run asked the model (summary + translations)
+    const aiUsage = aiService ? aiService.getUsageSummary() : null;
+    if (aiUsage && aiUsage.totalTokens > 0) {
+      await companyService.incrementUsage(mc.companyId.toString(), 'aiTokensThisMonth', aiUsage.totalTokens);
+      if (aiUsage.estimatedCostUsd) {
+        await companyService.incrementUsage(mc.companyId.toString(), 'aiCostThisMonthUsd', aiUsage.estimatedCostUsd);
+      }
+      console.log(`${runLabel}: [debug] AI usage: ${aiUsage.requests} request(s), ${aiUsage.totalTokens} tokens, cost=${aiUsage.estimatedCostUsd ?? 'unknown'} USD`);
+    }
+
     // 7. Complete the run record
     await summaryRunService.completeRun(run._id.toString(), {
       fetchWindow: { from: startDate, to: endDate },
       prStats,
       hasActivity,
       aiSummary,
+      structuredSummary,
+      structuredSummaryError,
       contributorNoteSnapshot: mc.contributorNote || null,
+      redactionStats,
+      localizedSummaries,
+      aiCacheStats,
+      aiUsage,
     });
     await summaryRunService.updateEmailStatus(run._id.toString(), emailStatus);
 
+    // First delivery attempt for each enqueued email; each updates the run's emailStatus
+    const deliveryResults = [];
+    for (const entry of outboxEntries) {
+      deliveryResults.push(await deliverOutboxEmail(entry));
+    }
+
     // 8. Compute next run and update the monitored contributor
     const nextRunAt = calculateNextRunAt(mc.schedule);
     await monitoredContributorService.recordRunCompleted(mc._id.toString(), nextRunAt);
 
     console.log(
-      `${runLabel}: completed – ${prStats.totalPRsFetched} PRs, email=${emailStatus.status}, nextRun=${nextRunAt?.toISOString() ?? 'none'}`,
+      `${runLabel}: completed – ${prStats.totalPRsFetched} PRs, email=${deliveryResults.length > 0 ? deliveryResults.join(',') : emailStatus.status}, nextRun=${nextRunAt?.toISOString() ?? 'none'}`,
     );
   } catch (err) {
     console.error(`${runLabel}: run failed – ${err.message}`);
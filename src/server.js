@@ -9,6 +9,7 @@ const { createApp } = require('./api/app');
 const { getMongoConnection } = require('./database/mongodb');
 const { initAllCollections } = require('./database/initCollections');
 const { startScheduler } = require('./scheduler');
+const { startOutboxWorker } = require('./outboxWorker');
 
 const PORT = process.env.PORT || 3000;
 
@@ -33,8 +34,9 @@ async function startServer() {
       console.log(`    Health check: http://localhost:${PORT}/health`);
       console.log(`    API base:     http://localhost:${PORT}/v1\n`);
 
-      // Start the in-process scheduler after the server is ready
+      // Start the in-process scheduler and email outbox worker after the server is ready
       startScheduler();
+      startOutboxWorker();
     });
   } catch (err) {
     console.error('Failed to start server:', err);
@@ -0,0 +1,329 @@
+const RestClient = require('./restClient');
+const { truncatePatch, splitUnifiedDiff } = require('./patch');
+const { ACTIVITY_TYPES } = require('../githubService');
+
+const DEFAULT_BASE_URL = 'https://api.bitbucket.org/2.0';
+const PAGE_LEN = 50;
+const PR_STATES = ['OPEN', 'MERGED', 'DECLINED', 'SUPERSEDED'];
+const CLOSED_ISSUE_STATES = ['resolved', 'closed', 'invalid', 'duplicate', 'wontfix'];
+// Commits scanned per repo when deriving contributors (Bitbucket has no contributors endpoint)
+const CONTRIBUTOR_SAMPLE_PAGES = 3;
+
+/**
+ * Source provider for Bitbucket Cloud pull requests.
+ * Implements the same interface as GitHubService; pull requests are
+ * returned in the GitHub pull request shape so callers need no branching.
+ */
+class BitbucketProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.token - Repository/workspace access token, or "username:app_password"
+   * @param {string} [options.baseUrl] - API root override
+   * @param {number} [options.maxCharsPerFile] - Patch characters kept per file
+   * @param {number} [options.maxFilesPerPR] - Files fetched per PR
+   */
+  constructor({ token, baseUrl, maxCharsPerFile = 500, maxFilesPerPR = 100 }) {
+    this.name = 'bitbucket';
+    this.maxCharsPerFile = maxCharsPerFile;
+    this.maxFilesPerPR = maxFilesPerPR;
+    // App passwords use basic auth; access tokens are bearer tokens
+    const authorization = token.includes(':')
+      ? `Basic ${Buffer.from(token).toString('base64')}`
+      : `Bearer ${token}`;
+    this.client = new RestClient({
+      name: 'Bitbucket',
+      baseUrl: baseUrl || DEFAULT_BASE_URL,
+      headers: { Authorization: authorization, Accept: 'application/json' },
+    });
+  }
+
+  /**
+   * API path of a repository.
+   * @param {string} owner - Workspace ID
+   * @param {string} repo - Repository slug
+   * @returns {string}
+   */
+  repoPath(owner, repo) {
+    return `/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  /**
+   * Whether a Bitbucket user object is the given login (nickname, account ID or UUID).
+   * @param {object|null} user
+   * @param {string} login - Lower-cased login
+   * @returns {boolean}
+   */
+  isUser(user, login) {
+    return [user?.nickname, user?.username, user?.account_id, user?.uuid]
+      .some(value => typeof value === 'string' && value.toLowerCase() === login);
+  }
+
+  /**
+   * Follow `next` links through a paginated list.
+   * @param {string} path
+   * @param {object} [query]
+   * @param {Function} [shouldStop] - Called with each page and all items so far; return true to stop early
+   * @returns {Promise<Array>}
+   */
+  async listAllPages(path, query = {}, shouldStop = () => false) {
+    const items = [];
+    let next = this.client.url(path, { ...query, pagelen: PAGE_LEN });
+    while (next) {
+      const { data } = await this.client.get(next);
+      items.push(...data.values);
+      if (shouldStop(data.values, items)) break;
+      next = data.next || null;
+    }
+    return items;
+  }
+
+  /**
+   * Look up a repository (validates access for onboarding).
+   * @param {string} owner
+   * @param {string} repo
+   * @returns {Promise<{id: string, fullName: string, isPrivate: boolean, defaultBranch: string|null, webUrl: string}>}
+   */
+  async getRepository(owner, repo) {
+    const { data } = await this.client.get(this.repoPath(owner, repo));
+    return {
+      id: data.uuid,
+      fullName: data.full_name,
+      isPrivate: !!data.is_private,
+      defaultBranch: data.mainbranch?.name || null,
+      webUrl: data.links?.html?.href,
+    };
+  }
+
+  /**
+   * Derive contributors from the authors of recent commits on the main branch.
+   * @param {string} owner
+   * @param {string} repo
+   * @returns {Promise<Array<{login: string, id: string, avatarUrl: string|null, contributions: number}>>}
+   */
+  async listContributors(owner, repo) {
+    let pages = 0;
+    const commits = await this.listAllPages(`${this.repoPath(owner, repo)}/commits`, {}, () => ++pages >= CONTRIBUTOR_SAMPLE_PAGES);
+    const byUser = new Map();
+    for (const commit of commits) {
+      const user = commit.author?.user;
+      if (!user?.nickname) continue;
+      const entry = byUser.get(user.account_id || user.nickname) || {
+        login: user.nickname,
+        id: user.account_id || user.uuid,
+        avatarUrl: user.links?.avatar?.href || null,
+        contributions: 0,
+      };
+      entry.contributions++;
+      byUser.set(user.account_id || user.nickname, entry);
+    }
+    return [...byUser.values()].sort((a, b) => b.contributions - a.contributions);
+  }
+
+  /**
+   * Convert a Bitbucket pull request to the GitHub pull request fields callers use.
+   * @param {object} pr
+   * @returns {object}
+   */
+  toPullRequest(pr) {
+    return {
+      number: pr.id,
+      title: pr.title,
+      body: pr.description ?? pr.summary?.raw ?? '',
+      state: pr.state === 'OPEN' ? 'open' : 'closed',
+      // Bitbucket has no merge timestamp; a merged PR's last update is its merge
+      merged_at: pr.state === 'MERGED' ? pr.updated_on : null,
+      closed_at: pr.state === 'OPEN' ? null : pr.updated_on,
+      draft: !!pr.draft,
+      html_url: pr.links?.html?.href,
+      created_at: pr.created_on,
+      updated_at: pr.updated_on,
+      head: { sha: pr.source?.commit?.hash || null, ref: pr.source?.branch?.name || null },
+      user: { login: pr.author?.nickname || null },
+    };
+  }
+
+  /**
+   * List every pull request (any author) updated within a window, newest first.
+   * @param {string} owner
+   * @param {string} repo
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>} Raw Bitbucket pull requests
+   */
+  async listUpdatedPullRequests(owner, repo, startDate, endDate) {
+    return this.listAllPages(`${this.repoPath(owner, repo)}/pullrequests`, {
+      state: PR_STATES,
+      q: `updated_on >= ${startDate.toISOString()} AND updated_on <= ${endDate.toISOString()}`,
+      sort: '-updated_on',
+    });
+  }
+
+  /**
+   * Fetch a repository's pull requests by `author` updated within a window.
+   * Bitbucket has no conditional list requests, so `etag` is always null.
+   * @param {string} owner
+   * @param {string} repo
+   * @param {object} options
+   * @param {Date} options.startDate
+   * @param {Date} options.endDate
+   * @param {string} [options.author] - Bitbucket nickname or account ID
+   * @returns {Promise<{pullRequests: Array, etag: null, syncedAt: Date, notModified: boolean}>}
+   */
+  async fetchUpdatedPullRequests(owner, repo, { startDate, endDate, author }) {
+    const syncedAt = new Date();
+    const login = author ? author.toLowerCase() : null;
+    const pullRequests = (await this.listUpdatedPullRequests(owner, repo, startDate, endDate))
+      .filter(pr => !login || this.isUser(pr.author, login))
+      .map(pr => this.toPullRequest(pr));
+    return { pullRequests, etag: null, syncedAt, notModified: false };
+  }
+
+  /**
+   * Fetch files changed in a PR: line counts from the diffstat, patches from the raw diff.
+   * @param {string} owner
+   * @param {string} repo
+   * @param {number} prNumber
+   * @returns {Promise<Array>} Array of file change objects
+   */
+  async fetchPRFiles(owner, repo, prNumber) {
+    try {
+      const prPath = `${this.repoPath(owner, repo)}/pullrequests/${prNumber}`;
+      const stats = await this.listAllPages(`${prPath}/diffstat`, {}, (page, all) => all.length > this.maxFilesPerPR);
+      if (stats.length > this.maxFilesPerPR) {
+        console.warn(`PR #${prNumber} changes more than ${this.maxFilesPerPR} files; only the first ${this.maxFilesPerPR} are included`);
+      }
+
+      let patches = new Map();
+      try {
+        const { data: diff } = await this.client.get(`${prPath}/diff`, { text: true });
+        patches = splitUnifiedDiff(diff);
+      } catch (error) {
+        console.warn(`Could not fetch diff for PR #${prNumber}: ${error.message}`);
+      }
+
+      return stats.slice(0, this.maxFilesPerPR).map(stat => {
+        const filename = stat.new?.path || stat.old?.path;
+        return {
+          filename,
+          status: stat.status,
+          additions: stat.lines_added,
+          deletions: stat.lines_removed,
+          changes: stat.lines_added + stat.lines_removed,
+          patch: truncatePatch(patches.get(filename), this.maxCharsPerFile),
+        };
+      });
+    } catch (error) {
+      console.warn(`Could not fetch files for PR #${prNumber}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Gather a user's non-PR activity: authored commits, approvals / change
+   * requests and comments on pull requests, and issues opened or closed
+   * (when the repository has an issue tracker).
+   * @param {string} owner
+   * @param {string} repo
+   * @param {object} options - Same options as GitHubService.fetchContributorActivity()
+   * @returns {Promise<Array<{type: string}>>}
+   */
+  async fetchContributorActivity(owner, repo, { startDate, endDate, author, branches = [], types = ACTIVITY_TYPES }) {
+    const login = author.toLowerCase();
+    const inWindow = date => !!date && new Date(date) >= startDate && new Date(date) <= endDate;
+    const activity = [];
+
+    const collect = async (label, covers, fetcher) => {
+      if (!covers.some(type => types.includes(type))) return;
+      try {
+        activity.push(...(await fetcher()).filter(item => types.includes(item.type)));
+      } catch (error) {
+        console.warn(`  Warning: Could not fetch ${label} for ${owner}/${repo}: ${error.message}`);
+      }
+    };
+
+    await collect('commits', ['commit'], async () => {
+      const scanned = branches.length > 0 ? branches : [(await this.getRepository(owner, repo)).defaultBranch];
+      const seen = new Set();
+      const items = [];
+      for (const branch of scanned.filter(Boolean)) {
+        // Newest first: stop once a page reaches commits older than the window
+        const commits = await this.listAllPages(
+          `${this.repoPath(owner, repo)}/commits/${encodeURIComponent(branch)}`,
+          {},
+          page => page.some(commit => new Date(commit.date) < startDate),
+        );
+        for (const commit of commits) {
+          if (seen.has(commit.hash) || (commit.parents || []).length > 1) continue;
+          if (!this.isUser(commit.author?.user, login) || !inWindow(commit.date)) continue;
+          seen.add(commit.hash);
+          items.push({ type: 'commit', sha: commit.hash, message: commit.message, branch, url: commit.links?.html?.href, date: commit.date });
+        }
+      }
+      return items;
+    });
+
+    await collect('reviews', ['review', 'review_comment'], async () => {
+      const items = [];
+      for (const pr of await this.listUpdatedPullRequests(owner, repo, startDate, endDate)) {
+        const ownPR = this.isUser(pr.author, login);
+        const entries = await this.listAllPages(
+          `${this.repoPath(owner, repo)}/pullrequests/${pr.id}/activity`,
+          {},
+          page => page.some(entry => new Date(entry.update?.date || entry.approval?.date || entry.comment?.created_on || 0) < startDate),
+        );
+        for (const entry of entries) {
+          const decision = entry.approval
+            ? { ...entry.approval, state: 'APPROVED' }
+            : entry.changes_requested
+              ? { ...entry.changes_requested, state: 'CHANGES_REQUESTED' }
+              : null;
+          if (decision && !ownPR && this.isUser(decision.user, login) && inWindow(decision.date)) {
+            items.push({ type: 'review', prNumber: pr.id, prTitle: pr.title, prAuthor: pr.author?.nickname || null, state: decision.state, body: '', url: pr.links?.html?.href, date: decision.date });
+          }
+          const { comment } = entry;
+          if (comment && this.isUser(comment.user, login) && inWindow(comment.created_on)) {
+            items.push({
+              type: 'review_comment',
+              prNumber: pr.id,
+              path: comment.inline?.path || null,
+              body: comment.content?.raw || '',
+              url: comment.links?.html?.href,
+              date: comment.created_on,
+            });
+          }
+        }
+      }
+      return items;
+    });
+
+    await collect('issues', ['issue_opened', 'issue_closed'], async () => {
+      let issues;
+      try {
+        issues = await this.listAllPages(`${this.repoPath(owner, repo)}/issues`, {
+          q: `updated_on >= ${startDate.toISOString()}`,
+          sort: '-updated_on',
+        });
+      } catch (error) {
+        if (error.status === 404) return []; // issue tracker disabled
+        throw error;
+      }
+      const items = [];
+      for (const issue of issues) {
+        const base = { number: issue.id, title: issue.title, state: issue.state, url: issue.links?.html?.href };
+        if (this.isUser(issue.reporter, login) && inWindow(issue.created_on)) {
+          items.push({ type: 'issue_opened', ...base, body: issue.content?.raw || '', date: issue.created_on });
+        }
+        // Bitbucket records no close time; a closed issue's last update stands in for it
+        const involved = this.isUser(issue.reporter, login) || this.isUser(issue.assignee, login);
+        if (involved && CLOSED_ISSUE_STATES.includes(issue.state) && inWindow(issue.updated_on)) {
+          items.push({ type: 'issue_closed', ...base, body: '', date: issue.updated_on });
+        }
+      }
+      return items;
+    });
+
+    return activity;
+  }
+}
+
+module.exports = BitbucketProvider;
@@ -0,0 +1,254 @@
+const RestClient = require('./restClient');
+const { truncatePatch, countPatchLines } = require('./patch');
+const { ACTIVITY_TYPES } = require('../githubService');
+
+const DEFAULT_BASE_URL = 'https://gitlab.com';
+const PER_PAGE = 100;
+
+/**
+ * Source provider for GitLab (gitlab.com or self-hosted) merge requests.
+ * Implements the same interface as GitHubService; merge requests are
+ * returned in the GitHub pull request shape so callers need no branching.
+ */
+class GitLabProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.token - Personal, project or group access token (read_api)
+   * @param {string} [options.baseUrl] - Instance URL, e.g. https://gitlab.example.com
+   * @param {number} [options.maxCharsPerFile] - Patch characters kept per file
+   * @param {number} [options.maxFilesPerPR] - Files fetched per merge request
+   */
+  constructor({ token, baseUrl, maxCharsPerFile = 500, maxFilesPerPR = 100 }) {
+    this.name = 'gitlab';
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '').replace(/\/api\/v4$/, '');
+    this.maxCharsPerFile = maxCharsPerFile;
+    this.maxFilesPerPR = maxFilesPerPR;
+    this.client = new RestClient({
+      name: 'GitLab',
+      baseUrl: `${this.baseUrl}/api/v4`,
+      headers: { 'PRIVATE-TOKEN': token },
+    });
+  }
+
+  /**
+   * API path of a project; `owner` may contain nested groups.
+   * @param {string} owner
+   * @param {string} repo
+   * @returns {string}
+   */
+  projectPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  /**
+   * Fetch every page of a list endpoint.
+   * @param {string} path
+   * @param {object} [query]
+   * @param {Function} [shouldStop] - Called with each page and all items so far; return true to stop early
+   * @returns {Promise<Array>}
+   */
+  async listAllPages(path, query = {}, shouldStop = () => false) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const { data } = await this.client.get(path, { query: { ...query, per_page: PER_PAGE, page } });
+      items.push(...data);
+      if (data.length < PER_PAGE || shouldStop(data, items)) break;
+    }
+    return items;
+  }
+
+  /**
+   * Look up a project (validates access for onboarding).
+   * @param {string} owner - Group path, e.g. "acme/platform"
+   * @param {string} repo - Project path
+   * @returns {Promise<{id: number, fullName: string, isPrivate: boolean, defaultBranch: string|null, webUrl: string}>}
+   */
+  async getRepository(owner, repo) {
+    const { data } = await this.client.get(this.projectPath(owner, repo));
+    return {
+      id: data.id,
+      fullName: data.path_with_namespace,
+      isPrivate: data.visibility !== 'public',
+      defaultBranch: data.default_branch || null,
+      webUrl: data.web_url,
+    };
+  }
+
+  /**
+   * List project members as contributor candidates. GitLab does not count
+   * contributions per user, so `contributions` is null.
+   * @param {string} owner
+   * @param {string} repo
+   * @returns {Promise<Array<{login: string, id: number, avatarUrl: string|null, contributions: number|null}>>}
+   */
+  async listContributors(owner, repo) {
+    const members = await this.listAllPages(`${this.projectPath(owner, repo)}/members/all`);
+    return members
+      .filter(member => member.state === 'active' && !member.bot)
+      .map(member => ({
+        login: member.username,
+        id: member.id,
+        avatarUrl: member.avatar_url || null,
+        contributions: null,
+      }));
+  }
+
+  /**
+   * Convert a merge request to the GitHub pull request fields callers use.
+   * @param {object} mr
+   * @returns {object}
+   */
+  toPullRequest(mr) {
+    return {
+      number: mr.iid,
+      title: mr.title,
+      body: mr.description || '',
+      state: mr.state === 'opened' ? 'open' : 'closed',
+      merged_at: mr.merged_at || null,
+      closed_at: mr.closed_at || mr.merged_at || null,
+      draft: !!(mr.draft || mr.work_in_progress),
+      html_url: mr.web_url,
+      created_at: mr.created_at,
+      updated_at: mr.updated_at,
+      head: { sha: mr.sha || null, ref: mr.source_branch || null },
+      user: { login: mr.author?.username || null },
+    };
+  }
+
+  /**
+   * Fetch a project's merge requests by `author` updated within a window.
+   * GitLab has no conditional list requests, so `etag` is always null.
+   * @param {string} owner
+   * @param {string} repo
+   * @param {object} options
+   * @param {Date} options.startDate
+   * @param {Date} options.endDate
+   * @param {string} [options.author] - GitLab username
+   * @returns {Promise<{pullRequests: Array, etag: null, syncedAt: Date, notModified: boolean}>}
+   */
+  async fetchUpdatedPullRequests(owner, repo, { startDate, endDate, author }) {
+    const syncedAt = new Date();
+    const mergeRequests = await this.listAllPages(`${this.projectPath(owner, repo)}/merge_requests`, {
+      scope: 'all',
+      author_username: author,
+      updated_after: startDate.toISOString(),
+      updated_before: endDate.toISOString(),
+      order_by: 'updated_at',
+      sort: 'desc',
+    });
+    return { pullRequests: mergeRequests.map(mr => this.toPullRequest(mr)), etag: null, syncedAt, notModified: false };
+  }
+
+  /**
+   * Fetch files changed in a merge request with truncated patches.
+   * @param {string} owner
+   * @param {string} repo
+   * @param {number} prNumber - Merge request IID
+   * @returns {Promise<Array>} Array of file change objects
+   */
+  async fetchPRFiles(owner, repo, prNumber) {
+    try {
+      const diffs = await this.listAllPages(
+        `${this.projectPath(owner, repo)}/merge_requests/${prNumber}/diffs`,
+        {},
+        (page, all) => all.length > this.maxFilesPerPR,
+      );
+      if (diffs.length > this.maxFilesPerPR) {
+        console.warn(`MR !${prNumber} changes more than ${this.maxFilesPerPR} files; only the first ${this.maxFilesPerPR} are included`);
+      }
+
+      return diffs.slice(0, this.maxFilesPerPR).map(diff => {
+        const { additions, deletions } = countPatchLines(diff.diff);
+        const status = diff.new_file ? 'added' : diff.deleted_file ? 'removed' : diff.renamed_file ? 'renamed' : 'modified';
+        return {
+          filename: diff.deleted_file ? diff.old_path : diff.new_path,
+          status,
+          additions,
+          deletions,
+          changes: additions + deletions,
+          patch: truncatePatch(diff.diff, this.maxCharsPerFile),
+        };
+      });
+    } catch (error) {
+      console.warn(`Could not fetch files for MR !${prNumber}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Gather a user's non-MR activity from the project's event feed: pushed
+   * commits, merge request approvals and comments, and issues opened or
+   * closed by them.
+   * @param {string} owner
+   * @param {string} repo
+   * @param {object} options - Same options as GitHubService.fetchContributorActivity()
+   * @returns {Promise<Array<{type: string}>>}
+   */
+  async fetchContributorActivity(owner, repo, { startDate, endDate, author, branches = [], types = ACTIVITY_TYPES }) {
+    const login = author.toLowerCase();
+    const inWindow = date => !!date && new Date(date) >= startDate && new Date(date) <= endDate;
+    const project = await this.getRepository(owner, repo);
+    const scannedBranches = branches.length > 0 ? branches : [project.defaultBranch];
+    const isoDate = (date, offsetDays) => new Date(date.getTime() + offsetDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    // `after` / `before` are exclusive dates, so widen by a day and filter precisely below
+    const events = (await this.listAllPages(`${this.projectPath(owner, repo)}/events`, {
+      after: isoDate(startDate, -1),
+      before: isoDate(endDate, 1),
+      sort: 'desc',
+    })).filter(event => event.author?.username?.toLowerCase() === login && inWindow(event.created_at));
+
+    const activity = [];
+    const seenCommits = new Set();
+    for (const event of events) {
+      const action = event.action_name;
+      const mrUrl = iid => `${project.webUrl}/-/merge_requests/${iid}`;
+      const issueUrl = iid => `${project.webUrl}/-/issues/${iid}`;
+
+      if (action?.startsWith('pushed') && event.push_data?.ref_type === 'branch' && types.includes('commit')) {
+        const { ref, commit_to: head, commit_count: count } = event.push_data;
+        if (!head || !count || !scannedBranches.includes(ref)) continue;
+        try {
+          // The pushed commits are the `count` newest ancestors of the new head
+          const { data: commits } = await this.client.get(`${this.projectPath(owner, repo)}/repository/commits`, {
+            query: { ref_name: head, per_page: Math.min(count, PER_PAGE) },
+          });
+          for (const commit of commits) {
+            if (seenCommits.has(commit.id) || (commit.parent_ids || []).length > 1) continue;
+            seenCommits.add(commit.id);
+            activity.push({ type: 'commit', sha: commit.id, message: commit.message, branch: ref, url: commit.web_url, date: commit.authored_date });
+          }
+        } catch (error) {
+          console.warn(`  Warning: Could not fetch pushed commits for ${owner}/${repo}: ${error.message}`);
+        }
+      } else if (action === 'approved' && event.target_type === 'MergeRequest' && types.includes('review')) {
+        activity.push({ type: 'review', prNumber: event.target_iid, prTitle: event.target_title, state: 'APPROVED', body: '', url: mrUrl(event.target_iid), date: event.created_at });
+      } else if (action === 'commented on' && event.note?.noteable_type === 'MergeRequest' && types.includes('review_comment')) {
+        activity.push({
+          type: 'review_comment',
+          prNumber: event.note.noteable_iid,
+          path: event.note.position?.new_path || null,
+          body: event.note.body || '',
+          url: `${mrUrl(event.note.noteable_iid)}#note_${event.note.id}`,
+          date: event.created_at,
+        });
+      } else if (event.target_type === 'Issue' && (action === 'opened' || action === 'closed')) {
+        const type = action === 'opened' ? 'issue_opened' : 'issue_closed';
+        if (!types.includes(type)) continue;
+        activity.push({
+          type,
+          number: event.target_iid,
+          title: event.target_title,
+          state: action === 'opened' ? 'open' : 'closed',
+          url: issueUrl(event.target_iid),
+          body: '',
+          date: event.created_at,
+        });
+      }
+    }
+
+    return activity;
+  }
+}
+
+module.exports = GitLabProvider;
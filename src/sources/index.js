@@ -0,0 +1,60 @@
+/**
+ * Source providers: code hosts whose pull requests (or merge requests) are
+ * summarized. Every provider exposes the same interface as GitHubService:
+ *
+ *   name                                   – provider key
+ *   getRepository(owner, repo)             – { id, fullName, isPrivate, defaultBranch, webUrl }
+ *   listContributors(owner, repo)          – [{ login, id, avatarUrl, contributions }]
+ *   fetchUpdatedPullRequests(owner, repo, { startDate, endDate, author, etag, lastSyncedAt })
+ *   fetchPRFiles(owner, repo, number)
+ *   fetchContributorActivity(owner, repo, { startDate, endDate, author, branches, types })
+ *
+ * Pull requests are returned in GitHub's REST shape regardless of host.
+ */
+
+const GitHubService = require('../githubService');
+const GitLabProvider = require('./gitlabProvider');
+const BitbucketProvider = require('./bitbucketProvider');
+
+const SOURCE_PROVIDERS = ['github', 'gitlab', 'bitbucket'];
+
+/**
+ * Create the source provider for a repository host.
+ * @param {object} options
+ * @param {string} [options.provider] - One of SOURCE_PROVIDERS (default "github")
+ * @param {string} options.token - Access token for the host
+ * @param {string} [options.username] - Login whose PRs are fetched (GitHub legacy fetch)
+ * @param {string|null} [options.baseUrl] - Self-hosted instance / API root (GitLab, Bitbucket)
+ * @param {number} [options.maxCharsPerFile] - Patch characters kept per file
+ * @param {number} [options.maxFilesPerPR] - Files fetched per PR
+ * @returns {GitHubService|GitLabProvider|BitbucketProvider}
+ */
+function createSourceProvider({ provider = 'github', token, username, baseUrl = null, maxCharsPerFile, maxFilesPerPR }) {
+  switch (provider) {
+    case 'github':
+      return new GitHubService(token, username, [], maxCharsPerFile, maxFilesPerPR);
+    case 'gitlab':
+      return new GitLabProvider({ token, baseUrl, maxCharsPerFile, maxFilesPerPR });
+    case 'bitbucket':
+      return new BitbucketProvider({ token, baseUrl, maxCharsPerFile, maxFilesPerPR });
+    default:
+      throw new Error(`Unknown source provider: ${provider}`);
+  }
+}
+
+/**
+ * Split a repository full name into owner and name. The owner may contain
+ * slashes (GitLab subgroups), so the split is on the last one.
+ * @param {string} fullName - e.g. "acme/platform/api"
+ * @returns {{owner: string, repo: string}}
+ */
+function splitRepoFullName(fullName) {
+  const index = fullName.lastIndexOf('/');
+  return { owner: fullName.substring(0, index), repo: fullName.substring(index + 1) };
+}
+
+module.exports = {
+  SOURCE_PROVIDERS,
+  createSourceProvider,
+  splitRepoFullName,
+};
@@ -0,0 +1,55 @@
+/**
+ * Helpers for turning provider diffs into the file objects GitHubService
+ * returns ({ filename, status, additions, deletions, changes, patch }).
+ */
+
+/**
+ * Truncate a patch to `maxChars`, marking the cut with "...".
+ * @param {string|null} patch
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function truncatePatch(patch, maxChars) {
+  if (!patch) return '';
+  return patch.length > maxChars ? patch.substring(0, maxChars) + '...' : patch;
+}
+
+/**
+ * Count added and removed lines in a unified diff hunk body.
+ * @param {string} patch
+ * @returns {{additions: number, deletions: number}}
+ */
+function countPatchLines(patch) {
+  let additions = 0;
+  let deletions = 0;
+  for (const line of (patch || '').split('\n')) {
+    if (line.startsWith('+') && !line.startsWith('+++')) additions++;
+    else if (line.startsWith('-') && !line.startsWith('---')) deletions++;
+  }
+  return { additions, deletions };
+}
+
+/**
+ * Split a multi-file unified diff (`diff --git a/x b/x` sections) into
+ * per-file hunks keyed by the new path (old path for deletions).
+ * @param {string} diff
+ * @returns {Map<string, string>} path → hunks starting at the first "@@"
+ */
+function splitUnifiedDiff(diff) {
+  const files = new Map();
+  for (const section of (diff || '').split(/^diff --git /m).slice(1)) {
+    const header = section.split('\n', 1)[0];
+    const match = header.match(/^a\/(.+?) b\/(.+)$/);
+    if (!match) continue;
+    const deleted = /^\+\+\+ \/dev\/null$/m.test(section);
+    const hunkStart = section.indexOf('\n@@');
+    files.set(deleted ? match[1] : match[2], hunkStart === -1 ? '' : section.substring(hunkStart + 1));
+  }
+  return files;
+}
+
+module.exports = {
+  truncatePatch,
+  countPatchLines,
+  splitUnifiedDiff,
+};
@@ -0,0 +1,129 @@
+/**
+ * Normalized pull request model shared by the CLI and the scheduler.
+ *
+ * Every fetch path (REST list, search, stored webhook snapshots, GitLab and
+ * Bitbucket providers) produces the same object, so "merged", "opened" and
+ * "still in review" mean the same thing everywhere:
+ *
+ *   state      – 'open' | 'merged' | 'closed' (closed without merging)
+ *   lifecycle  – events inside the run window, oldest first:
+ *                opened, ready_for_review, reviewed, approved, merged, closed, reopened
+ *
+ * A PR belongs to a window when it was updated within it.
+ */
+
+const PR_LIFECYCLE_EVENTS = ['opened', 'ready_for_review', 'reviewed', 'approved', 'merged', 'closed', 'reopened'];
+
+/**
+ * Normalize a pull request in GitHub's REST shape (pulls.list item, search
+ * result item, or a provider's converted merge request).
+ * @param {object} raw
+ * @param {string} repository - "owner/repo"
+ * @returns {object} Normalized PR with an empty `lifecycle`
+ */
+function normalizePullRequest(raw, repository) {
+  // Search results carry merge data under `pull_request`
+  const mergedAt = raw.merged_at || raw.pull_request?.merged_at || null;
+  const closedAt = raw.closed_at || mergedAt || null;
+  const state = mergedAt ? 'merged' : raw.state === 'open' ? 'open' : 'closed';
+  return {
+    number: raw.number,
+    title: raw.title,
+    description: raw.body || '',
+    url: raw.html_url,
+    repository,
+    author: raw.user?.login || null,
+    labels: (raw.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    draft: !!raw.draft,
+    state,
+    merged: state === 'merged',
+    createdAt: raw.created_at,
+    updatedAt: raw.updated_at,
+    mergedAt,
+    closedAt: state === 'open' ? null : closedAt,
+    headSha: raw.head?.sha || null,
+    branch: raw.head?.ref || null,
+    lifecycle: [],
+  };
+}
+
+/**
+ * Whether a normalized PR was updated within a window.
+ * @param {object} pr
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {boolean}
+ */
+function isInWindow(pr, startDate, endDate) {
+  const updatedAt = new Date(pr.updatedAt);
+  return updatedAt >= startDate && updatedAt <= endDate;
+}
+
+/**
+ * Build a PR's lifecycle events within a window from its own timestamps,
+ * reviews by other people (`pr.reviews`) and timeline events (`pr.timeline`,
+ * ready for review / reopened). Returns a copy without `timeline`.
+ * @param {object} pr - Normalized PR, optionally with details merged in
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {object}
+ */
+function withLifecycle(pr, startDate, endDate) {
+  const { timeline = [], ...rest } = pr;
+  const author = (pr.author || '').toLowerCase();
+  const events = [
+    { type: 'opened', at: pr.createdAt, actor: pr.author },
+    ...(pr.state === 'merged' ? [{ type: 'merged', at: pr.mergedAt, actor: null }] : []),
+    ...(pr.state === 'closed' ? [{ type: 'closed', at: pr.closedAt, actor: null }] : []),
+    ...timeline.filter(event => event.type === 'ready_for_review' || event.type === 'reopened'),
+    ...(pr.reviews || [])
+      .filter(review => review.reviewer && review.reviewer.toLowerCase() !== author && review.submittedAt)
+      .map(review => ({
+        type: review.state === 'APPROVED' ? 'approved' : 'reviewed',
+        at: review.submittedAt,
+        actor: review.reviewer,
+      })),
+  ];
+
+  const seen = new Set();
+  const lifecycle = events
+    .filter(event => event.at && new Date(event.at) >= startDate && new Date(event.at) <= endDate)
+    .filter(event => {
+      const key = `${event.type}|${event.actor || ''}|${new Date(event.at).toISOString()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return { ...rest, lifecycle };
+}
+
+/**
+ * Count PRs by lifecycle event within the window, plus the open ones still
+ * waiting: `inReview` (open, not draft) and `draft`.
+ * @param {Array} pullRequests - PRs with `lifecycle` set by withLifecycle()
+ * @returns {{opened: number, readyForReview: number, reviewed: number, approved: number, merged: number, closedUnmerged: number, reopened: number, inReview: number, draft: number}}
+ */
+function summarizeLifecycle(pullRequests) {
+  const withEvent = type => pullRequests.filter(pr => (pr.lifecycle || []).some(event => event.type === type)).length;
+  return {
+    opened: withEvent('opened'),
+    readyForReview: withEvent('ready_for_review'),
+    reviewed: withEvent('reviewed'),
+    approved: withEvent('approved'),
+    merged: withEvent('merged'),
+    closedUnmerged: withEvent('closed'),
+    reopened: withEvent('reopened'),
+    inReview: pullRequests.filter(pr => pr.state === 'open' && !pr.draft).length,
+    draft: pullRequests.filter(pr => pr.state === 'open' && pr.draft).length,
+  };
+}
+
+module.exports = {
+  PR_LIFECYCLE_EVENTS,
+  normalizePullRequest,
+  isInWindow,
+  withLifecycle,
+  summarizeLifecycle,
+};
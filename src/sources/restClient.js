@@ -0,0 +1,131 @@
+/**
+ * Small fetch-based REST client for source providers and ticket trackers without an SDK.
+ * Retries rate-limited (429) and server (5xx) responses with backoff,
+ * honouring `retry-after` / `ratelimit-reset` headers.
+ */
+class RestClient {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Provider name used in errors and logs, e.g. "GitLab"
+   * @param {string} options.baseUrl - API root; relative paths are resolved against it
+   * @param {object} [options.headers] - Headers sent with every request (auth, accept)
+   * @param {number} [options.maxRetries] - Retries after rate-limit / server errors
+   * @param {number} [options.maxRateLimitWaitMs] - Longest wait for a rate-limit reset before giving up
+   */
+  constructor({ name, baseUrl, headers = {}, maxRetries = 3, maxRateLimitWaitMs = 60000 }) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.headers = headers;
+    this.maxRetries = maxRetries;
+    this.maxRateLimitWaitMs = maxRateLimitWaitMs;
+  }
+
+  /**
+   * Sleep for a specified duration
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Build a request URL. Absolute URLs (e.g. pagination links) are used as-is;
+   * array query values become repeated parameters.
+   * @param {string} path
+   * @param {object} [query]
+   * @returns {string}
+   */
+  url(path, query = {}) {
+    const url = new URL(/^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`);
+    for (const [key, value] of Object.entries(query)) {
+      if (value === undefined || value === null) continue;
+      for (const item of [].concat(value)) {
+        url.searchParams.append(key, String(item));
+      }
+    }
+    return url.toString();
+  }
+
+  /**
+   * How long to wait before retrying a response, or null when it is not retryable.
+   * @param {Response} response
+   * @param {number} attempt - Retry attempt (0-based)
+   * @returns {number|null}
+   */
+  retryDelay(response, attempt) {
+    if (response.status === 429) {
+      const retryAfter = response.headers.get('retry-after');
+      if (retryAfter) return parseInt(retryAfter, 10) * 1000;
+      const reset = response.headers.get('ratelimit-reset');
+      if (reset) return Math.max(parseInt(reset, 10) * 1000 - Date.now(), 0) + 1000;
+      return Math.pow(2, attempt) * 60000;
+    }
+    if (response.status >= 500 && response.status < 600) {
+      return Math.pow(2, attempt) * 1000;
+    }
+    return null;
+  }
+
+  /**
+   * GET a resource.
+   * @param {string} path - Path under the base URL, or an absolute URL
+   * @param {object} [options]
+   * @param {object} [options.query] - Query parameters
+   * @param {boolean} [options.text] - Return the body as text instead of parsed JSON
+   * @returns {Promise<{data: any, headers: Headers}>}
+   * @throws {Error} With `status` set for non-2xx responses
+   */
+  async get(path, { query, text = false } = {}) {
+    return this.request('GET', path, { query, text });
+  }
+
+  /**
+   * POST a JSON body (e.g. a GraphQL query).
+   * @param {string} path - Path under the base URL, or an absolute URL
+   * @param {object} body - JSON request body
+   * @returns {Promise<{data: any, headers: Headers}>}
+   * @throws {Error} With `status` set for non-2xx responses
+   */
+  async post(path, body) {
+    return this.request('POST', path, { body });
+  }
+
+  /**
+   * Send a request, retrying rate-limited and server errors.
+   * @param {string} method
+   * @param {string} path
+   * @param {object} [options]
+   * @param {object} [options.query] - Query parameters
+   * @param {object} [options.body] - JSON request body
+   * @param {boolean} [options.text] - Return the body as text instead of parsed JSON
+   * @returns {Promise<{data: any, headers: Headers}>}
+   */
+  async request(method, path, { query, body, text = false } = {}) {
+    const url = this.url(path, query);
+    const init = body === undefined
+      ? { method, headers: this.headers }
+      : { method, headers: { ...this.headers, 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(url, init);
+      if (response.ok) {
+        return { data: text ? await response.text() : await response.json(), headers: response.headers };
+      }
+
+      const delay = this.retryDelay(response, attempt);
+      if (delay === null || attempt >= this.maxRetries) {
+        const responseBody = await response.text();
+        const error = new Error(`${this.name} API error ${response.status}: ${responseBody.substring(0, 300)}`);
+        error.status = response.status;
+        throw error;
+      }
+      if (delay > this.maxRateLimitWaitMs) {
+        throw new Error(`${this.name} rate limit exceeded; resets at ${new Date(Date.now() + delay).toISOString()}`);
+      }
+      console.warn(`${this.name} ${response.status} on ${method} ${path}. Retrying in ${(delay / 1000).toFixed(1)} seconds... (Attempt ${attempt + 1}/${this.maxRetries})`);
+      await this.sleep(delay);
+    }
+  }
+}
+
+module.exports = RestClient;
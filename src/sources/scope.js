@@ -0,0 +1,112 @@
+/**
+ * Monitoring scope: which files, PRs and reviews of a repository count for a
+ * monitored contributor. Monorepo teams use it to follow only some directories.
+ *
+ * A scope is set on the repository (`repositories.scope`) and on the monitored
+ * contributor (`fetchConfig`), both with the same fields:
+ *
+ *   includePaths  – file globs in scope (all files when empty)
+ *   excludePaths  – file globs out of scope
+ *   ignoreBots    – drop PRs opened by bots, and reviews of them
+ *   ignoreLabels  – drop PRs carrying any of these labels (case-insensitive)
+ *
+ * Globs use src/utils/glob.js syntax.
+ */
+
+const { matchesAnyGlob } = require('../utils/glob');
+
+// GitHub Apps ("dependabot[bot]"), GitLab project bots ("project_12_bot_…") and "*-bot" service accounts
+const BOT_LOGIN_PATTERN = /\[bot\]$|[-_]bot$|^project_\d+_bot/i;
+const KNOWN_BOTS = new Set(['dependabot', 'renovate', 'renovate-bot', 'greenkeeper', 'snyk-bot', 'github-actions']);
+
+/**
+ * Whether a login belongs to a bot account.
+ * @param {string|null} login
+ * @returns {boolean}
+ */
+function isBotLogin(login) {
+  if (!login) return false;
+  return BOT_LOGIN_PATTERN.test(login) || KNOWN_BOTS.has(login.toLowerCase());
+}
+
+/**
+ * Combine a repository's scope with a monitored contributor's fetchConfig.
+ * The contributor's includePaths replace the repository's when set; exclude
+ * paths and ignored labels add up; ignoreBots falls back to the repository.
+ * @param {object|null} repoScope - `repositories.scope`
+ * @param {object|null} fetchConfig - Monitored contributor's `fetchConfig`
+ * @returns {{includePaths: string[], excludePaths: string[], ignoreBots: boolean, ignoreLabels: string[]}}
+ */
+function resolveScope(repoScope, fetchConfig) {
+  const repo = repoScope || {};
+  const mc = fetchConfig || {};
+  return {
+    includePaths: mc.includePaths?.length > 0 ? mc.includePaths : repo.includePaths || [],
+    excludePaths: [...new Set([...(repo.excludePaths || []), ...(mc.excludePaths || [])])],
+    ignoreBots: mc.ignoreBots ?? repo.ignoreBots ?? false,
+    ignoreLabels: [...new Set([...(repo.ignoreLabels || []), ...(mc.ignoreLabels || [])].map(label => label.toLowerCase()))],
+  };
+}
+
+/**
+ * Whether a repository-relative file path is in scope.
+ * @param {string} filePath
+ * @param {object} scope - Output of resolveScope()
+ * @returns {boolean}
+ */
+function isPathInScope(filePath, scope) {
+  if (scope.includePaths.length > 0 && !matchesAnyGlob(filePath, scope.includePaths)) return false;
+  return !matchesAnyGlob(filePath, scope.excludePaths);
+}
+
+/**
+ * Apply a scope to fetched PRs (with `files`) and activity.
+ * Out-of-scope files are removed from each PR; a PR whose files are all out
+ * of scope no longer counts. PRs without a file list are kept, since their
+ * paths are unknown. Review comments on out-of-scope files are dropped too.
+ * @param {Array} pullRequests - Normalized PRs
+ * @param {Array} activity - Activity items (reviews carry `prAuthor` when known, review comments `path`)
+ * @param {object} scope - Output of resolveScope()
+ * @returns {{pullRequests: Array, activity: Array, excluded: {bots: number, labels: number, paths: number}}}
+ */
+function applyScope(pullRequests, activity, scope) {
+  const excluded = { bots: 0, labels: 0, paths: 0 };
+  const hasPathFilters = scope.includePaths.length > 0 || scope.excludePaths.length > 0;
+
+  const scopedPRs = [];
+  for (const pr of pullRequests) {
+    if (scope.ignoreBots && isBotLogin(pr.author)) {
+      excluded.bots++;
+      continue;
+    }
+    if ((pr.labels || []).some(label => scope.ignoreLabels.includes(label.toLowerCase()))) {
+      excluded.labels++;
+      continue;
+    }
+    if (!hasPathFilters || !pr.files || pr.files.length === 0) {
+      scopedPRs.push(pr);
+      continue;
+    }
+    const files = pr.files.filter(file => isPathInScope(file.filename, scope));
+    if (files.length === 0) {
+      excluded.paths++;
+      continue;
+    }
+    scopedPRs.push({ ...pr, files });
+  }
+
+  const scopedActivity = activity.filter(item => {
+    if (scope.ignoreBots && item.type === 'review' && isBotLogin(item.prAuthor)) return false;
+    if (hasPathFilters && item.type === 'review_comment' && item.path) return isPathInScope(item.path, scope);
+    return true;
+  });
+
+  return { pullRequests: scopedPRs, activity: scopedActivity, excluded };
+}
+
+module.exports = {
+  isBotLogin,
+  resolveScope,
+  isPathInScope,
+  applyScope,
+};
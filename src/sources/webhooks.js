@@ -0,0 +1,52 @@
+/**
+ * Health of a repository's GitHub webhook.
+ *
+ * Runs only build a repo's PRs, reviews and commits from stored webhook events
+ * while deliveries keep arriving. A webhook that was deleted, had its secret
+ * changed or keeps failing goes quiet, and runs fall back to the GitHub API
+ * instead of silently reporting no activity.
+ *
+ *   webhookSince          – start of the current uninterrupted stream of deliveries
+ *   webhookLastDeliveryAt – latest delivery
+ *
+ * A delivery after a longer gap starts a new stream, since events from the
+ * gap may be missing.
+ */
+
+/** Without a delivery for this long, a repo's webhook is treated as broken. */
+const WEBHOOK_STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Webhook status of a repository.
+ * @param {object} repo - Document from the repositories collection
+ * @param {Date} [now]
+ * @returns {{status: 'not_configured'|'healthy'|'stale', since: Date|null, lastDeliveryAt: Date|null}}
+ */
+function webhookHealth(repo, now = new Date()) {
+  const since = repo?.webhookSince ? new Date(repo.webhookSince) : null;
+  const lastDeliveryAt = repo?.webhookLastDeliveryAt ? new Date(repo.webhookLastDeliveryAt) : null;
+  if (!since) return { status: 'not_configured', since: null, lastDeliveryAt };
+
+  const fresh = lastDeliveryAt && now.getTime() - lastDeliveryAt.getTime() <= WEBHOOK_STALE_AFTER_MS;
+  return { status: fresh ? 'healthy' : 'stale', since, lastDeliveryAt };
+}
+
+/**
+ * Whether a run can use stored webhook events for a window: GitHub only,
+ * deliveries flowing since before the window started and still arriving.
+ * @param {object} repo
+ * @param {Date} startDate
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function canUseWebhookEvents(repo, startDate, now = new Date()) {
+  if (!repo || (repo.provider || 'github') !== 'github') return false;
+  const health = webhookHealth(repo, now);
+  return health.status === 'healthy' && health.since <= startDate;
+}
+
+module.exports = {
+  WEBHOOK_STALE_AFTER_MS,
+  webhookHealth,
+  canUseWebhookEvents,
+};
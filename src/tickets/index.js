@@ -0,0 +1,105 @@
+/**
+ * Ticket enrichment: resolve the GitHub issues and Jira / Linear tickets a
+ * PR references so status updates can be organized by ticket or epic.
+ *
+ * Every ticket has the same shape regardless of tracker:
+ *   { source: 'github'|'jira'|'linear', key, title, status, type, url, epic: { key, title }|null }
+ */
+
+const { extractTicketReferences } = require('./references');
+const JiraClient = require('./jiraClient');
+const LinearClient = require('./linearClient');
+
+// Upper bound on ticket lookups per run, across trackers
+const MAX_TICKETS_PER_RUN = 30;
+
+/**
+ * Create tracker clients from a company's `settings.integrations`.
+ * @param {object|null} integrations - { jira, linear } as stored by PATCH /company/settings
+ * @returns {Array<JiraClient|LinearClient>} Clients in lookup order (Jira first)
+ */
+function createTicketTrackers(integrations) {
+  const trackers = [];
+  const { jira, linear } = integrations || {};
+  if (jira?.baseUrl && jira.email && jira.encryptedApiToken) {
+    trackers.push(new JiraClient({
+      baseUrl: jira.baseUrl,
+      email: jira.email,
+      apiToken: jira.encryptedApiToken, // In production, decrypt here
+      projectKeys: jira.projectKeys || [],
+    }));
+  }
+  if (linear?.encryptedApiKey) {
+    trackers.push(new LinearClient({
+      apiKey: linear.encryptedApiKey, // In production, decrypt here
+      teamKeys: linear.teamKeys || [],
+    }));
+  }
+  return trackers;
+}
+
+/**
+ * Attach `tickets` to each PR. Issue references resolve through GitHub
+ * (closing references already fetched as `linkedIssues` are reused); ticket
+ * keys go to the first tracker that handles their prefix and knows them.
+ * @param {Array} pullRequests - Normalized PRs
+ * @param {object} options
+ * @param {object|null} [options.github] - GitHubService for issue lookups (null skips "#12" references)
+ * @param {string} [options.owner] - Repository owner for issue lookups
+ * @param {string} [options.repo] - Repository name for issue lookups
+ * @param {Array} [options.trackers] - Output of createTicketTrackers()
+ * @returns {Promise<Array>} PR copies with `tickets`
+ */
+async function enrichWithTickets(pullRequests, { github = null, owner, repo, trackers = [] } = {}) {
+  const references = pullRequests.map(pr => extractTicketReferences(pr));
+  const resolved = new Map();
+  let budget = MAX_TICKETS_PER_RUN;
+
+  for (const pr of pullRequests) {
+    for (const issue of pr.linkedIssues || []) {
+      if (!issue.title) continue;
+      resolved.set(`#${issue.number}`, {
+        source: 'github',
+        key: `#${issue.number}`,
+        title: issue.title,
+        status: issue.state,
+        type: null,
+        url: issue.url,
+        epic: null,
+      });
+    }
+  }
+
+  if (github) {
+    const linkedNumbers = pullRequests.flatMap(pr => (pr.linkedIssues || []).map(issue => issue.number));
+    const numbers = [...new Set([...references.flatMap(ref => ref.issueNumbers), ...linkedNumbers])]
+      .filter(number => !resolved.has(`#${number}`))
+      .slice(0, budget);
+    budget -= numbers.length;
+    for (const ticket of await github.fetchIssues(owner, repo, numbers)) {
+      resolved.set(ticket.key, ticket);
+    }
+  }
+
+  let pending = [...new Set(references.flatMap(ref => ref.keys))].slice(0, Math.max(budget, 0));
+  for (const tracker of trackers) {
+    const keys = pending.filter(key => tracker.handles(key));
+    if (keys.length === 0) continue;
+    for (const ticket of await tracker.getTickets(keys)) {
+      resolved.set(ticket.key, ticket);
+    }
+    pending = pending.filter(key => !resolved.has(key));
+  }
+
+  return pullRequests.map((pr, index) => {
+    const linked = (pr.linkedIssues || []).map(issue => `#${issue.number}`);
+    const keys = [...new Set([...linked, ...references[index].issueNumbers.map(number => `#${number}`), ...references[index].keys])];
+    return { ...pr, tickets: keys.map(key => resolved.get(key)).filter(Boolean) };
+  });
+}
+
+module.exports = {
+  MAX_TICKETS_PER_RUN,
+  createTicketTrackers,
+  enrichWithTickets,
+};
@@ -0,0 +1,69 @@
+const RestClient = require('../sources/restClient');
+
+/**
+ * Jira Cloud / Data Center issue lookups for ticket enrichment.
+ */
+class JiraClient {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Site URL, e.g. https://acme.atlassian.net
+   * @param {string} options.email - Account email (basic auth with an API token)
+   * @param {string} options.apiToken - API token
+   * @param {string[]} [options.projectKeys] - Only these project keys are looked up (all when empty)
+   */
+  constructor({ baseUrl, email, apiToken, projectKeys = [] }) {
+    this.name = 'jira';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.projectKeys = projectKeys.map(key => key.toUpperCase());
+    this.client = new RestClient({
+      name: 'Jira',
+      baseUrl: `${this.baseUrl}/rest/api/2`,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${email}:${apiToken}`).toString('base64')}`,
+        Accept: 'application/json',
+      },
+    });
+  }
+
+  /**
+   * Whether a ticket key belongs to a configured project.
+   * @param {string} key - e.g. "ABC-123"
+   * @returns {boolean}
+   */
+  handles(key) {
+    return this.projectKeys.length === 0 || this.projectKeys.includes(key.split('-')[0]);
+  }
+
+  /**
+   * Look up tickets by key; unknown keys are skipped.
+   * @param {string[]} keys
+   * @returns {Promise<Array<{source: string, key: string, title: string, status: string|null, type: string|null, url: string, epic: object|null}>>}
+   */
+  async getTickets(keys) {
+    const tickets = [];
+    for (const key of keys) {
+      try {
+        const { data } = await this.client.get(`/issue/${encodeURIComponent(key)}`, {
+          query: { fields: 'summary,status,issuetype,parent' },
+        });
+        const parent = data.fields.parent;
+        const parentIsEpic = parent && (parent.fields?.issuetype?.hierarchyLevel === 1 || parent.fields?.issuetype?.name === 'Epic');
+        tickets.push({
+          source: this.name,
+          key: data.key,
+          title: data.fields.summary,
+          status: data.fields.status?.name || null,
+          type: data.fields.issuetype?.name || null,
+          url: `${this.baseUrl}/browse/${data.key}`,
+          epic: parentIsEpic ? { key: parent.key, title: parent.fields.summary } : null,
+        });
+      } catch (error) {
+        // 404: not a Jira key after all (or no access)
+        if (error.status !== 404) console.warn(`  Warning: Could not fetch Jira ticket ${key}: ${error.message}`);
+      }
+    }
+    return tickets;
+  }
+}
+
+module.exports = JiraClient;
@@ -0,0 +1,92 @@
+const RestClient = require('../sources/restClient');
+
+const API_URL = 'https://api.linear.app';
+// Issues looked up per GraphQL request
+const BATCH_SIZE = 25;
+
+// Issues matching any of the `or` filters; unknown identifiers are simply not returned
+const ISSUES_QUERY = `query($filter: IssueFilter, $first: Int) {
+  issues(filter: $filter, first: $first) {
+    nodes {
+      identifier title url
+      state { name }
+      parent { identifier title }
+      project { name }
+    }
+  }
+}`;
+
+/**
+ * Linear issue lookups for ticket enrichment.
+ */
+class LinearClient {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - Personal API key (read access)
+   * @param {string[]} [options.teamKeys] - Only these team keys are looked up (all when empty)
+   */
+  constructor({ apiKey, teamKeys = [] }) {
+    this.name = 'linear';
+    this.teamKeys = teamKeys.map(key => key.toUpperCase());
+    this.client = new RestClient({
+      name: 'Linear',
+      baseUrl: API_URL,
+      headers: { Authorization: apiKey, Accept: 'application/json' },
+    });
+  }
+
+  /**
+   * Whether a ticket key belongs to a configured team.
+   * @param {string} key - e.g. "ENG-123"
+   * @returns {boolean}
+   */
+  handles(key) {
+    return this.teamKeys.length === 0 || this.teamKeys.includes(key.split('-')[0]);
+  }
+
+  /**
+   * Look up issues by identifier in batched GraphQL queries; unknown identifiers are skipped.
+   * @param {string[]} keys
+   * @returns {Promise<Array<{source: string, key: string, title: string, status: string|null, type: string|null, url: string, epic: object|null}>>}
+   */
+  async getTickets(keys) {
+    const tickets = [];
+    for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+      const batch = keys.slice(i, i + BATCH_SIZE);
+      // `issue(id:)` is non-null, so one unknown identifier would null the whole batch;
+      // a filter on team key + number just leaves unknown ones out
+      const filters = batch.map(key => {
+        const separator = key.lastIndexOf('-');
+        return { team: { key: { eq: key.slice(0, separator) } }, number: { eq: Number(key.slice(separator + 1)) } };
+      });
+      try {
+        const { data } = await this.client.post('/graphql', {
+          query: ISSUES_QUERY,
+          variables: { filter: { or: filters }, first: batch.length },
+        });
+        if (!data.data) {
+          throw new Error(data.errors?.map(error => error.message).join('; ') || 'empty response');
+        }
+        for (const issue of data.data.issues.nodes) {
+          tickets.push({
+            source: this.name,
+            key: issue.identifier,
+            title: issue.title,
+            status: issue.state?.name || null,
+            type: null,
+            url: issue.url,
+            // Parent issue, else the project, is what the team groups work by
+            epic: issue.parent
+              ? { key: issue.parent.identifier, title: issue.parent.title }
+              : issue.project ? { key: null, title: issue.project.name } : null,
+          });
+        }
+      } catch (error) {
+        console.warn(`  Warning: Could not fetch Linear issues ${batch.join(', ')}: ${error.message}`);
+      }
+    }
+    return tickets;
+  }
+}
+
+module.exports = LinearClient;
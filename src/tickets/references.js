@@ -0,0 +1,52 @@
+/**
+ * Find issue references and ticket keys in a pull request's title,
+ * description and branch name.
+ */
+
+// "#12", "Fixes #12" – not part of a word or an HTML entity ("&#12;")
+const ISSUE_NUMBER_PATTERN = /(?:^|[^\w&/])#(\d+)\b/g;
+// "https://github.com/acme/api/issues/12"
+const ISSUE_URL_PATTERN = /github\.com\/([\w.-]+)\/([\w.-]+)\/issues\/(\d+)/g;
+// Branches like "123-fix-login", "fix/123-login" or "issue-123"
+const BRANCH_ISSUE_PATTERN = /(?:^|\/)(?:(?:issue|gh)[-_]?)?(\d+)(?:[-_]|$)/i;
+// Jira / Linear keys: "ABC-123", "ENG-42"
+const TICKET_KEY_PATTERN = /\b([A-Z][A-Z0-9]{1,9})-(\d+)\b/g;
+
+/** Prefixes that look like ticket keys but are standards or encodings. */
+const NOT_TICKET_PREFIXES = new Set(['UTF', 'SHA', 'ISO', 'CVE', 'RFC', 'HTTP', 'TLS', 'SSL', 'AES', 'RSA', 'ES', 'GPT', 'IPV']);
+
+/**
+ * Extract references from a PR.
+ * @param {object} pr - Normalized PR (title, description, branch, number, repository)
+ * @returns {{issueNumbers: number[], keys: string[]}} GitHub issue numbers in the PR's own
+ *   repository, and upper-cased ticket keys
+ */
+function extractTicketReferences(pr) {
+  const text = `${pr.title || ''}\n${pr.description || pr.body || ''}`;
+  const issueNumbers = new Set();
+  const keys = new Set();
+
+  for (const match of text.matchAll(ISSUE_NUMBER_PATTERN)) {
+    issueNumbers.add(parseInt(match[1], 10));
+  }
+  for (const match of text.matchAll(ISSUE_URL_PATTERN)) {
+    if (`${match[1]}/${match[2]}`.toLowerCase() === (pr.repository || '').toLowerCase()) {
+      issueNumbers.add(parseInt(match[3], 10));
+    }
+  }
+
+  const branch = pr.branch || '';
+  const branchIssue = branch.match(BRANCH_ISSUE_PATTERN);
+  if (branchIssue) issueNumbers.add(parseInt(branchIssue[1], 10));
+
+  for (const source of [text, branch.toUpperCase()]) {
+    for (const match of source.matchAll(TICKET_KEY_PATTERN)) {
+      if (!NOT_TICKET_PREFIXES.has(match[1])) keys.add(`${match[1]}-${match[2]}`);
+    }
+  }
+
+  issueNumbers.delete(pr.number);
+  return { issueNumbers: [...issueNumbers], keys: [...keys] };
+}
+
+module.exports = { extractTicketReferences };
@@ -0,0 +1,70 @@
+/**
+ * Minimal glob matching for file paths (gitignore-style).
+ *
+ *   *      any characters except "/"
+ *   **     any characters including "/"
+ *   ?      a single character except "/"
+ *   {a,b}  either alternative
+ *
+ * Patterns without a "/" are matched against the file's basename, so
+ * "*.pem" matches "certs/server.pem" and ".env*" matches "app/.env.local".
+ */
+
+/**
+ * Compile a glob pattern into a RegExp.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inBraces = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inBraces = true;
+      source += '(?:';
+    } else if (char === '}' && inBraces) {
+      inBraces = false;
+      source += ')';
+    } else if (char === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Whether a file path matches any of the given glob patterns.
+ * @param {string} filePath - Repository-relative path, e.g. "src/config/.env.example"
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function matchesAnyGlob(filePath, patterns) {
+  if (!filePath || !patterns || patterns.length === 0) return false;
+  const basename = filePath.split('/').pop();
+  return patterns.some(pattern => {
+    const target = pattern.includes('/') ? filePath : basename;
+    return globToRegExp(pattern).test(target);
+  });
+}
+
+module.exports = { globToRegExp, matchesAnyGlob };